@@ -5,6 +5,23 @@
 import { useRef, useEffect, useCallback } from 'react';
 import { AnnotationRenderer } from '../core/AnnotationRenderer.js';
 
+/**
+ * Engine events forwarded to callback props, keyed by event name
+ * @type {Object<string, string>}
+ */
+const EVENT_PROPS = {
+  documentloaded: 'onDocumentLoaded',
+  renderstart: 'onRenderStart',
+  pagerendered: 'onPageRendered',
+  rendercancelled: 'onRenderCancelled',
+  error: 'onError',
+  annotationsupdated: 'onAnnotationsUpdated',
+  annotationstatechange: 'onAnnotationStateChange',
+  annotationvisible: 'onAnnotationVisible',
+  annotationcompleted: 'onAnnotationCompleted',
+  timeupdate: 'onTimeUpdate'
+};
+
 // ============================================================================
 // SECTION 2: JSDOC DOCUMENTATION
 // ============================================================================
@@ -21,8 +38,11 @@ import { AnnotationRenderer } from '../core/AnnotationRenderer.js';
  * - Declarative prop-to-method synchronization
  * - PDF rendering with pdf.js
  * - Timeline-synchronized annotation display
- * - Support for highlight, text, and ink annotations
+ * - Support for highlight, text, ink, image, shape (rect, ellipse, line, arrow),
+ *   spotlight and pointer annotations
  * - Page navigation and zoom control
+ * - Single-page or continuous scroll display modes
+ * - Timeline-driven camera zoom and pan (page mode)
  *
  * @component
  * @example
@@ -55,15 +75,112 @@ import { AnnotationRenderer } from '../core/AnnotationRenderer.js';
  *   />
  * </div>
  *
+ * @example
+ * // Bound directly to a media element (no currentTime state needed)
+ * const audioRef = useRef(null);
+ *
+ * <div>
+ *   <AnnotPdf pdfUrl="/lecture.pdf" annotations={annotations} media={audioRef} />
+ *   <audio ref={audioRef} src="/lecture.mp3" controls />
+ * </div>
+ *
+ * @example
+ * // Local file from an <input type="file">, password-protected PDFs supported
+ * <AnnotPdf
+ *   pdfUrl={file}
+ *   onPassword={({ incorrect }) => window.prompt(incorrect ? 'Wrong password' : 'Password')}
+ *   onLoadProgress={({ loaded, total }) => setProgress(total ? loaded / total : 0)}
+ * />
+ *
+ * @example
+ * // Continuous scroll through all pages
+ * <AnnotPdf
+ *   pdfUrl="/lecture.pdf"
+ *   mode="scroll"
+ *   annotations={annotations}
+ *   currentTime={currentTime}
+ *   style={{ height: '80vh' }}
+ * />
+ *
+ * @example
+ * // Zoom into a paragraph while it is narrated, then back out
+ * <AnnotPdf
+ *   pdfUrl="/lecture.pdf"
+ *   media={audioRef}
+ *   camera={[
+ *     { time: 4 },
+ *     { time: 5, region: { x: 0.1, y: 0.35, w: 0.8, h: 0.25 } },
+ *     { time: 12, region: { x: 0.1, y: 0.35, w: 0.8, h: 0.25 } },
+ *     { time: 13 }
+ *   ]}
+ * />
+ *
  * @param {Object} props - Component props
- * @param {string} props.pdfUrl - PDF document URL (required)
+ * @param {string|URL|ArrayBuffer|ArrayBufferView|Blob} props.pdfUrl - PDF document URL,
+ *   or its bytes such as a dropped File (required)
+ * @param {Object} [props.loadOptions] - Options for loading pdfUrl: httpHeaders,
+ *   withCredentials, password, rangeChunkSize, disableRange, disableStream,
+ *   disableAutoFetch (see PDFRenderer.loadDocument()); read when a load starts
+ * @param {Function} [props.onLoadProgress] - Called as the document downloads:
+ *   ({loaded, total}) => void, total is 0 when unknown
+ * @param {Function} [props.onPassword] - Asked for the password of an encrypted
+ *   document: ({incorrect}) => string|null|Promise<string|null>; null gives up
+ * @param {'page'|'scroll'} [props.mode='page'] - Display mode: a single page, or
+ *   every page in a scrollable container. Changing it remounts the viewer and
+ *   reloads the document
  * @param {number} [props.page=1] - Current page number (1-indexed)
  * @param {number} [props.scale=1.5] - Zoom scale factor
  * @param {Array} [props.annotations=[]] - Array of annotation objects
  * @param {number} [props.currentTime=0] - Timeline position in seconds
+ * @param {HTMLMediaElement|Object} [props.media] - Audio/video element (or a React ref
+ *   to one) that drives the timeline; use instead of currentTime
  * @param {Function} [props.onLoad] - Callback when PDF loads: ({pageCount}) => void
- * @param {Function} [props.onError] - Callback on error: (error) => void
- * @param {Function} [props.onPageChange] - Callback when page changes: (page) => void
+ * @param {Function} [props.onError] - Callback on error: (error) => void. Engine
+ *   errors carry the failed operation as error.source ('load', 'render' or 'scale')
+ *   and, for render errors, error.page
+ * @param {Function} [props.onDocumentLoaded] - Engine 'documentloaded' event:
+ *   ({type, time, pageCount, url}) => void
+ * @param {Function} [props.onRenderStart] - Engine 'renderstart' event:
+ *   ({type, time, page, scale}) => void
+ * @param {Function} [props.onPageRendered] - Engine 'pagerendered' event:
+ *   ({type, time, page, viewport}) => void
+ * @param {Function} [props.onRenderCancelled] - Engine 'rendercancelled' event:
+ *   ({type, time, page}) => void
+ * @param {Function} [props.onAnnotationsUpdated] - Engine 'annotationsupdated' event:
+ *   ({type, time, annotations, count}) => void
+ * @param {Function} [props.onAnnotationStateChange] - Engine 'annotationstatechange'
+ *   event, when an annotation on a shown page moves between 'hidden', 'revealing'
+ *   and 'complete': ({type, time, annotation, page, state, previousState}) => void
+ * @param {Function} [props.onAnnotationVisible] - Engine 'annotationvisible' event,
+ *   when an annotation on a shown page starts appearing:
+ *   ({type, time, annotation, page}) => void
+ * @param {Function} [props.onAnnotationCompleted] - Engine 'annotationcompleted' event,
+ *   when an annotation's reveal finishes (same payload as onAnnotationVisible)
+ * @param {Function} [props.onTimeUpdate] - Engine 'timeupdate' event: ({type, time}) => void
+ * @param {boolean} [props.textLayer=false] - Render selectable page text beneath the
+ *   annotation layers. Changing it remounts the viewer and reloads the document
+ * @param {number} [props.renderCacheBudget] - Memory budget in bytes of the rendered
+ *   page cache (default 128 MiB, 0 disables caching)
+ * @param {number} [props.prerenderNeighbors=1] - Pages before and after the current
+ *   page rendered into the cache in the background (page mode only)
+ * @param {Function} [props.onTextSelect] - Called after the user selects page text with
+ *   a highlight annotation built from the selection: (highlight) => void.
+ *   Requires textLayer; the selection is left in place.
+ * @param {boolean} [props.followTimeline=false] - Switch pages automatically when
+ *   currentTime reaches annotations on another page
+ * @param {number} [props.followLeadTime=0] - Seconds before a page's first annotation
+ *   at which timeline following switches to it
+ * @param {boolean} [props.userBrowsing=false] - Suspend timeline following while true
+ * @param {Array<Object>} [props.camera] - Camera keyframes ({time, region, easing}) that
+ *   zoom and pan the page along the timeline (page mode only)
+ * @param {Function} [props.onPageChange] - Callback when page changes, including
+ *   timeline-driven and scroll-driven changes: (page) => void
+ * @param {Function} [props.onAnnotationClick] - Callback when a visible annotation is
+ *   clicked: ({annotation, page, x, y, time, originalEvent}) => void
+ * @param {Function} [props.onAnnotationHover] - Callback when the pointer enters a
+ *   visible annotation (same payload as onAnnotationClick)
+ * @param {Function} [props.onAnnotationLeave] - Callback when the pointer leaves the
+ *   hovered annotation (same payload as onAnnotationClick)
  * @param {string} [props.className] - CSS class for container div
  * @param {Object} [props.style] - Inline styles for container div
  * @param {Object} [props.canvasStyle] - Inline styles for canvas element
@@ -74,20 +191,45 @@ import { AnnotationRenderer } from '../core/AnnotationRenderer.js';
 // SECTION 3: COMPONENT DEFINITION
 // ============================================================================
 
-function AnnotPdf({
+function AnnotPdfView({
   // Required props
   pdfUrl,
 
   // Optional props with defaults
+  mode = 'page',
+  loadOptions,
+  textLayer = false,
+  renderCacheBudget,
+  prerenderNeighbors = 1,
   page = 1,
   scale = 1.5,
   annotations = [],
   currentTime = 0,
+  media,
+  followTimeline = false,
+  followLeadTime = 0,
+  userBrowsing = false,
+  camera,
 
   // Callbacks
   onLoad,
+  onLoadProgress,
+  onPassword,
   onError,
   onPageChange,
+  onTextSelect,
+  onAnnotationClick,
+  onAnnotationHover,
+  onAnnotationLeave,
+  onDocumentLoaded,
+  onRenderStart,
+  onPageRendered,
+  onRenderCancelled,
+  onAnnotationsUpdated,
+  onAnnotationStateChange,
+  onAnnotationVisible,
+  onAnnotationCompleted,
+  onTimeUpdate,
 
   // Styling
   className,
@@ -126,6 +268,41 @@ function AnnotPdf({
    */
   const renderQueue = useRef(Promise.resolve());
 
+  /**
+   * Latest onPageChange prop
+   * The engine is created once, so its page-change callback reads through this ref
+   * @type {React.RefObject<Function|undefined>}
+   */
+  const onPageChangeRef = useRef(onPageChange);
+  onPageChangeRef.current = onPageChange;
+
+  /**
+   * Latest loading props, read when a load starts
+   * Changing them does not reload the document
+   * @type {React.RefObject<Object>}
+   */
+  const loadPropsRef = useRef({});
+  loadPropsRef.current = { loadOptions, onPassword, onLoadProgress };
+
+  /**
+   * Latest engine event callback props, keyed by prop name
+   * Engine listeners are attached once and read through this ref
+   * @type {React.RefObject<Object<string, Function|undefined>>}
+   */
+  const eventPropsRef = useRef({});
+  eventPropsRef.current = {
+    onDocumentLoaded,
+    onRenderStart,
+    onPageRendered,
+    onRenderCancelled,
+    onError,
+    onAnnotationsUpdated,
+    onAnnotationStateChange,
+    onAnnotationVisible,
+    onAnnotationCompleted,
+    onTimeUpdate
+  };
+
   // ==========================================================================
   // SECTION 4.5: RENDER QUEUE HELPER
   // ==========================================================================
@@ -158,16 +335,23 @@ function AnnotPdf({
    * Cleanup on component unmount
    */
   useEffect(() => {
-    // Guard: Wait for DOM elements to be ready
-    if (!canvasRef.current || !layerContainerRef.current) {
+    // Guard: Wait for DOM elements to be ready (scroll mode has no canvas)
+    if ((mode === 'page' && !canvasRef.current) || !layerContainerRef.current) {
       return;
     }
 
     // Initialize engine
     try {
       engineRef.current = new AnnotationRenderer({
+        mode,
+        textLayer,
         canvasElement: canvasRef.current,
-        container: layerContainerRef.current
+        container: layerContainerRef.current,
+        onPageChange: (newPage) => {
+          if (onPageChangeRef.current) {
+            onPageChangeRef.current(newPage);
+          }
+        }
       });
     } catch (error) {
       console.error('AnnotPdf: Failed to initialize renderer:', error);
@@ -183,6 +367,72 @@ function AnnotPdf({
         engineRef.current = null;
       }
     };
+  }, [mode, textLayer]); // Constant per mount: AnnotPdf remounts when they change
+
+  /**
+   * Sync renderCacheBudget prop to engine.setRenderCacheBudget()
+   * Runs right after initialization, before the first page renders
+   */
+  useEffect(() => {
+    // Guard: Engine must exist; keep the default budget when unset
+    if (!engineRef.current || renderCacheBudget === undefined) {
+      return;
+    }
+
+    engineRef.current.setRenderCacheBudget(renderCacheBudget);
+  }, [renderCacheBudget]);
+
+  /**
+   * Sync prerenderNeighbors prop to engine.setPrerenderNeighbors()
+   */
+  useEffect(() => {
+    // Guard: Engine must exist
+    if (!engineRef.current) {
+      return;
+    }
+
+    engineRef.current.setPrerenderNeighbors(prerenderNeighbors);
+  }, [prerenderNeighbors]);
+
+  // ==========================================================================
+  // SECTION 5.5: ENGINE EVENT SUBSCRIPTIONS
+  // ==========================================================================
+
+  /**
+   * Forward engine events to their callback props
+   * Subscribes once; callbacks are looked up on every event
+   */
+  useEffect(() => {
+    const engine = engineRef.current;
+
+    // Guard: Engine must exist
+    if (!engine) {
+      return;
+    }
+
+    const unsubscribers = Object.entries(EVENT_PROPS).map(([event, prop]) =>
+      engine.on(event, (payload) => {
+        const callback = eventPropsRef.current[prop];
+        if (!callback) {
+          return;
+        }
+
+        // onError keeps receiving Error objects
+        if (event === 'error') {
+          const error = new Error(payload.error);
+          error.source = payload.source;
+          error.page = payload.page;
+          callback(error);
+          return;
+        }
+
+        callback(payload);
+      })
+    );
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
   }, []); // Empty deps - run once on mount
 
   // ==========================================================================
@@ -191,7 +441,8 @@ function AnnotPdf({
 
   /**
    * Load PDF document when pdfUrl prop changes
-   * Handles async operation with cancellation support
+   * Handles async operation with cancellation support; an unfinished load is
+   * aborted when pdfUrl changes
    * Uses render queue to prevent concurrent canvas operations
    */
   useEffect(() => {
@@ -202,19 +453,26 @@ function AnnotPdf({
 
     let cancelled = false;
 
+    // Aborts the load when pdfUrl changes or the component unmounts
+    const controller = new AbortController();
+
     const loadPdf = async () => {
       try {
-        const result = await engineRef.current.loadPDF(pdfUrl);
+        const { loadOptions, onPassword, onLoadProgress } = loadPropsRef.current;
+        const result = await engineRef.current.loadPDF(pdfUrl, {
+          ...loadOptions,
+          onPassword,
+          onProgress: onLoadProgress,
+          signal: controller.signal
+        });
 
         // Check if component unmounted during async operation
-        if (cancelled) return;
+        if (cancelled || result.aborted) return;
 
         // Check if load was successful
+        // Failures reach onError through the engine's error event
         if (!result.success) {
           console.error('AnnotPdf: Failed to load PDF:', result.error);
-          if (onError) {
-            onError(new Error(result.error));
-          }
           return;
         }
 
@@ -238,6 +496,7 @@ function AnnotPdf({
     // Cleanup: Prevent state updates if component unmounts during load
     return () => {
       cancelled = true;
+      controller.abort();
     };
   }, [pdfUrl, queueOperation]);
 
@@ -258,14 +517,18 @@ function AnnotPdf({
     // Queue the page change operation to prevent race conditions
     queueOperation(async () => {
       try {
+        // Engine already moved here on its own (timeline following or scrolling)
+        const state = engineRef.current.getState();
+        if (state.page === page && state.viewport) {
+          return;
+        }
+
         const result = await engineRef.current.setPage(page);
 
         // Check if page change was successful
+        // Failures reach onError through the engine's error event
         if (!result.success) {
           console.error('AnnotPdf: Failed to set page:', result.error);
-          if (onError) {
-            onError(new Error(result.error));
-          }
           return;
         }
 
@@ -282,6 +545,142 @@ function AnnotPdf({
     });
   }, [page, queueOperation]);
 
+  // ==========================================================================
+  // SECTION 7.5: TIMELINE FOLLOWING SYNCHRONIZATION
+  // ==========================================================================
+
+  /**
+   * Sync followTimeline/followLeadTime props to engine.setFollowTimeline()
+   */
+  useEffect(() => {
+    // Guard: Engine must exist
+    if (!engineRef.current) {
+      return;
+    }
+
+    engineRef.current.setFollowTimeline(followTimeline, { leadTime: followLeadTime });
+  }, [followTimeline, followLeadTime]);
+
+  /**
+   * Sync userBrowsing prop to engine.setUserBrowsing()
+   */
+  useEffect(() => {
+    // Guard: Engine must exist
+    if (!engineRef.current) {
+      return;
+    }
+
+    engineRef.current.setUserBrowsing(userBrowsing);
+  }, [userBrowsing]);
+
+  // ==========================================================================
+  // SECTION 7.6: TEXT SELECTION
+  // ==========================================================================
+
+  /**
+   * Report text selections as highlight annotations via onTextSelect
+   * Listens for pointerup on the element that holds the text layer(s)
+   */
+  useEffect(() => {
+    const container = layerContainerRef.current;
+
+    // Guard: Needs text layer, a callback and the container element
+    if (!textLayer || !onTextSelect || !container) {
+      return;
+    }
+
+    const handlePointerUp = () => {
+      if (!engineRef.current) {
+        return;
+      }
+
+      const highlight = engineRef.current.createHighlightFromSelection({
+        clearSelection: false
+      });
+
+      if (highlight) {
+        onTextSelect(highlight);
+      }
+    };
+
+    container.addEventListener('pointerup', handlePointerUp);
+
+    return () => {
+      container.removeEventListener('pointerup', handlePointerUp);
+    };
+  }, [textLayer, onTextSelect]);
+
+  // ==========================================================================
+  // SECTION 7.7: ANNOTATION INTERACTION
+  // ==========================================================================
+
+  /**
+   * Sync annotation pointer callbacks to engine.setInteractionHandlers()
+   * Interaction stays disabled unless at least one callback is provided
+   */
+  useEffect(() => {
+    // Guard: Engine must exist
+    if (!engineRef.current) {
+      return;
+    }
+
+    engineRef.current.setInteractionHandlers({
+      onAnnotationClick,
+      onAnnotationHover,
+      onAnnotationLeave
+    });
+  }, [onAnnotationClick, onAnnotationHover, onAnnotationLeave]);
+
+  // ==========================================================================
+  // SECTION 7.8: MEDIA SYNCHRONIZATION
+  // ==========================================================================
+
+  /**
+   * Attach the media prop to the engine's TimelineSync
+   * Accepts an element or a ref; a ref is read after mount, once it is set
+   */
+  useEffect(() => {
+    const element = media && 'current' in media ? media.current : media;
+
+    // Guard: Engine and a media element must exist
+    if (!engineRef.current || !element) {
+      return;
+    }
+
+    const timelineSync = engineRef.current.getTimelineSync();
+
+    try {
+      timelineSync.attachMedia(element);
+    } catch (error) {
+      console.error('AnnotPdf: Failed to attach media:', error);
+      return;
+    }
+
+    return () => {
+      timelineSync.detachMedia();
+    };
+  }, [media]);
+
+  // ==========================================================================
+  // SECTION 7.9: CAMERA SYNCHRONIZATION
+  // ==========================================================================
+
+  /**
+   * Sync camera prop to engine.setCamera()
+   * Keep the keyframe array stable (e.g. useMemo) to avoid needless updates
+   */
+  useEffect(() => {
+    // Guard: Engine must exist; scroll mode has no camera
+    if (!engineRef.current || mode !== 'page') {
+      return;
+    }
+
+    const result = engineRef.current.setCamera(camera || []);
+    if (!result.success) {
+      console.error('AnnotPdf: Failed to set camera:', result.error);
+    }
+  }, [camera, mode]);
+
   // ==========================================================================
   // SECTION 8: SCALE SYNCHRONIZATION
   // ==========================================================================
@@ -302,11 +701,9 @@ function AnnotPdf({
         const result = await engineRef.current.setScale(scale);
 
         // Check if scale change was successful
+        // Failures reach onError through the engine's error event
         if (!result.success) {
           console.error('AnnotPdf: Failed to set scale:', result.error);
-          if (onError) {
-            onError(new Error(result.error));
-          }
         }
       } catch (error) {
         console.error('AnnotPdf: Failed to set scale:', error);
@@ -377,6 +774,7 @@ function AnnotPdf({
     position: 'relative',
     display: 'inline-block',
     lineHeight: 0, // Remove extra space below canvas
+    overflow: 'hidden', // Clip the page while the camera zooms in
     ...style // User styles override defaults
   };
 
@@ -394,6 +792,16 @@ function AnnotPdf({
     overflow: 'hidden'
   };
 
+  /**
+   * Default scroll container styles
+   * Used in scroll mode, where the engine lays out every page inside one div
+   */
+  const defaultScrollStyle = {
+    position: 'relative',
+    overflowY: 'auto',
+    ...style // User styles override defaults
+  };
+
   /**
    * Default canvas styles
    * Merged with user-provided canvasStyle
@@ -407,6 +815,12 @@ function AnnotPdf({
   // SECTION 12: JSX RETURN
   // ==========================================================================
 
+  if (mode === 'scroll') {
+    return (
+      <div ref={layerContainerRef} className={className} style={defaultScrollStyle} />
+    );
+  }
+
   return (
     <div className={className} style={defaultContainerStyle}>
       <canvas ref={canvasRef} style={defaultCanvasStyle} />
@@ -415,6 +829,21 @@ function AnnotPdf({
   );
 }
 
+/**
+ * AnnotPdf - see AnnotPdfView for props
+ *
+ * mode and textLayer decide the DOM the engine is built on, so the view is
+ * keyed by them: changing either creates a new engine and reloads the
+ * document, and every other prop is synced again.
+ *
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} PDF viewer component with annotation layers
+ */
+function AnnotPdf(props) {
+  const engineKey = `${props.mode || 'page'}:${Boolean(props.textLayer)}`;
+  return <AnnotPdfView key={engineKey} {...props} />;
+}
+
 // ============================================================================
 // SECTION 13: EXPORT
 // ============================================================================
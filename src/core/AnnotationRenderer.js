@@ -11,6 +11,61 @@
 import { PDFRenderer } from './PDFRenderer.js';
 import { LayerManager } from './LayerManager.js';
 import { TimelineSync } from './TimelineSync.js';
+import { ScrollView } from './ScrollView.js';
+import { findPageAtTime } from '../utils/timelineUtils.js';
+import { rangeToQuads } from '../utils/selectionUtils.js';
+import {
+  normalizeCameraKeyframes,
+  getCameraRegion,
+  getCameraTransform
+} from '../utils/cameraUtils.js';
+import { normalizeBaseFields, normalizeHighlight } from '../types/validators.js';
+import { HIGHLIGHT_DEFAULTS } from '../types/defaults.js';
+
+/**
+ * Largest canvas (in pixels) a settled camera zoom is re-rendered into;
+ * browsers refuse or silently blank bigger canvases
+ * @type {number}
+ */
+const MAX_DETAIL_PIXELS = 16777216;
+
+/**
+ * Event names accepted by on(), off() and once()
+ * @type {Array<string>}
+ */
+const RENDERER_EVENTS = [
+  'documentloaded',
+  'renderstart',
+  'pagerendered',
+  'rendercancelled',
+  'error',
+  'annotationsupdated',
+  'annotationstatechange',
+  'annotationvisible',
+  'annotationcompleted',
+  'timeupdate'
+];
+
+/**
+ * Payload passed to renderer event listeners
+ *
+ * Every event carries type and time; the remaining fields depend on the event:
+ * - documentloaded: pageCount, url (null for binary sources)
+ * - renderstart: page, scale
+ * - pagerendered: page, viewport
+ * - rendercancelled: page
+ * - error: source ('load'|'render'|'scale'), error, page (render errors),
+ *   passwordRequired (load errors of encrypted documents)
+ * - annotationsupdated: annotations, count
+ * - annotationstatechange: annotation, page, state, previousState
+ *   ('hidden', 'revealing' or 'complete')
+ * - annotationvisible, annotationcompleted: annotation, page
+ * - timeupdate: no extra fields
+ *
+ * @typedef {Object} RendererEvent
+ * @property {string} type - Event name
+ * @property {number} time - Timeline position in seconds when the event fired
+ */
 
 /**
  * AnnotationRenderer class
@@ -30,6 +85,17 @@ import { TimelineSync } from './TimelineSync.js';
  * renderer.setAnnotations(annotationData);
  * renderer.setScale(1.5);
  * renderer.setTime(3.5);
+ *
+ * @example
+ * // Continuous scroll mode: every page is laid out inside the container
+ * const renderer = new AnnotationRenderer({
+ *   container: document.getElementById('scroll-container'),
+ *   mode: 'scroll'
+ * });
+ *
+ * await renderer.loadPDF('/path/to/doc.pdf');
+ * renderer.setAnnotations(annotationData);
+ * renderer.setTime(3.5); // Updates annotations on every visible page
  */
 export class AnnotationRenderer {
   /**
@@ -37,8 +103,38 @@ export class AnnotationRenderer {
    *
    * @param {Object} config - Configuration object
    * @param {HTMLElement} config.container - DOM element for layer rendering
-   * @param {HTMLCanvasElement} config.canvasElement - Canvas element for PDF rendering
-   * @param {string} [config.pdfUrl] - PDF URL to load immediately
+   *   (in scroll mode, the scrollable element that receives all pages)
+   * @param {HTMLCanvasElement} [config.canvasElement] - Canvas element for PDF rendering
+   *   (required in page mode, unused in scroll mode)
+   * @param {'page'|'scroll'} [config.mode='page'] - Display mode: a single page on
+   *   canvasElement, or every page stacked in a continuous scroll container
+   * @param {number} [config.pageGap=16] - Gap between pages in pixels (scroll mode)
+   * @param {number} [config.prerenderMargin=800] - Distance in pixels outside the
+   *   visible area at which pages start rendering (scroll mode)
+   * @param {boolean} [config.textLayer=false] - Render a selectable pdf.js text layer
+   *   beneath the annotation layers (enables createHighlightFromSelection)
+   * @param {boolean|Object} [config.followTimeline=false] - Switch pages automatically
+   *   when the timeline moves onto annotations on another page
+   * @param {number} [config.followTimeline.leadTime=0] - Seconds before a page's
+   *   first annotation at which to switch to it
+   * @param {Function} [config.onAnnotationClick] - Called when a visible annotation is
+   *   clicked: ({ annotation, page, x, y, time, originalEvent }) => void
+   * @param {Function} [config.onAnnotationHover] - Called when the pointer enters a
+   *   visible annotation (same payload as onAnnotationClick)
+   * @param {Function} [config.onAnnotationLeave] - Called when the pointer leaves the
+   *   hovered annotation (same payload as onAnnotationClick)
+   * @param {Function} [config.onPageChange] - Called when the page changes without
+   *   an explicit setPage() call: (page, { source: 'timeline'|'scroll' }) => void
+   * @param {Array<Object>} [config.camera] - Camera keyframes that zoom and pan the
+   *   page along the timeline (page mode, see setCamera())
+   * @param {number} [config.cameraSettleDelay=250] - Milliseconds the camera zoom must
+   *   stay unchanged before the page is re-rendered at the zoomed resolution
+   * @param {number} [config.renderCacheBudget=134217728] - Memory budget in bytes of
+   *   the cache of rendered pages, so pages shown again skip re-rendering; 0 disables it
+   * @param {number} [config.prerenderNeighbors=1] - Pages before and after the current
+   *   page rendered into the cache in the background (page mode); 0 disables it
+   * @param {string|URL|ArrayBuffer|ArrayBufferView|Blob} [config.pdfUrl] - PDF URL
+   *   or binary source to load immediately
    * @param {number} [config.initialPage=1] - Initial page number
    * @param {number} [config.initialScale=1.0] - Initial scale factor
    * @param {Array} [config.annotations=[]] - Initial annotation data
@@ -54,7 +150,13 @@ export class AnnotationRenderer {
       throw new Error('AnnotationRenderer: config.container must be a valid DOM element');
     }
 
-    if (!config.canvasElement || !(config.canvasElement instanceof HTMLCanvasElement)) {
+    const mode = config.mode || 'page';
+    if (mode !== 'page' && mode !== 'scroll') {
+      throw new Error(`AnnotationRenderer: config.mode must be 'page' or 'scroll', got "${mode}"`);
+    }
+
+    if (mode === 'page' &&
+        (!config.canvasElement || !(config.canvasElement instanceof HTMLCanvasElement))) {
       throw new Error('AnnotationRenderer: config.canvasElement must be a valid canvas element');
     }
 
@@ -66,9 +168,15 @@ export class AnnotationRenderer {
 
     /**
      * @private
-     * @type {HTMLCanvasElement}
+     * @type {'page'|'scroll'}
+     */
+    this.mode = mode;
+
+    /**
+     * @private
+     * @type {HTMLCanvasElement|null}
      */
-    this.canvasElement = config.canvasElement;
+    this.canvasElement = config.canvasElement || null;
 
     /**
      * @private
@@ -80,19 +188,79 @@ export class AnnotationRenderer {
      * @private
      * @type {PDFRenderer}
      */
-    this.pdfRenderer = new PDFRenderer();
+    this.pdfRenderer = new PDFRenderer({ cacheBudget: config.renderCacheBudget });
 
     /**
+     * Pages before and after the current page prerendered into the render cache
      * @private
-     * @type {LayerManager}
+     * @type {number}
+     */
+    this.prerenderNeighbors = 1;
+    if (config.prerenderNeighbors !== undefined) {
+      this.setPrerenderNeighbors(config.prerenderNeighbors);
+    }
+
+    /**
+     * @private
+     * @type {LayerManager|null}
      */
     // Initialize LayerManager with a minimal default viewport that will be updated when PDF loads
     // BaseLayer requires positive width/height, so use 1x1 as placeholder
-    this.layerManager = new LayerManager(config.container, {
-      width: 1,
-      height: 1,
-      scale: 1.0
-    });
+    // Scroll mode creates one LayerManager per page inside ScrollView instead
+    this.layerManager = mode === 'page'
+      ? new LayerManager(config.container, {
+        width: 1,
+        height: 1,
+        scale: 1.0
+      })
+      : null;
+
+    /**
+     * @private
+     * @type {ScrollView|null}
+     */
+    this.scrollView = mode === 'scroll'
+      ? new ScrollView(config.container, this.pdfRenderer, {
+        pageGap: config.pageGap,
+        prerenderMargin: config.prerenderMargin,
+        textLayer: Boolean(config.textLayer),
+        onCurrentPageChange: (pageNum) => {
+          this.currentPage = pageNum;
+          this.currentViewport = this.scrollView.getPageViewport(pageNum);
+          this._emitPageChange(pageNum, 'scroll');
+        },
+        onRenderEvent: (type, detail) => {
+          if (type === 'error') {
+            this._emit('error', { source: 'render', ...detail });
+            return;
+          }
+
+          // Report annotations of the page that changed state while it was not shown
+          if (type === 'pagerendered') {
+            this._syncAnnotationStates(this.scrollView.getLayerManager(detail.page), detail.page);
+          }
+
+          this._emit(type, detail);
+        },
+        onAnnotationState: (change) => this._onAnnotationState(change)
+      })
+      : null;
+
+    /**
+     * Selectable text layer element (page mode with config.textLayer only)
+     * @private
+     * @type {HTMLElement|null}
+     */
+    this.textLayerElement = null;
+
+    if (mode === 'page' && config.textLayer) {
+      this.textLayerElement = document.createElement('div');
+      this.textLayerElement.style.position = 'absolute';
+      this.textLayerElement.style.inset = '0';
+      this.textLayerElement.style.zIndex = '10';
+      this.textLayerElement.style.pointerEvents = 'auto';
+      config.container.appendChild(this.textLayerElement);
+    }
 
     /**
      * @private
@@ -131,15 +299,175 @@ export class AnnotationRenderer {
     this.currentViewport = null;
 
     /**
+     * URL of the loaded document (null for binary sources)
      * @private
      * @type {string|null}
      */
     this.pdfUrl = null;
 
+    /**
+     * Timeline follow settings, or null when disabled
+     * @private
+     * @type {{leadTime: number}|null}
+     */
+    this.followTimeline = null;
+
+    /**
+     * While true, timeline following never changes the page
+     * @private
+     * @type {boolean}
+     */
+    this.userBrowsing = false;
+
+    /**
+     * Page the timeline was last on (switches only happen when this changes)
+     * @private
+     * @type {number|null}
+     */
+    this.timelinePage = null;
+
+    /**
+     * Page switch started by timeline following that has not finished yet
+     * @private
+     * @type {number|null}
+     */
+    this.pendingTimelinePage = null;
+
+    /**
+     * DrawingLayer currently capturing ink input
+     * @private
+     * @type {DrawingLayer|null}
+     */
+    this.recordingLayer = null;
+
+    /**
+     * Annotation pointer callbacks
+     * @private
+     * @type {{onAnnotationClick: Function|null, onAnnotationHover: Function|null, onAnnotationLeave: Function|null}}
+     */
+    this.interactionHandlers = {
+      onAnnotationClick: null,
+      onAnnotationHover: null,
+      onAnnotationLeave: null
+    };
+
+    /**
+     * Annotation currently under the pointer
+     * @private
+     * @type {{annotation: Object, page: number}|null}
+     */
+    this.hovered = null;
+
+    /**
+     * Whether pointer listeners are attached
+     * @private
+     * @type {boolean}
+     */
+    this.interactive = false;
+
+    /**
+     * Element the pointer listeners are attached to while interactive
+     * @private
+     * @type {HTMLElement|null}
+     */
+    this.interactionTarget = null;
+
+    /**
+     * Normalized camera keyframes (page mode)
+     * @private
+     * @type {Array<Object>}
+     */
+    this.cameraKeyframes = [];
+
+    /**
+     * Zoom factor currently applied by the camera transform
+     * @private
+     * @type {number}
+     */
+    this.cameraZoom = 1;
+
+    /**
+     * CSS transform last written by the camera ('' when none is applied)
+     * @private
+     * @type {string}
+     */
+    this.cameraTransform = '';
+
+    /**
+     * Resolution of the page canvas relative to currentScale
+     * @private
+     * @type {number}
+     */
+    this.detailScale = 1;
+
+    /**
+     * Pending re-render at the settled camera zoom
+     * @private
+     * @type {number|null}
+     */
+    this.detailTimer = null;
+
+    /**
+     * Incremented on every page render so stale detail renders are discarded
+     * @private
+     * @type {number}
+     */
+    this.renderGeneration = 0;
+
+    /**
+     * Whether setPage() is rendering (detail renders wait for it)
+     * @private
+     * @type {boolean}
+     */
+    this.pageRendering = false;
+
+    /**
+     * Event listeners registered via on()/once(), keyed by event name
+     * @private
+     * @type {Map<string, Set<Function>>}
+     */
+    this.eventListeners = new Map();
+
+    /**
+     * Last emitted lifecycle state of each non-hidden annotation, keyed by id.
+     * States follow the timeline: entries outlive page switches and layers
+     * recreated at a new scale, and are pruned by setAnnotations()
+     * @private
+     * @type {Map<string, {annotation: Object, state: string}>}
+     */
+    this.annotationStates = new Map();
+
+    this._onContainerClick = this._onContainerClick.bind(this);
+    this._onContainerPointerMove = this._onContainerPointerMove.bind(this);
+    this._onContainerPointerLeave = this._onContainerPointerLeave.bind(this);
+    this._onAnnotationState = this._onAnnotationState.bind(this);
+
+    if (this.layerManager) {
+      this.layerManager.setStateListener(this._onAnnotationState);
+    }
+
+    this.setInteractionHandlers(config);
+
+    if (config.followTimeline) {
+      this.setFollowTimeline(true, config.followTimeline);
+    }
+
+    if (config.camera) {
+      this.setCamera(config.camera);
+    }
+
     // Wire up subsystem communication
     // Timeline updates automatically propagate to LayerManager
     this.timelineSync.subscribe((time) => {
-      this.layerManager.updateTimeline(time);
+      if (this.scrollView) {
+        this.scrollView.updateTimeline(time);
+      } else {
+        this.layerManager.updateTimeline(time);
+        this._applyCamera(time);
+      }
+
+      this._followTimeline(time);
+      this._emit('timeupdate');
     });
 
     // Auto-load PDF if provided
@@ -151,51 +479,88 @@ export class AnnotationRenderer {
   }
 
   /**
-   * Load PDF document from URL
+   * Load PDF document from a URL or binary data
+   *
+   * Aborted loads resolve with aborted: true and emit no error event. Binary
+   * sources are copied, so the caller's buffer is left intact.
    *
-   * @param {string} url - URL or path to PDF file
+   * @param {string|URL|ArrayBuffer|ArrayBufferView|Blob} source - URL or path to
+   *   the PDF file, or its bytes (e.g. a File from drag-and-drop)
+   * @param {Object} [options] - Loading options (see PDFRenderer.loadDocument()):
+   *   httpHeaders, withCredentials, password, onPassword, onProgress, signal,
+   *   rangeChunkSize, disableRange, disableStream, disableAutoFetch
    * @returns {Promise<Object>} Load result with success status and page count
    * @returns {boolean} return.success - Whether loading succeeded
    * @returns {number} [return.pageCount] - Number of pages if successful
    * @returns {string} [return.error] - Error message if failed
+   * @returns {boolean} [return.aborted] - True if options.signal aborted the load
+   *   (or another load replaced it)
+   * @returns {boolean} [return.passwordRequired] - True if the document is encrypted
+   *   and no valid password was given
+   *
+   * @example
+   * dropZone.addEventListener('drop', (event) => {
+   *   event.preventDefault();
+   *   renderer.loadPDF(event.dataTransfer.files[0], {
+   *     onPassword: ({ incorrect }) => prompt(incorrect ? 'Wrong password, try again' : 'Password')
+   *   });
+   * });
    */
-  async loadPDF(url) {
+  async loadPDF(source, options = {}) {
     try {
-      // Validate URL
-      if (!url || typeof url !== 'string') {
-        return {
+      // Validate source
+      if (!source) {
+        return this._reportError('load', {
           success: false,
-          error: 'Invalid PDF URL provided'
-        };
+          error: 'Invalid PDF source provided'
+        });
       }
 
       // Load via PDFRenderer
-      const result = await this.pdfRenderer.loadDocument(url);
+      const result = await this.pdfRenderer.loadDocument(source, options);
 
       if (result.success) {
         // Store PDF metadata
+        const url = typeof source === 'string'
+          ? source
+          : (typeof URL !== 'undefined' && source instanceof URL ? source.href : null);
         this.pdfUrl = url;
         this.pageCount = result.pageCount;
 
+        // Scroll mode lays out every page as soon as the document is known
+        if (this.scrollView) {
+          await this.scrollView.setDocument(result.pageCount, this.currentScale);
+          this.scrollView.setAnnotations(this.annotations);
+          this.scrollView.scrollToPage(this.currentPage);
+          this.currentViewport = this.scrollView.getPageViewport(this.currentPage);
+        }
+
+        this._emit('documentloaded', { pageCount: result.pageCount, url });
+
         return {
           success: true,
           pageCount: result.pageCount
         };
-      } else {
+      } else if (result.aborted) {
         return result;
+      } else {
+        return this._reportError('load', result, result.passwordRequired ? { passwordRequired: true } : {});
       }
     } catch (err) {
       console.error('AnnotationRenderer.loadPDF: Error loading PDF:', err);
-      return {
+      return this._reportError('load', {
         success: false,
         error: `Failed to load PDF: ${err.message}`
-      };
+      });
     }
   }
 
   /**
    * Navigate to specific page and render it
    *
+   * In scroll mode the page is scrolled into view instead; it renders lazily
+   * once it approaches the visible area.
+   *
    * @param {number} pageNum - Page number (1-indexed)
    * @returns {Promise<Object>} Render result with viewport information
    * @returns {boolean} return.success - Whether rendering succeeded
@@ -206,28 +571,53 @@ export class AnnotationRenderer {
     try {
       // Validate page number
       if (typeof pageNum !== 'number' || pageNum < 1) {
-        return {
+        return this._reportError('render', {
           success: false,
           error: 'Invalid page number'
-        };
+        }, { page: pageNum });
       }
 
       if (this.pageCount > 0 && pageNum > this.pageCount) {
-        return {
+        return this._reportError('render', {
           success: false,
           error: `Page ${pageNum} exceeds document page count (${this.pageCount})`
+        }, { page: pageNum });
+      }
+
+      if (this.scrollView) {
+        if (!this.scrollView.scrollToPage(pageNum)) {
+          return this._reportError('render', {
+            success: false,
+            error: 'No PDF document loaded'
+          }, { page: pageNum });
+        }
+
+        this.currentPage = pageNum;
+        this.currentViewport = this.scrollView.getPageViewport(pageNum);
+
+        return {
+          success: true,
+          viewport: this.currentViewport
         };
       }
 
       // Cancel any in-progress rendering
       this.pdfRenderer.cancelRender();
+      this.renderGeneration++;
 
       // Render page via PDFRenderer
-      const result = await this.pdfRenderer.renderPage(
-        pageNum,
-        this.canvasElement,
-        this.currentScale
-      );
+      this._emit('renderstart', { page: pageNum, scale: this.currentScale });
+      this.pageRendering = true;
+      let result;
+      try {
+        result = await this.pdfRenderer.renderPage(
+          pageNum,
+          this.canvasElement,
+          this.currentScale
+        );
+      } finally {
+        this.pageRendering = false;
+      }
 
       if (result.success) {
         // Store current state
@@ -238,19 +628,51 @@ export class AnnotationRenderer {
         this.layerManager.setAnnotations(this.annotations, pageNum);
         this.layerManager.setViewport(result.viewport);
 
+        // Bring the new page's layers up to the current timeline position
+        this.layerManager.updateTimeline(this.timelineSync.getCurrentTime());
+        this._syncAnnotationStates(this.layerManager, pageNum);
+
+        // The canvas is back at base resolution; frame the new viewport and
+        // restore zoomed detail once the camera settles
+        this.canvasElement.style.width = '';
+        this.canvasElement.style.height = '';
+        this.detailScale = 1;
+        this._applyCamera(this.timelineSync.getCurrentTime());
+        if (this.cameraZoom !== 1) {
+          this._scheduleDetailRender();
+        }
+
+        // Text layer failures leave the page usable, just not selectable
+        if (this.textLayerElement) {
+          const textResult = await this.pdfRenderer.renderTextLayer(
+            pageNum,
+            this.textLayerElement,
+            result.viewport
+          );
+          if (!textResult.success) {
+            console.warn('AnnotationRenderer.setPage: text layer not rendered:', textResult.error);
+          }
+        }
+
+        this._emit('pagerendered', { page: pageNum, viewport: result.viewport });
+        this._prerenderNeighbors(pageNum);
+
         return {
           success: true,
           viewport: result.viewport
         };
-      } else {
+      } else if (result.cancelled) {
+        this._emit('rendercancelled', { page: pageNum });
         return result;
+      } else {
+        return this._reportError('render', result, { page: pageNum });
       }
     } catch (err) {
       console.error('AnnotationRenderer.setPage: Error rendering page:', err);
-      return {
+      return this._reportError('render', {
         success: false,
         error: `Failed to render page: ${err.message}`
-      };
+      }, { page: pageNum });
     }
   }
 
@@ -267,25 +689,34 @@ export class AnnotationRenderer {
     try {
       // Validate scale
       if (typeof scale !== 'number' || scale <= 0) {
-        return {
+        return this._reportError('scale', {
           success: false,
           error: 'Invalid scale value (must be positive number)'
-        };
+        });
       }
 
       // Store new scale
       this.currentScale = scale;
 
+      // Scroll mode re-lays out every page at the new scale
+      if (this.scrollView) {
+        this.currentViewport = await this.scrollView.setScale(scale);
+        return {
+          success: true,
+          viewport: this.currentViewport
+        };
+      }
+
       // Re-render current page at new scale
       const result = await this.setPage(this.currentPage);
 
       return result;
     } catch (err) {
       console.error('AnnotationRenderer.setScale: Error changing scale:', err);
-      return {
+      return this._reportError('scale', {
         success: false,
         error: `Failed to change scale: ${err.message}`
-      };
+      });
     }
   }
 
@@ -305,77 +736,596 @@ export class AnnotationRenderer {
     // Store annotations
     this.annotations = annotations;
 
-    // Route to LayerManager for current page
-    this.layerManager.setAnnotations(annotations, this.currentPage);
+    if (this.scrollView) {
+      // Scroll mode routes annotations to every laid-out page
+      this.scrollView.setAnnotations(annotations);
+    } else {
+      // Route to LayerManager for current page; the timeline update lets
+      // layers report annotations that were added or removed
+      this.layerManager.setAnnotations(annotations, this.currentPage);
+      this.layerManager.updateTimeline(this.timelineSync.getCurrentTime());
+    }
+
+    this._pruneAnnotationStates(annotations);
+
+    this._emit('annotationsupdated', { annotations, count: annotations.length });
   }
 
   /**
-   * Update timeline position for animation
+   * Set annotation pointer callbacks
    *
-   * @param {number} timestamp - Current timeline position in seconds
+   * Interaction is opt-in: pointer listeners are attached only while at least
+   * one callback is set. In page mode they listen on the canvas's parent, so
+   * an overlay container with pointer-events: none keeps letting events
+   * through to the canvas; scroll mode listens on the container. Hit-testing
+   * considers only
+   * annotations currently visible on the timeline, and ink is tested against
+   * the drawn strokes rather than their bounding box.
+   *
+   * @param {Object} handlers - Callbacks (omitted ones are cleared)
+   * @param {Function} [handlers.onAnnotationClick] - Click on an annotation
+   * @param {Function} [handlers.onAnnotationHover] - Pointer enters an annotation
+   * @param {Function} [handlers.onAnnotationLeave] - Pointer leaves an annotation
    * @returns {void}
    */
-  setTime(timestamp) {
-    // Validate timestamp
-    if (typeof timestamp !== 'number') {
-      console.warn('AnnotationRenderer.setTime: timestamp must be a number');
+  setInteractionHandlers(handlers = {}) {
+    this.interactionHandlers = {
+      onAnnotationClick: typeof handlers.onAnnotationClick === 'function'
+        ? handlers.onAnnotationClick
+        : null,
+      onAnnotationHover: typeof handlers.onAnnotationHover === 'function'
+        ? handlers.onAnnotationHover
+        : null,
+      onAnnotationLeave: typeof handlers.onAnnotationLeave === 'function'
+        ? handlers.onAnnotationLeave
+        : null
+    };
+
+    const wantsInteraction = Object.values(this.interactionHandlers).some(Boolean);
+
+    if (wantsInteraction && !this.interactive) {
+      // Events on the canvas and the layers both bubble to the canvas's parent
+      const target = (this.mode === 'page' && this.canvasElement?.parentElement) ||
+        this.container;
+      target.addEventListener('click', this._onContainerClick);
+      target.addEventListener('pointermove', this._onContainerPointerMove);
+      target.addEventListener('pointerleave', this._onContainerPointerLeave);
+      this.interactionTarget = target;
+      this.interactive = true;
+    } else if (!wantsInteraction && this.interactive) {
+      this._detachInteraction();
+    }
+  }
+
+  /**
+   * Enable or disable timeline-driven page switching
+   *
+   * When enabled, setTime() moves to the page of the most recently started
+   * annotation whenever the timeline crosses onto a different page. Pages only
+   * change on such crossings, so a page chosen manually stays put until the
+   * timeline reaches annotations on yet another page.
+   *
+   * @param {boolean} enabled - Whether to follow the timeline
+   * @param {Object} [options] - Follow options
+   * @param {number} [options.leadTime=0] - Seconds before a page's first annotation
+   *   at which to switch to it
+   * @returns {void}
+   */
+  setFollowTimeline(enabled, options = {}) {
+    if (!enabled) {
+      this.followTimeline = null;
       return;
     }
 
-    // Forward to TimelineSync
-    // TimelineSync will notify LayerManager automatically via subscription
-    this.timelineSync.setTime(timestamp);
+    const leadTime = typeof options.leadTime === 'number' && options.leadTime > 0
+      ? options.leadTime
+      : 0;
+
+    this.followTimeline = { leadTime };
+    this.timelinePage = null;
+
+    // Jump to the timeline's page right away if a document is already shown
+    if (this.timelineSync) {
+      this._followTimeline(this.timelineSync.getCurrentTime());
+    }
   }
 
   /**
-   * Get current engine state snapshot
+   * Suspend timeline-driven page switching while the user browses
    *
-   * @returns {Object} Current state
-   * @returns {number} return.page - Current page number
-   * @returns {number} return.scale - Current scale factor
-   * @returns {Array} return.annotations - Current annotation array
-   * @returns {number} return.pageCount - Total page count
-   * @returns {number} return.time - Current timeline position
-   * @returns {Object|null} return.viewport - Current viewport dimensions
-   * @returns {string|null} return.pdfUrl - Current PDF URL
+   * Call with true when the user starts navigating on their own and false when
+   * they are done; on release the renderer returns to the timeline's page.
+   *
+   * @param {boolean} browsing - Whether the user is browsing
+   * @returns {void}
    */
-  getState() {
-    return {
-      page: this.currentPage,
-      scale: this.currentScale,
-      annotations: this.annotations,
-      pageCount: this.pageCount,
-      time: this.timelineSync.getCurrentTime(),
-      viewport: this.currentViewport,
-      pdfUrl: this.pdfUrl
-    };
+  setUserBrowsing(browsing) {
+    this.userBrowsing = Boolean(browsing);
+
+    if (!this.userBrowsing) {
+      this.timelinePage = null;
+      if (this.timelineSync) {
+        this._followTimeline(this.timelineSync.getCurrentTime());
+      }
+    }
   }
 
   /**
-   * Clean up all resources and subsystems
+   * Set the memory budget of the rendered page cache
    *
-   * Call before removing AnnotationRenderer instance.
-   * Destroys all subsystems and releases references.
+   * Least recently used pages are evicted until the cache fits.
    *
+   * @param {number} bytes - Budget in bytes (4 bytes per canvas pixel); 0 disables caching
    * @returns {void}
    */
-  destroy() {
-    // Destroy all subsystems
-    if (this.pdfRenderer) {
-      this.pdfRenderer.destroy();
+  setRenderCacheBudget(bytes) {
+    this.pdfRenderer.setCacheBudget(bytes);
+  }
+
+  /**
+   * Set how many pages around the current page are prerendered (page mode)
+   *
+   * Takes effect from the next page render.
+   *
+   * @param {number} count - Pages before and after the current page; 0 disables it
+   * @returns {void}
+   */
+  setPrerenderNeighbors(count) {
+    if (typeof count !== 'number' || !Number.isFinite(count) || count < 0) {
+      console.warn('AnnotationRenderer.setPrerenderNeighbors: count must be a non-negative number');
+      return;
     }
 
-    if (this.layerManager) {
-      this.layerManager.destroy();
+    this.prerenderNeighbors = Math.floor(count);
+  }
+
+  /**
+   * Set the camera track that zooms and pans the page along the timeline
+   *
+   * Each keyframe frames a normalized page region at a point in time; between
+   * keyframes the camera moves smoothly using the easing of the keyframe it
+   * moves towards. The view holds the first region before the first keyframe
+   * and the last region after the last one. The zoom is a CSS transform on
+   * the page canvas and the layer container, so their parent element should
+   * clip its overflow. Once the zoom stays unchanged for
+   * config.cameraSettleDelay milliseconds, the page is re-rendered at the
+   * zoomed resolution.
+   *
+   * Only supported in page mode. Pass an empty array to reset the view.
+   *
+   * @param {Array<Object>} keyframes - Camera keyframes
+   * @param {number} keyframes[].time - Timeline position in seconds
+   * @param {Object} [keyframes[].region] - Region to frame ({ x, y, w, h },
+   *   normalized 0-1; default: the whole page)
+   * @param {string} [keyframes[].easing='ease-in-out'] - Easing of the move
+   *   into this keyframe (see animationUtils.EASINGS)
+   * @returns {Object} Result object
+   * @returns {boolean} return.success - Whether the camera track was set
+   * @returns {number} [return.keyframeCount] - Number of usable keyframes
+   * @returns {string} [return.error] - Error message if failed
+   *
+   * @example
+   * // Zoom into a paragraph while it is narrated, then back out
+   * renderer.setCamera([
+   *   { time: 4 },
+   *   { time: 5, region: { x: 0.1, y: 0.35, w: 0.8, h: 0.25 } },
+   *   { time: 12, region: { x: 0.1, y: 0.35, w: 0.8, h: 0.25 } },
+   *   { time: 13 }
+   * ]);
+   */
+  setCamera(keyframes) {
+    if (this.mode !== 'page') {
+      return {
+        success: false,
+        error: 'Camera keyframes are only supported in page mode'
+      };
     }
 
-    if (this.timelineSync) {
-      this.timelineSync.destroy();
+    const result = normalizeCameraKeyframes(keyframes);
+    for (const warning of result.warnings) {
+      console.warn(`AnnotationRenderer.setCamera: ${warning}`);
     }
 
-    // Clear all references
-    this.pdfRenderer = null;
-    this.layerManager = null;
+    this.cameraKeyframes = result.keyframes;
+    this._applyCamera(this.timelineSync.getCurrentTime());
+
+    return {
+      success: true,
+      keyframeCount: result.keyframes.length
+    };
+  }
+
+  /**
+   * Create a highlight annotation from the user's current text selection
+   *
+   * Requires config.textLayer. The selection is converted to one quad per
+   * line, normalized against the page it was made on. The annotation is
+   * returned, not added; append it to the array passed to setAnnotations().
+   *
+   * @param {Object} [options] - Highlight options
+   * @param {number} [options.start] - Start time (default: current timeline position)
+   * @param {number} [options.end] - End time (default: start)
+   * @param {string} [options.id] - Annotation ID (auto-generated if omitted)
+   * @param {string} [options.color] - Highlight color
+   * @param {boolean} [options.clearSelection=true] - Clear the selection afterwards
+   * @returns {Object|null} Normalized highlight annotation, or null if there is no
+   *   selection inside a text layer
+   */
+  createHighlightFromSelection(options = {}) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+      return null;
+    }
+
+    const range = selection.getRangeAt(0);
+
+    // Locate the page text layer the selection starts in
+    let pageNum = null;
+    let textLayerElement = null;
+
+    if (this.scrollView) {
+      pageNum = this.scrollView.findPageForNode(range.startContainer);
+      textLayerElement = pageNum ? this.scrollView.getTextLayerElement(pageNum) : null;
+    } else if (this.textLayerElement && this.textLayerElement.contains(range.startContainer)) {
+      pageNum = this.currentPage;
+      textLayerElement = this.textLayerElement;
+    }
+
+    if (!pageNum || !textLayerElement) {
+      return null;
+    }
+
+    const quads = rangeToQuads(range, textLayerElement);
+    if (quads.length === 0) {
+      return null;
+    }
+
+    const start = typeof options.start === 'number'
+      ? options.start
+      : this.timelineSync.getCurrentTime();
+
+    const raw = {
+      id: options.id,
+      type: 'highlight',
+      page: pageNum,
+      start,
+      end: typeof options.end === 'number' ? options.end : start,
+      mode: 'quads',
+      quads,
+      style: { color: options.color || HIGHLIGHT_DEFAULTS.style.color }
+    };
+
+    const warnings = [];
+    const info = [];
+    const base = normalizeBaseFields(raw, warnings, info);
+    const annotation = normalizeHighlight(base, raw, warnings, info);
+
+    if (options.clearSelection !== false) {
+      selection.removeAllRanges();
+    }
+
+    return annotation;
+  }
+
+  /**
+   * Start recording pointer/pen input as an ink annotation on the current page
+   *
+   * Points are stamped with the TimelineSync position relative to the
+   * annotation start, so recording over playing audio captures the timing of
+   * the drawing.
+   *
+   * @param {Object} [options] - Recording options (see DrawingLayer.startRecording)
+   * @param {number} [options.start] - Annotation start time (default: time of first pen-down)
+   * @param {string} [options.id] - Annotation ID (auto-generated if omitted)
+   * @param {string} [options.color] - Stroke color
+   * @param {number} [options.size] - Stroke width in pixels
+   * @returns {Object} Result object
+   * @returns {boolean} return.success - Whether recording started
+   * @returns {string} [return.error] - Error message if failed
+   */
+  startInkRecording(options = {}) {
+    const drawingLayer = this._getDrawingLayer();
+
+    if (!drawingLayer) {
+      return {
+        success: false,
+        error: 'Current page has not been rendered'
+      };
+    }
+
+    if (drawingLayer.isRecording()) {
+      return {
+        success: false,
+        error: 'Ink recording already in progress'
+      };
+    }
+
+    this.recordingLayer = drawingLayer;
+    drawingLayer.startRecording({
+      ...options,
+      page: this.currentPage,
+      getTime: () => this.timelineSync.getCurrentTime()
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Stop recording and return the captured ink annotation
+   *
+   * The annotation is normalized and ready to append to the annotation array
+   * passed to setAnnotations().
+   *
+   * @returns {Object|null} Normalized ink annotation, or null if nothing was drawn
+   */
+  stopInkRecording() {
+    const layer = this.recordingLayer;
+    this.recordingLayer = null;
+
+    if (!layer || layer.isDestroyed) {
+      return null;
+    }
+
+    return layer.stopRecording();
+  }
+
+  /**
+   * Stop recording and discard the captured strokes
+   *
+   * @returns {void}
+   */
+  cancelInkRecording() {
+    const layer = this.recordingLayer;
+    this.recordingLayer = null;
+
+    if (layer && !layer.isDestroyed) {
+      layer.cancelRecording();
+    }
+  }
+
+  /**
+   * Export the loaded PDF with annotations saved as native PDF annotations
+   *
+   * Highlights, text boxes and ink strokes are written as Highlight, FreeText
+   * and Ink annotations at their fully revealed state, independent of the
+   * current timeline position.
+   *
+   * @param {Array} [annotations] - Annotations to export (default: current annotations)
+   * @returns {Promise<Object>} Result object
+   * @returns {boolean} return.success - Whether export succeeded
+   * @returns {Uint8Array} [return.data] - Bytes of the exported PDF
+   * @returns {number} [return.exportedCount] - Number of PDF annotations written
+   * @returns {string} [return.error] - Error message if failed
+   *
+   * @example
+   * const { success, data } = await renderer.exportPDF();
+   * if (success) {
+   *   const url = URL.createObjectURL(new Blob([data], { type: 'application/pdf' }));
+   * }
+   */
+  async exportPDF(annotations = this.annotations) {
+    return this.pdfRenderer.exportDocument(annotations);
+  }
+
+  /**
+   * Import the annotations already embedded in the loaded PDF
+   *
+   * Native Highlight, Underline, FreeText, Ink and Square annotations are
+   * converted into normalized annotations and scheduled one after another.
+   * They are returned, not added; pass them (or a merge with existing
+   * annotations) to setAnnotations().
+   *
+   * @param {Object} [options] - Import options (see PDFRenderer.importAnnotations)
+   * @param {Array<number>} [options.pages] - Page numbers to read (default: all pages)
+   * @param {number} [options.start=0] - Start time of the first annotation
+   * @param {number} [options.duration=1] - Reveal duration of each annotation
+   * @param {number} [options.stagger] - Seconds between consecutive starts (default: duration)
+   * @returns {Promise<Object>} Result object
+   * @returns {boolean} return.success - Whether import succeeded
+   * @returns {Array} [return.annotations] - Normalized annotations
+   * @returns {number} [return.skippedCount] - Native annotations that could not be converted
+   * @returns {string} [return.error] - Error message if failed
+   */
+  async importPDFAnnotations(options = {}) {
+    return this.pdfRenderer.importAnnotations(options);
+  }
+
+  /**
+   * Update timeline position for animation
+   *
+   * @param {number} timestamp - Current timeline position in seconds
+   * @returns {void}
+   */
+  setTime(timestamp) {
+    // Validate timestamp
+    if (typeof timestamp !== 'number') {
+      console.warn('AnnotationRenderer.setTime: timestamp must be a number');
+      return;
+    }
+
+    // Forward to TimelineSync
+    // TimelineSync will notify LayerManager automatically via subscription
+    this.timelineSync.setTime(timestamp);
+  }
+
+  /**
+   * Listen for renderer events
+   *
+   * Events: 'documentloaded', 'renderstart', 'pagerendered', 'rendercancelled',
+   * 'error', 'annotationsupdated', 'annotationstatechange' (an annotation on a
+   * shown page moved between 'hidden', 'revealing' and 'complete'),
+   * 'annotationvisible' (it left 'hidden'), 'annotationcompleted' (it became
+   * 'complete') and 'timeupdate'. Annotation events are reported by the layers
+   * once per transition; seeking within a state reports nothing. Listeners
+   * receive a RendererEvent.
+   *
+   * @param {string} event - Event name
+   * @param {Function} callback - Event listener: (event) => void
+   * @returns {Function} Function that removes the listener
+   * @throws {Error} If callback is not a function
+   *
+   * @example
+   * const off = renderer.on('annotationvisible', ({ annotation, page }) => {
+   *   console.log(`${annotation.id} appeared on page ${page}`);
+   * });
+   */
+  on(event, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('AnnotationRenderer.on: callback must be a function');
+    }
+
+    if (!RENDERER_EVENTS.includes(event)) {
+      console.warn(`AnnotationRenderer.on: unknown event "${event}"`);
+    }
+
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+
+    return () => this.off(event, callback);
+  }
+
+  /**
+   * Listen for the next occurrence of a renderer event only
+   *
+   * @param {string} event - Event name (see on())
+   * @param {Function} callback - Event listener: (event) => void
+   * @returns {Function} Function that removes the listener before it fires
+   * @throws {Error} If callback is not a function
+   */
+  once(event, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('AnnotationRenderer.once: callback must be a function');
+    }
+
+    // Remove only this wrapper, so an on() registration of the same
+    // callback keeps listening
+    const wrapper = (payload) => {
+      this.eventListeners.get(event)?.delete(wrapper);
+      callback(payload);
+    };
+    wrapper.listener = callback;
+
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a renderer event listener
+   *
+   * @param {string} event - Event name
+   * @param {Function} callback - Listener passed to on() or once()
+   * @returns {void}
+   */
+  off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (!listeners) {
+      return;
+    }
+
+    for (const listener of listeners) {
+      if (listener === callback || listener.listener === callback) {
+        listeners.delete(listener);
+      }
+    }
+  }
+
+  /**
+   * Get the renderer's TimelineSync
+   *
+   * Use it to drive the timeline with the built-in playback clock
+   * (play/pause/seek) or to listen for playback events.
+   *
+   * @returns {TimelineSync} Timeline of this renderer
+   *
+   * @example
+   * const timeline = renderer.getTimelineSync();
+   * timeline.setDuration(90);
+   * timeline.on('ended', () => console.log('Done'));
+   * timeline.play();
+   */
+  getTimelineSync() {
+    return this.timelineSync;
+  }
+
+  /**
+   * Get current engine state snapshot
+   *
+   * @returns {Object} Current state
+   * @returns {string} return.mode - Display mode ('page' or 'scroll')
+   * @returns {number} return.page - Current page number (in scroll mode, the
+   *   page occupying most of the visible area)
+   * @returns {number} return.scale - Current scale factor
+   * @returns {Array} return.annotations - Current annotation array
+   * @returns {number} return.pageCount - Total page count
+   * @returns {number} return.time - Current timeline position
+   * @returns {boolean} return.followTimeline - Whether timeline following is enabled
+   * @returns {boolean} return.userBrowsing - Whether timeline following is suspended
+   * @returns {number} return.cameraZoom - Zoom currently applied by the camera track
+   * @returns {Object|null} return.viewport - Current viewport dimensions
+   * @returns {string|null} return.pdfUrl - Current PDF URL (null for binary sources)
+   */
+  getState() {
+    return {
+      mode: this.mode,
+      page: this.currentPage,
+      scale: this.currentScale,
+      annotations: this.annotations,
+      pageCount: this.pageCount,
+      time: this.timelineSync.getCurrentTime(),
+      followTimeline: this.followTimeline !== null,
+      userBrowsing: this.userBrowsing,
+      cameraZoom: this.cameraZoom,
+      viewport: this.currentViewport,
+      pdfUrl: this.pdfUrl
+    };
+  }
+
+  /**
+   * Clean up all resources and subsystems
+   *
+   * Call before removing AnnotationRenderer instance.
+   * Destroys all subsystems and releases references.
+   *
+   * @returns {void}
+   */
+  destroy() {
+    // Detach pointer listeners before the container reference is dropped
+    if (this.interactive) {
+      this._detachInteraction();
+    }
+
+    if (this.detailTimer !== null) {
+      clearTimeout(this.detailTimer);
+      this.detailTimer = null;
+    }
+
+    // Destroy all subsystems
+    if (this.pdfRenderer) {
+      this.pdfRenderer.destroy();
+    }
+
+    if (this.layerManager) {
+      this.layerManager.destroy();
+    }
+
+    if (this.scrollView) {
+      this.scrollView.destroy();
+    }
+
+    if (this.textLayerElement && this.textLayerElement.parentNode) {
+      this.textLayerElement.parentNode.removeChild(this.textLayerElement);
+    }
+
+    if (this.timelineSync) {
+      this.timelineSync.destroy();
+    }
+
+    // Clear all references
+    this.pdfRenderer = null;
+    this.layerManager = null;
+    this.scrollView = null;
+    this.textLayerElement = null;
     this.timelineSync = null;
     this.config = null;
     this.canvasElement = null;
@@ -386,5 +1336,525 @@ export class AnnotationRenderer {
     this.pageCount = 0;
     this.currentViewport = null;
     this.pdfUrl = null;
+    this.followTimeline = null;
+    this.timelinePage = null;
+    this.pendingTimelinePage = null;
+    this.recordingLayer = null;
+    this.cameraKeyframes = [];
+    this.eventListeners.clear();
+    this.annotationStates.clear();
+  }
+
+  /**
+   * Switch pages when the timeline crosses onto another page
+   *
+   * @private
+   * @param {number} time - Current timeline position in seconds
+   * @returns {void}
+   */
+  _followTimeline(time) {
+    if (!this.followTimeline || this.userBrowsing || this.pageCount === 0) {
+      return;
+    }
+
+    const targetPage = findPageAtTime(this.annotations, time, this.followTimeline.leadTime);
+
+    if (targetPage === null || targetPage === this.timelinePage || targetPage > this.pageCount) {
+      return;
+    }
+
+    this.timelinePage = targetPage;
+
+    if (targetPage === this.currentPage || targetPage === this.pendingTimelinePage) {
+      return;
+    }
+
+    this.pendingTimelinePage = targetPage;
+
+    this.setPage(targetPage).then((result) => {
+      if (this.pendingTimelinePage === targetPage) {
+        this.pendingTimelinePage = null;
+
+        // A failed or cancelled switch is retried on the next time update
+        if (!result.success && this.timelinePage === targetPage) {
+          this.timelinePage = null;
+        }
+      }
+
+      if (result.success) {
+        this._emitPageChange(targetPage, 'timeline');
+      }
+    });
+  }
+
+  /**
+   * Zoom and pan the page canvas and layers to the camera region
+   *
+   * @private
+   * @param {number} time - Current timeline position in seconds
+   * @returns {void}
+   */
+  _applyCamera(time) {
+    if (this.mode !== 'page' || !this.currentViewport) {
+      return;
+    }
+
+    // Without a camera track, leave the host's transforms alone
+    if (this.cameraKeyframes.length === 0 && this.cameraTransform === '' &&
+        this.cameraZoom === 1) {
+      return;
+    }
+
+    const region = getCameraRegion(this.cameraKeyframes, time);
+    const { width, height } = this.currentViewport;
+    const { zoom, x, y } = region
+      ? getCameraTransform(region, width, height)
+      : { zoom: 1, x: 0, y: 0 };
+
+    const transform = zoom === 1 && x === 0 && y === 0
+      ? ''
+      : `translate(${x}px, ${y}px) scale(${zoom})`;
+
+    // Runs on every timeline tick; only touch styles when the frame changes
+    if (transform !== this.cameraTransform) {
+      for (const element of [this.canvasElement, this.container]) {
+        element.style.transformOrigin = transform ? '0 0' : '';
+        element.style.transform = transform;
+      }
+      this.cameraTransform = transform;
+    }
+
+    // Re-render for the new zoom only once it stops changing
+    if (zoom !== this.cameraZoom) {
+      this.cameraZoom = zoom;
+      this._scheduleDetailRender();
+    }
+  }
+
+  /**
+   * (Re)start the timer that re-renders the page at the camera zoom
+   *
+   * @private
+   * @returns {void}
+   */
+  _scheduleDetailRender() {
+    if (this.detailTimer !== null) {
+      clearTimeout(this.detailTimer);
+    }
+
+    const delay = typeof this.config.cameraSettleDelay === 'number'
+      ? Math.max(0, this.config.cameraSettleDelay)
+      : 250;
+
+    this.detailTimer = setTimeout(() => {
+      this.detailTimer = null;
+      this._renderDetail();
+    }, delay);
+  }
+
+  /**
+   * Re-render the current page at the resolution of the settled camera zoom
+   *
+   * Renders off screen and swaps the result in, keeping the canvas at its
+   * layout size, so the page never flashes blank.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _renderDetail() {
+    // setPage() schedules another detail render once it is done
+    if (!this.pdfRenderer || !this.currentViewport || this.pageRendering) {
+      return;
+    }
+
+    const { width, height } = this.currentViewport;
+    const maxFactor = Math.sqrt(MAX_DETAIL_PIXELS / Math.max(1, width * height));
+    const factor = Math.max(1, Math.min(this.cameraZoom, maxFactor));
+
+    if (Math.abs(factor - this.detailScale) < 0.01) {
+      return;
+    }
+
+    const generation = this.renderGeneration;
+    const offscreen = document.createElement('canvas');
+    // Off the render queue: must not cancel page renders or prerendering,
+    // and the zoomed bitmap is not worth a place in the page cache
+    const result = await this.pdfRenderer.renderPageOffscreen(
+      this.currentPage,
+      offscreen,
+      this.currentScale * factor
+    );
+
+    // A page or scale change re-rendered the canvas in the meantime
+    if (!result.success || generation !== this.renderGeneration || !this.canvasElement) {
+      return;
+    }
+
+    this.canvasElement.width = offscreen.width;
+    this.canvasElement.height = offscreen.height;
+    this.canvasElement.style.width = `${width}px`;
+    this.canvasElement.style.height = `${height}px`;
+    this.canvasElement.getContext('2d').drawImage(offscreen, 0, 0);
+    this.detailScale = factor;
+
+    // Release the off-screen copy now that the canvas holds the pixels
+    offscreen.width = 0;
+    offscreen.height = 0;
+  }
+
+  /**
+   * Render the pages around a page into the render cache in the background
+   *
+   * @private
+   * @param {number} pageNum - Current page number
+   * @returns {void}
+   */
+  _prerenderNeighbors(pageNum) {
+    // A pagerendered listener may have destroyed the renderer
+    if (!this.pdfRenderer) {
+      return;
+    }
+
+    if (this.prerenderNeighbors === 0) {
+      return;
+    }
+
+    // Next pages first: lectures mostly move forward
+    const pages = [];
+    for (let offset = 1; offset <= this.prerenderNeighbors; offset++) {
+      pages.push(pageNum + offset, pageNum - offset);
+    }
+
+    this.pdfRenderer.prerenderPages(pages, this.currentScale);
+  }
+
+  /**
+   * Resolve pointer position to page, normalized coordinates and annotation
+   *
+   * @private
+   * @param {PointerEvent|MouseEvent} event - Pointer event on the container
+   * @returns {Object|null} Hit payload, or null if no annotation is under the pointer
+   */
+  _hitTestEvent(event) {
+    // Ink capture owns the pointer while recording
+    if (this.recordingLayer) {
+      return null;
+    }
+
+    let position = null;
+    let layerManager = null;
+
+    if (this.scrollView) {
+      position = this.scrollView.pageAtPoint(event.clientX, event.clientY);
+      layerManager = position ? this.scrollView.getLayerManager(position.page) : null;
+    } else if (this.currentViewport) {
+      // Listeners sit on the canvas's parent, which may extend past the page
+      const rect = this.container.getBoundingClientRect();
+      const x = (event.clientX - rect.left) / rect.width;
+      const y = (event.clientY - rect.top) / rect.height;
+      if (rect.width > 0 && rect.height > 0 && x >= 0 && x <= 1 && y >= 0 && y <= 1) {
+        position = { page: this.currentPage, x, y };
+      }
+      layerManager = this.layerManager;
+    }
+
+    if (!position || !layerManager) {
+      return null;
+    }
+
+    const annotation = layerManager.hitTest(position.x, position.y);
+    if (!annotation) {
+      return null;
+    }
+
+    return {
+      annotation,
+      page: position.page,
+      x: position.x,
+      y: position.y,
+      time: this.timelineSync.getCurrentTime(),
+      originalEvent: event
+    };
+  }
+
+  /**
+   * Report clicks on annotations
+   *
+   * @private
+   * @param {MouseEvent} event - Click event
+   * @returns {void}
+   */
+  _onContainerClick(event) {
+    const hit = this._hitTestEvent(event);
+    if (hit) {
+      this._invokeHandler('onAnnotationClick', hit);
+    }
+  }
+
+  /**
+   * Track which annotation is under the pointer
+   *
+   * @private
+   * @param {PointerEvent} event - Pointer move event
+   * @returns {void}
+   */
+  _onContainerPointerMove(event) {
+    const hit = this._hitTestEvent(event);
+    const previous = this.hovered;
+
+    if (hit && previous && hit.annotation === previous.annotation && hit.page === previous.page) {
+      return;
+    }
+
+    if (previous) {
+      this.hovered = null;
+      this._invokeHandler('onAnnotationLeave', {
+        ...previous,
+        x: hit ? hit.x : previous.x,
+        y: hit ? hit.y : previous.y,
+        time: this.timelineSync.getCurrentTime(),
+        originalEvent: event
+      });
+    }
+
+    if (hit) {
+      this.hovered = hit;
+      this._invokeHandler('onAnnotationHover', hit);
+    }
+
+    this.interactionTarget.style.cursor = hit && this.interactionHandlers.onAnnotationClick
+      ? 'pointer'
+      : '';
+  }
+
+  /**
+   * Report leaving the hovered annotation when the pointer exits the container
+   *
+   * @private
+   * @param {PointerEvent} event - Pointer leave event
+   * @returns {void}
+   */
+  _onContainerPointerLeave(event) {
+    if (this.hovered) {
+      const previous = this.hovered;
+      this.hovered = null;
+      this._invokeHandler('onAnnotationLeave', {
+        ...previous,
+        time: this.timelineSync.getCurrentTime(),
+        originalEvent: event
+      });
+    }
+
+    this.interactionTarget.style.cursor = '';
+  }
+
+  /**
+   * Call an interaction handler, isolating its errors
+   *
+   * @private
+   * @param {string} name - Handler name
+   * @param {Object} payload - Hit payload
+   * @returns {void}
+   */
+  _invokeHandler(name, payload) {
+    const handler = this.interactionHandlers[name];
+    if (!handler) {
+      return;
+    }
+
+    try {
+      handler(payload);
+    } catch (err) {
+      console.error(`AnnotationRenderer: ${name} callback error:`, err);
+    }
+  }
+
+  /**
+   * Remove pointer listeners and reset the cursor
+   *
+   * @private
+   * @returns {void}
+   */
+  _detachInteraction() {
+    const target = this.interactionTarget;
+    target.removeEventListener('click', this._onContainerClick);
+    target.removeEventListener('pointermove', this._onContainerPointerMove);
+    target.removeEventListener('pointerleave', this._onContainerPointerLeave);
+    target.style.cursor = '';
+    this.interactionTarget = null;
+    this.hovered = null;
+    this.interactive = false;
+  }
+
+  /**
+   * Get DrawingLayer for the current page
+   *
+   * @private
+   * @returns {DrawingLayer|null} Drawing layer, or null if the page has no layers yet
+   */
+  _getDrawingLayer() {
+    const layerManager = this.scrollView
+      ? this.scrollView.getLayerManager(this.currentPage)
+      : this.layerManager;
+
+    return layerManager ? layerManager.getLayer('drawing') : null;
+  }
+
+  /**
+   * Notify event listeners
+   *
+   * @private
+   * @param {string} type - Event name
+   * @param {Object} [detail] - Event-specific fields
+   * @returns {void}
+   */
+  _emit(type, detail = {}) {
+    const listeners = this.eventListeners.get(type);
+    if (!listeners || listeners.size === 0) {
+      return;
+    }
+
+    const event = {
+      type,
+      time: this.timelineSync ? this.timelineSync.getCurrentTime() : 0,
+      ...detail
+    };
+
+    for (const listener of [...listeners]) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error(`AnnotationRenderer: ${type} listener error:`, err);
+      }
+    }
+  }
+
+  /**
+   * Emit an error event for a failed operation result
+   *
+   * @private
+   * @param {string} source - Failed operation ('load', 'render' or 'scale')
+   * @param {Object} result - Failed result object
+   * @param {Object} [detail] - Extra event fields
+   * @returns {Object} The same result object
+   */
+  _reportError(source, result, detail = {}) {
+    this._emit('error', { source, error: result.error, ...detail });
+    return result;
+  }
+
+  /**
+   * Emit lifecycle events for an annotation state change reported by a layer
+   *
+   * Annotations leaving a layer (page switches, setAnnotations()) are not
+   * transitions: they keep their state until their page is shown again or
+   * they are pruned by setAnnotations().
+   *
+   * @private
+   * @param {Object} change - Layer report ({ annotation, state, previousState, time, removed })
+   * @returns {void}
+   */
+  _onAnnotationState({ annotation, state, removed }) {
+    if (removed) {
+      return;
+    }
+
+    const id = annotation.id;
+    const previousState = this.annotationStates.get(id)?.state || 'hidden';
+    if (state === previousState) {
+      return;
+    }
+
+    if (state === 'hidden') {
+      this.annotationStates.delete(id);
+    } else {
+      this.annotationStates.set(id, { annotation, state });
+    }
+
+    const page = annotation.page;
+    this._emit('annotationstatechange', { annotation, page, state, previousState });
+
+    if (previousState === 'hidden') {
+      this._emit('annotationvisible', { annotation, page });
+    }
+    if (state === 'complete') {
+      this._emit('annotationcompleted', { annotation, page });
+    }
+  }
+
+  /**
+   * Report annotations of a newly shown page that became hidden while the
+   * page was not shown
+   *
+   * Layers only report annotations they draw, so one that was revealing or
+   * complete when its page was left and has since been hidden on the
+   * timeline would otherwise keep its stale state.
+   *
+   * @private
+   * @param {LayerManager|null} layerManager - Layers of the page
+   * @param {number} pageNum - Page number
+   * @returns {void}
+   */
+  _syncAnnotationStates(layerManager, pageNum) {
+    if (!layerManager) {
+      return;
+    }
+
+    const time = this.timelineSync.getCurrentTime();
+    for (const { annotation } of Array.from(this.annotationStates.values())) {
+      if (annotation.page === pageNum) {
+        this._onAnnotationState({
+          annotation,
+          state: layerManager.getAnnotationState(annotation, time)
+        });
+      }
+    }
+  }
+
+  /**
+   * Drop lifecycle states of annotations no longer in the annotation set
+   *
+   * Removed annotations that were shown are reported as hidden; the others
+   * pick up their latest object.
+   *
+   * @private
+   * @param {Array} annotations - New annotation array
+   * @returns {void}
+   */
+  _pruneAnnotationStates(annotations) {
+    const byId = new Map();
+    for (const annotation of annotations) {
+      if (annotation && annotation.id !== undefined) {
+        byId.set(annotation.id, annotation);
+      }
+    }
+
+    for (const [id, entry] of Array.from(this.annotationStates)) {
+      if (byId.has(id)) {
+        entry.annotation = byId.get(id);
+      } else {
+        this._onAnnotationState({ annotation: entry.annotation, state: 'hidden' });
+      }
+    }
+  }
+
+  /**
+   * Invoke config.onPageChange callback
+   *
+   * @private
+   * @param {number} pageNum - New page number
+   * @param {string} source - What caused the change ('timeline' or 'scroll')
+   * @returns {void}
+   */
+  _emitPageChange(pageNum, source) {
+    if (typeof this.config?.onPageChange !== 'function') {
+      return;
+    }
+
+    try {
+      this.config.onPageChange(pageNum, { source });
+    } catch (err) {
+      console.error('AnnotationRenderer: onPageChange callback error:', err);
+    }
   }
 }
@@ -3,14 +3,28 @@
  *
  * This module manages annotation layer instances, routes annotations by type,
  * and coordinates viewport and timeline state across all layers.
- * Instantiates layer classes directly and manages their lifecycle.
+ * Layer classes are looked up in a registry keyed by annotation type, so
+ * custom BaseLayer subclasses can be added alongside the built-in ones.
  *
  * @module core/LayerManager
  */
 
+import BaseLayer from '../layers/BaseLayer.js';
 import HighlightLayer from '../layers/HighlightLayer.js';
 import TextLayer from '../layers/TextLayer.js';
 import DrawingLayer from '../layers/DrawingLayer.js';
+import ShapeLayer from '../layers/ShapeLayer.js';
+import SpotlightLayer from '../layers/SpotlightLayer.js';
+import PointerLayer from '../layers/PointerLayer.js';
+import ImageLayer from '../layers/ImageLayer.js';
+
+/**
+ * Registered layer definitions keyed by annotation type
+ *
+ * @private
+ * @type {Map<string, {type: string, LayerClass: Function, zIndex: number|null, name: string}>}
+ */
+const layerRegistry = new Map();
 
 /**
  * LayerManager class
@@ -18,7 +32,8 @@ import DrawingLayer from '../layers/DrawingLayer.js';
  * Orchestrates annotation layers by instantiating and managing layer instances.
  * Routes annotations to appropriate layers by type, propagates viewport changes,
  * and coordinates timeline updates. Uses Direct Instantiation Pattern for
- * framework-agnostic layer management.
+ * framework-agnostic layer management; one instance of every registered layer
+ * class is created per manager.
  *
  * @class
  * @example
@@ -29,12 +44,84 @@ import DrawingLayer from '../layers/DrawingLayer.js';
  * manager.updateTimeline(5.0);
  * // Layers render automatically
  * manager.destroy();
+ *
+ * @example
+ * // Custom annotation type
+ * class StampLayer extends BaseLayer { ... }
+ * LayerManager.registerLayer('stamp', StampLayer, { zIndex: 45 });
  */
 export class LayerManager {
+  /**
+   * Register a layer class for an annotation type
+   *
+   * The layer receives the annotations of that type for the current page,
+   * viewport updates and timeline ticks exactly like the built-in layers.
+   * Registering an existing type replaces its layer class. Managers created
+   * earlier pick up the new layer on their next setAnnotations() call.
+   * Types registered together (or under the same name and class) share one
+   * layer instance, which receives all of their annotations.
+   *
+   * @param {string|Array<string>} type - Annotation type(s) routed to the layer
+   *   (e.g. 'stamp')
+   * @param {Function} LayerClass - BaseLayer subclass, constructed as
+   *   new LayerClass(container, viewport)
+   * @param {Object} [options] - Registration options
+   * @param {number} [options.zIndex] - Stacking order applied to the layer's root
+   *   element (built-ins: spotlight 20, highlight 25, image 27, text 30, shape 35,
+   *   drawing 40, pointer 50)
+   * @param {string} [options.name=type] - Name used by getLayer() (defaults to
+   *   the first type)
+   * @returns {void}
+   * @throws {Error} If a type is not a non-empty string
+   * @throws {Error} If LayerClass does not extend BaseLayer
+   */
+  static registerLayer(type, LayerClass, options = {}) {
+    const types = Array.isArray(type) ? type : [type];
+
+    if (types.length === 0 ||
+        types.some(t => typeof t !== 'string' || t.trim().length === 0)) {
+      throw new Error('LayerManager.registerLayer: type must be a non-empty string');
+    }
+
+    if (typeof LayerClass !== 'function' || !(LayerClass.prototype instanceof BaseLayer)) {
+      throw new Error('LayerManager.registerLayer: LayerClass must extend BaseLayer');
+    }
+
+    for (const t of types) {
+      layerRegistry.set(t, {
+        type: t,
+        LayerClass,
+        zIndex: typeof options.zIndex === 'number' ? options.zIndex : null,
+        name: options.name || types[0]
+      });
+    }
+  }
+
+  /**
+   * Remove a layer registration
+   *
+   * Existing managers keep their instance until destroyed.
+   *
+   * @param {string} type - Annotation type
+   * @returns {boolean} True if a registration was removed
+   */
+  static unregisterLayer(type) {
+    return layerRegistry.delete(type);
+  }
+
+  /**
+   * Get registered annotation types
+   *
+   * @returns {Array<string>} Registered types in registration order
+   */
+  static getRegisteredTypes() {
+    return Array.from(layerRegistry.keys());
+  }
+
   /**
    * Create LayerManager instance
    *
-   * Instantiates all layer classes and manages their lifecycle.
+   * Instantiates all registered layer classes and manages their lifecycle.
    * Layers are created immediately and appended to container.
    *
    * @param {HTMLElement} containerElement - DOM element for layer rendering
@@ -84,15 +171,34 @@ export class LayerManager {
     this.allAnnotations = [];
 
     /**
-     * Layer instances
+     * Layer instances keyed by layer name
      * @private
      * @type {Object}
      */
-    this.layers = {
-      highlight: new HighlightLayer(containerElement, viewport),
-      text: new TextLayer(containerElement, viewport),
-      drawing: new DrawingLayer(containerElement, viewport)
-    };
+    this.layers = {};
+
+    /**
+     * Layer entries ({types, name, zIndex, layer}) sorted by zIndex, bottom first
+     * @private
+     * @type {Array<Object>}
+     */
+    this.layerEntries = [];
+
+    /**
+     * Annotation types already reported as unsupported
+     * @private
+     * @type {Set<string>}
+     */
+    this.warnedTypes = new Set();
+
+    /**
+     * Annotation state listener shared by all layers
+     * @private
+     * @type {Function|null}
+     */
+    this.stateListener = null;
+
+    this._syncLayers();
   }
 
   /**
@@ -122,23 +228,36 @@ export class LayerManager {
     this.allAnnotations = annotations;
     this.currentPage = pageNum;
 
+    // Instantiate layers registered since construction
+    this._syncLayers();
+
     // Filter annotations for current page only
     const pageAnnotations = annotations.filter(a => a.page === pageNum);
 
-    // Group by type
-    const highlights = pageAnnotations.filter(a => a.type === 'highlight');
-    const textAnnotations = pageAnnotations.filter(a => a.type === 'text');
-    const inkAnnotations = pageAnnotations.filter(a => a.type === 'ink');
+    // Group by layer
+    const groups = new Map(this.layerEntries.map(entry => [entry, []]));
+    const entryByType = new Map();
+    for (const entry of this.layerEntries) {
+      for (const type of entry.types) {
+        entryByType.set(type, entry);
+      }
+    }
 
-    // Pass annotations to layer instances
-    this.layers.highlight.setAnnotations(highlights);
-    this.layers.text.setAnnotations(textAnnotations);
-    this.layers.drawing.setAnnotations(inkAnnotations);
+    for (const annotation of pageAnnotations) {
+      const entry = entryByType.get(annotation.type);
+      if (entry) {
+        groups.get(entry).push(annotation);
+      } else if (!this.warnedTypes.has(annotation.type)) {
+        this.warnedTypes.add(annotation.type);
+        console.warn(`LayerManager.setAnnotations: no layer registered for type "${annotation.type}"`);
+      }
+    }
 
-    // Trigger render on all layers
-    this.layers.highlight.render();
-    this.layers.text.render();
-    this.layers.drawing.render();
+    // Pass annotations to layer instances and trigger render
+    for (const entry of this.layerEntries) {
+      entry.layer.setAnnotations(groups.get(entry));
+      entry.layer.render();
+    }
   }
 
   /**
@@ -164,15 +283,12 @@ export class LayerManager {
     // Store viewport reference
     this.currentViewport = viewport;
 
-    // Propagate to all layer instances
-    this.layers.highlight.setViewport(viewport);
-    this.layers.text.setViewport(viewport);
-    this.layers.drawing.setViewport(viewport);
-
-    // Trigger render on all layers (viewport change requires re-layout)
-    this.layers.highlight.render();
-    this.layers.text.render();
-    this.layers.drawing.render();
+    // Propagate to all layer instances and trigger render
+    // (viewport change requires re-layout)
+    for (const { layer } of this.layerEntries) {
+      layer.setViewport(viewport);
+      layer.render();
+    }
   }
 
   /**
@@ -192,9 +308,74 @@ export class LayerManager {
     }
 
     // Propagate time update to all layer instances
-    this.layers.highlight.updateTime(timestamp);
-    this.layers.text.updateTime(timestamp);
-    this.layers.drawing.updateTime(timestamp);
+    for (const { layer } of this.layerEntries) {
+      layer.updateTime(timestamp);
+    }
+  }
+
+  /**
+   * Set the listener notified of annotation lifecycle transitions
+   *
+   * Every layer reports its own annotations from updateTimeline(); see
+   * BaseLayer.setStateListener() for the payload.
+   *
+   * @param {Function|null} listener - ({ annotation, state, previousState, time, removed }) => void
+   * @returns {void}
+   */
+  setStateListener(listener) {
+    this.stateListener = typeof listener === 'function' ? listener : null;
+
+    for (const { layer } of this.layerEntries) {
+      layer.setStateListener(this.stateListener);
+    }
+  }
+
+  /**
+   * Get an annotation's lifecycle state as drawn by the layer for its type
+   *
+   * @param {Object} annotation - Annotation object
+   * @param {number} nowSec - Current timeline position in seconds
+   * @returns {string} 'hidden', 'revealing' or 'complete'; 'hidden' if no
+   *   layer handles the annotation's type
+   */
+  getAnnotationState(annotation, nowSec) {
+    const entry = this.layerEntries.find(e => e.types.includes(annotation?.type));
+    return entry ? entry.layer.getAnnotationState(annotation, nowSec) : 'hidden';
+  }
+
+  /**
+   * Find the topmost visible annotation at a point
+   *
+   * Layers are tested from top to bottom in zIndex order.
+   *
+   * @param {number} x - Normalized x position (0-1)
+   * @param {number} y - Normalized y position (0-1)
+   * @returns {Object|null} Annotation under the point, or null
+   */
+  hitTest(x, y) {
+    if (!this.layers) {
+      return null;
+    }
+
+    for (let i = this.layerEntries.length - 1; i >= 0; i--) {
+      const hit = this.layerEntries[i].layer.hitTest(x, y);
+      if (hit) {
+        return hit;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a layer instance by name
+   *
+   * @param {string} name - Layer name ('spotlight', 'highlight', 'image', 'text',
+   *   'shape', 'drawing', 'pointer' or a registered custom name)
+   * @returns {BaseLayer|null} Layer instance, or null if unknown or destroyed
+   */
+  getLayer(name) {
+    return this.layers?.[name] ?? null;
   }
 
   /**
@@ -209,10 +390,11 @@ export class LayerManager {
   destroy() {
     // Destroy all layer instances
     if (this.layers) {
-      this.layers.highlight.destroy();
-      this.layers.text.destroy();
-      this.layers.drawing.destroy();
+      for (const { layer } of this.layerEntries) {
+        layer.destroy();
+      }
       this.layers = null;
+      this.layerEntries = [];
     }
 
     // Clear all references
@@ -220,5 +402,70 @@ export class LayerManager {
     this.currentPage = null;
     this.currentViewport = null;
     this.allAnnotations = [];
+    this.stateListener = null;
+  }
+
+  /**
+   * Instantiate layers for registered types that have no instance yet
+   *
+   * @private
+   * @returns {void}
+   */
+  _syncLayers() {
+    let added = false;
+
+    for (const def of layerRegistry.values()) {
+      // Type moved to a layer under another name
+      for (const entry of this.layerEntries) {
+        if (entry.name !== def.name && entry.types.includes(def.type)) {
+          entry.types = entry.types.filter(type => type !== def.type);
+        }
+      }
+
+      const existing = this.layerEntries.find(entry => entry.name === def.name);
+      if (existing && existing.layer instanceof def.LayerClass) {
+        if (!existing.types.includes(def.type)) {
+          existing.types.push(def.type);
+        }
+        continue;
+      }
+
+      // Registration replaced the class for this layer
+      if (existing) {
+        existing.layer.destroy();
+        this.layerEntries.splice(this.layerEntries.indexOf(existing), 1);
+        delete this.layers[existing.name];
+      }
+
+      const layer = new def.LayerClass(this.container, this.currentViewport);
+      layer.setStateListener(this.stateListener);
+
+      const element = layer.getElement();
+      if (element && def.zIndex !== null) {
+        element.style.zIndex = String(def.zIndex);
+      }
+
+      this.layers[def.name] = layer;
+      this.layerEntries.push({
+        types: [def.type],
+        name: def.name,
+        zIndex: def.zIndex ?? 0,
+        layer
+      });
+      added = true;
+    }
+
+    if (added) {
+      this.layerEntries.sort((a, b) => a.zIndex - b.zIndex);
+    }
   }
 }
+
+// Built-in layers
+LayerManager.registerLayer('spotlight', SpotlightLayer, { zIndex: 20 });
+LayerManager.registerLayer('highlight', HighlightLayer, { zIndex: 25 });
+LayerManager.registerLayer('image', ImageLayer, { zIndex: 27 });
+LayerManager.registerLayer('text', TextLayer, { zIndex: 30 });
+LayerManager.registerLayer(['rect', 'ellipse', 'line', 'arrow'], ShapeLayer, { zIndex: 35, name: 'shape' });
+LayerManager.registerLayer('ink', DrawingLayer, { zIndex: 40, name: 'drawing' });
+LayerManager.registerLayer('pointer', PointerLayer, { zIndex: 50 });
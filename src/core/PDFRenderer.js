@@ -9,21 +9,112 @@
 
 import * as pdfjsLib from "pdfjs-dist";
 import { calculateViewport } from "../utils/viewportUtils.js";
+import { annotationToPdfData } from "../utils/exportUtils.js";
+import { pdfAnnotationToAnnotation, scheduleAnnotations } from "../utils/importUtils.js";
+import { normalizeAnnotation } from "../types/validators.js";
+
+/**
+ * Annotation storage key prefix pdf.js uses for newly created annotations
+ * (not exported by pdfjs-dist)
+ * @type {string}
+ */
+const NEW_ANNOTATION_PREFIX = "pdfjs_internal_editor_";
+
+/**
+ * loadDocument() options passed through to pdfjsLib.getDocument()
+ * @type {Array<string>}
+ */
+const DOCUMENT_OPTIONS = [
+  "httpHeaders",
+  "withCredentials",
+  "password",
+  "rangeChunkSize",
+  "disableRange",
+  "disableStream",
+  "disableAutoFetch",
+];
+
+/**
+ * Default memory budget of the page render cache in bytes (128 MiB)
+ * @type {number}
+ */
+const DEFAULT_CACHE_BUDGET = 134217728;
+
+/**
+ * Build the render cache key of a page
+ *
+ * @param {number} pageNum - Page number (1-indexed)
+ * @param {number} scale - Render scale
+ * @param {number} rotation - Viewport rotation in degrees
+ * @returns {string} Cache key
+ */
+function getCacheKey(pageNum, scale, rotation) {
+  return `${pageNum}:${scale}:${rotation}`;
+}
+
+/**
+ * Build pdf.js source parameters from a URL or binary document
+ *
+ * Blobs (and Files) are read into memory first. ArrayBuffers and views are
+ * copied, because pdf.js transfers the buffer it is given to its worker and
+ * would otherwise detach the caller's buffer.
+ *
+ * @param {string|URL|ArrayBuffer|ArrayBufferView|Blob} source - PDF source
+ * @returns {Promise<{url?: string, data?: Uint8Array}|null>} Source parameters,
+ *   or null if the source type is not supported
+ */
+async function getSourceParams(source) {
+  if (typeof source === "string") {
+    return source ? { url: source } : null;
+  }
+
+  if (typeof URL !== "undefined" && source instanceof URL) {
+    return { url: source.href };
+  }
+
+  if (source instanceof ArrayBuffer) {
+    return { data: new Uint8Array(source.slice(0)) };
+  }
+
+  if (ArrayBuffer.isView(source)) {
+    return {
+      data: new Uint8Array(
+        source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength)
+      ),
+    };
+  }
+
+  if (typeof Blob !== "undefined" && source instanceof Blob) {
+    return { data: new Uint8Array(await source.arrayBuffer()) };
+  }
+
+  return null;
+}
 
 /**
  * PDFRenderer class
  *
  * Provides framework-agnostic PDF rendering capabilities.
  * Abstracts pdf.js complexity and provides clean interface for engine.
+ * Rendered pages are kept as ImageBitmaps in a least-recently-used cache,
+ * so showing a page again at the same scale skips pdf.js rendering.
  *
  * @class
  * @example
- * const renderer = new PDFRenderer();
+ * const renderer = new PDFRenderer({ cacheBudget: 64 * 1024 * 1024 });
  * await renderer.loadDocument('/path/to/doc.pdf');
  * const result = await renderer.renderPage(1, canvasElement, 1.5);
+ * renderer.prerenderPages([2], 1.5); // Page 2 now renders from the cache
  */
 export class PDFRenderer {
-  constructor() {
+  /**
+   * Create PDFRenderer instance
+   *
+   * @param {Object} [options] - Renderer options
+   * @param {number} [options.cacheBudget=134217728] - Memory budget of the page
+   *   render cache in bytes (4 bytes per canvas pixel); 0 disables caching
+   */
+  constructor(options = {}) {
     /**
      * @private
      * @type {PDFDocumentProxy|null}
@@ -35,26 +126,187 @@ export class PDFRenderer {
      * @type {RenderTask|null}
      */
     this.renderTask = null;
+
+    /**
+     * @private
+     * @type {TextLayer|null}
+     */
+    this.textLayerTask = null;
+
+    /**
+     * Stops the document load in progress with a reason ('abort' or 'password')
+     * @private
+     * @type {Function|null}
+     */
+    this.stopLoad = null;
+
+    /**
+     * Incremented on every loadDocument() call so superseded loads stop
+     * @private
+     * @type {number}
+     */
+    this.loadGeneration = 0;
+
+    /**
+     * Rendered pages keyed by page, scale and rotation, least recently used first
+     * @private
+     * @type {Map<string, {bitmap: ImageBitmap, bytes: number}>}
+     */
+    this.renderCache = new Map();
+
+    /**
+     * Memory held by renderCache in bytes
+     * @private
+     * @type {number}
+     */
+    this.cacheBytes = 0;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.cacheBudget = DEFAULT_CACHE_BUDGET;
+    this.setCacheBudget(options.cacheBudget ?? DEFAULT_CACHE_BUDGET);
+
+    /**
+     * Background render of prerenderPages(), cancelled by foreground renders
+     * @private
+     * @type {{cancelled: boolean, task: RenderTask|null}|null}
+     */
+    this.prerenderJob = null;
+
+    /**
+     * Render tasks of renderPageOffscreen() in progress
+     * @private
+     * @type {Set<RenderTask>}
+     */
+    this.offscreenTasks = new Set();
   }
 
   /**
-   * Load PDF document from URL
+   * Load PDF document from a URL or binary data
    *
-   * @param {string} url - URL or path to PDF file
-   * @returns {Promise<{success: boolean, pageCount?: number, error?: string}>}
+   * Starting a new load cancels one that is still in progress. Binary sources
+   * are copied, so the caller's buffer stays usable (e.g. to load it again).
+   *
+   * @param {string|URL|ArrayBuffer|ArrayBufferView|Blob} source - URL or path to
+   *   the PDF file, or its bytes (a File from drag-and-drop is a Blob)
+   * @param {Object} [options] - Loading options
+   * @param {Object} [options.httpHeaders] - Extra HTTP headers for URL sources
+   * @param {boolean} [options.withCredentials=false] - Send cookies and credentials
+   *   with cross-origin requests
+   * @param {string} [options.password] - Password for encrypted documents
+   * @param {Function} [options.onPassword] - Asked for the password of an encrypted
+   *   document: ({ incorrect }) => string|null|Promise<string|null>; incorrect is
+   *   true after a wrong password, and returning null or '' gives up
+   * @param {Function} [options.onProgress] - Called as data arrives:
+   *   ({ loaded, total }) => void; total is 0 when the size is unknown
+   * @param {AbortSignal} [options.signal] - Aborts the load
+   * @param {number} [options.rangeChunkSize] - Bytes per HTTP range request
+   * @param {boolean} [options.disableRange=false] - Fetch the whole file instead of
+   *   using range requests
+   * @param {boolean} [options.disableStream=false] - Disable streaming of the file
+   * @param {boolean} [options.disableAutoFetch=false] - Only fetch the ranges needed
+   *   for rendered pages instead of prefetching the rest of the file
+   * @returns {Promise<{success: boolean, pageCount?: number, error?: string,
+   *   aborted?: boolean, passwordRequired?: boolean}>}
    */
-  async loadDocument(url) {
+  async loadDocument(source, options = {}) {
+    const { signal, onProgress, onPassword } = options;
+    let stoppedBy = null;
+    const generation = ++this.loadGeneration;
+
     try {
-      if (!url || typeof url !== "string") {
+      this._cancelLoad();
+      // Renders of the current document must not reach the cache of the next
+      this._cancelPrerender();
+      this.cancelRender();
+
+      if (signal?.aborted) {
+        return { success: false, error: "Loading was aborted", aborted: true };
+      }
+
+      const sourceParams = await getSourceParams(source);
+      if (!sourceParams) {
         return {
           success: false,
-          error: "Invalid PDF URL provided",
+          error: "Invalid PDF source provided",
         };
       }
 
-      const loadingTask = pdfjsLib.getDocument(url);
-      const pdf = await loadingTask.promise;
+      if (signal?.aborted || generation !== this.loadGeneration) {
+        return { success: false, error: "Loading was aborted", aborted: true };
+      }
 
+      const params = { ...sourceParams };
+      for (const key of DOCUMENT_OPTIONS) {
+        if (options[key] !== undefined) {
+          params[key] = options[key];
+        }
+      }
+
+      const loadingTask = pdfjsLib.getDocument(params);
+
+      // Destroying a loading task does not always settle its promise, so
+      // stopping rejects a promise raced against it
+      let rejectStopped;
+      const stopped = new Promise((resolve, reject) => {
+        rejectStopped = reject;
+      });
+      const stop = (reason) => {
+        if (stoppedBy) {
+          return;
+        }
+        stoppedBy = reason;
+        rejectStopped(new Error(`Loading stopped: ${reason}`));
+        loadingTask.destroy().catch(() => {});
+      };
+      this.stopLoad = stop;
+
+      if (typeof onProgress === "function") {
+        loadingTask.onProgress = ({ loaded, total }) => {
+          try {
+            onProgress({ loaded, total: total || 0 });
+          } catch (err) {
+            console.error("PDFRenderer: onProgress callback error:", err);
+          }
+        };
+      }
+
+      if (typeof onPassword === "function") {
+        loadingTask.onPassword = (updatePassword, reason) => {
+          const incorrect = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+
+          Promise.resolve()
+            .then(() => onPassword({ incorrect }))
+            .then((password) => {
+              if (typeof password === "string" && password.length > 0) {
+                updatePassword(password);
+              } else {
+                stop("password");
+              }
+            })
+            .catch((err) => {
+              console.error("PDFRenderer: onPassword callback error:", err);
+              stop("password");
+            });
+        };
+      }
+
+      const abort = () => stop("abort");
+      signal?.addEventListener("abort", abort, { once: true });
+
+      let pdf;
+      try {
+        pdf = await Promise.race([loadingTask.promise, stopped]);
+      } finally {
+        signal?.removeEventListener("abort", abort);
+        if (this.stopLoad === stop) {
+          this.stopLoad = null;
+        }
+      }
+
+      this.clearRenderCache();
       this.pdfDoc = pdf;
 
       return {
@@ -62,6 +314,20 @@ export class PDFRenderer {
         pageCount: pdf.numPages,
       };
     } catch (err) {
+      if (stoppedBy === "password" || err.name === "PasswordException") {
+        return {
+          success: false,
+          error: err.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD
+            ? "Incorrect PDF password"
+            : "PDF password required",
+          passwordRequired: true,
+        };
+      }
+
+      if (stoppedBy === "abort" || err.name === "AbortException") {
+        return { success: false, error: "Loading was aborted", aborted: true };
+      }
+
       console.error("PDF loading error:", err);
       return {
         success: false,
@@ -76,7 +342,8 @@ export class PDFRenderer {
    * @param {number} pageNum - Page number (1-indexed)
    * @param {HTMLCanvasElement} canvas - Canvas element to render to
    * @param {number} scale - Scale factor for rendering
-   * @returns {Promise<{success: boolean, viewport?: Object, error?: string}>}
+   * @returns {Promise<{success: boolean, viewport?: Object, error?: string, cancelled?: boolean,
+   *   cached?: boolean}>} cached is true when the page was drawn from the render cache
    */
   async renderPage(pageNum, canvas, scale) {
     try {
@@ -101,14 +368,18 @@ export class PDFRenderer {
         };
       }
 
-      // Cancel any in-progress rendering
+      // Cancel any in-progress rendering; foreground renders also take
+      // precedence over prerendering
       if (this.renderTask) {
         this.renderTask.cancel();
         this.renderTask = null;
       }
+      this._cancelPrerender();
 
-      const page = await this.pdfDoc.getPage(pageNum);
+      const pdfDoc = this.pdfDoc;
+      const page = await pdfDoc.getPage(pageNum);
       const viewport = calculateViewport(page, scale);
+      const cacheKey = getCacheKey(pageNum, scale, viewport.rotation);
 
       canvas.width = viewport.width;
       canvas.height = viewport.height;
@@ -121,6 +392,20 @@ export class PDFRenderer {
         };
       }
 
+      // Pages rendered before are drawn from the cache
+      const cached = this.renderCache.get(cacheKey);
+      if (cached) {
+        this.renderCache.delete(cacheKey);
+        this.renderCache.set(cacheKey, cached);
+        context.drawImage(cached.bitmap, 0, 0);
+
+        return {
+          success: true,
+          viewport: viewport,
+          cached: true,
+        };
+      }
+
       const renderContext = {
         canvasContext: context,
         viewport: viewport,
@@ -131,6 +416,9 @@ export class PDFRenderer {
 
       this.renderTask = null;
 
+      // Snapshot in the background; the page is already on screen
+      this._cacheCanvas(pdfDoc, cacheKey, canvas).catch(() => {});
+
       return {
         success: true,
         viewport: viewport,
@@ -141,6 +429,7 @@ export class PDFRenderer {
         return {
           success: false,
           error: "Rendering was cancelled",
+          cancelled: true,
         };
       }
 
@@ -154,6 +443,328 @@ export class PDFRenderer {
     }
   }
 
+  /**
+   * Render PDF page to a canvas outside the foreground render
+   *
+   * Unlike renderPage(), this neither cancels nor is cancelled by other
+   * renders, and the result is not cached. Meant for one-off renders to
+   * off-screen canvases, such as a high-resolution copy of the page shown.
+   *
+   * @param {number} pageNum - Page number (1-indexed)
+   * @param {HTMLCanvasElement} canvas - Canvas element to render to
+   * @param {number} scale - Scale factor for rendering
+   * @returns {Promise<{success: boolean, viewport?: Object, error?: string, cancelled?: boolean}>}
+   */
+  async renderPageOffscreen(pageNum, canvas, scale) {
+    if (!this.pdfDoc) {
+      return {
+        success: false,
+        error: "No PDF document loaded",
+      };
+    }
+
+    if (!canvas || !(canvas instanceof HTMLCanvasElement)) {
+      return {
+        success: false,
+        error: "Invalid canvas element provided",
+      };
+    }
+
+    if (pageNum < 1 || pageNum > this.pdfDoc.numPages) {
+      return {
+        success: false,
+        error: `Invalid page number: ${pageNum}. Document has ${this.pdfDoc.numPages} pages.`,
+      };
+    }
+
+    let task = null;
+
+    try {
+      const page = await this.pdfDoc.getPage(pageNum);
+      const viewport = calculateViewport(page, scale);
+
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+
+      task = page.render({
+        canvasContext: canvas.getContext("2d"),
+        viewport: viewport,
+      });
+      this.offscreenTasks.add(task);
+      await task.promise;
+
+      return {
+        success: true,
+        viewport: viewport,
+      };
+    } catch (err) {
+      if (err.name === "RenderingCancelledException") {
+        return {
+          success: false,
+          error: "Rendering was cancelled",
+          cancelled: true,
+        };
+      }
+
+      console.error("Offscreen page rendering error:", err);
+      return {
+        success: false,
+        error: `Failed to render page: ${err.message}`,
+      };
+    } finally {
+      this.offscreenTasks.delete(task);
+    }
+  }
+
+  /**
+   * Render selectable pdf.js text layer for a page
+   *
+   * Fills the container with transparent, absolutely positioned text spans
+   * aligned with the rendered canvas so the user can select page text.
+   * Styling is applied inline, so no pdf.js stylesheet is required.
+   *
+   * @param {number} pageNum - Page number (1-indexed)
+   * @param {HTMLElement} container - Element to fill with text spans
+   * @param {Object} viewport - Viewport the page canvas was rendered with
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async renderTextLayer(pageNum, container, viewport) {
+    let textLayer = null;
+
+    try {
+      if (!this.pdfDoc) {
+        return {
+          success: false,
+          error: "No PDF document loaded",
+        };
+      }
+
+      if (!container || !(container instanceof HTMLElement)) {
+        return {
+          success: false,
+          error: "Invalid text layer container provided",
+        };
+      }
+
+      // Cancel any in-progress text layer
+      if (this.textLayerTask) {
+        this.textLayerTask.cancel();
+        this.textLayerTask = null;
+      }
+
+      const page = await this.pdfDoc.getPage(pageNum);
+
+      container.replaceChildren();
+      container.style.setProperty("--total-scale-factor", String(viewport.scale));
+      container.style.setProperty("--scale-round-x", "1px");
+      container.style.setProperty("--scale-round-y", "1px");
+      container.style.lineHeight = "1";
+      container.style.transformOrigin = "0 0";
+      container.style.overflow = "hidden";
+
+      textLayer = new pdfjsLib.TextLayer({
+        textContentSource: page.streamTextContent(),
+        container,
+        viewport,
+      });
+
+      this.textLayerTask = textLayer;
+      await textLayer.render();
+
+      // Equivalent of pdf.js viewer CSS: invisible but selectable glyph boxes
+      for (const el of container.querySelectorAll("span, br")) {
+        el.style.color = "transparent";
+        el.style.position = "absolute";
+        el.style.whiteSpace = "pre";
+        el.style.cursor = "text";
+        el.style.transformOrigin = "0% 0%";
+      }
+
+      return { success: true };
+    } catch (err) {
+      if (err.name === "AbortException") {
+        return {
+          success: false,
+          error: "Text layer rendering was cancelled",
+        };
+      }
+
+      console.error("Text layer rendering error:", err);
+      return {
+        success: false,
+        error: `Failed to render text layer: ${err.message}`,
+      };
+    } finally {
+      if (this.textLayerTask === textLayer) {
+        this.textLayerTask = null;
+      }
+    }
+  }
+
+  /**
+   * Get viewport for a page without rendering it
+   *
+   * Used to size page placeholders before their canvas is drawn.
+   *
+   * @param {number} pageNum - Page number (1-indexed)
+   * @param {number} scale - Scale factor
+   * @returns {Promise<Object|null>} Viewport, or null if no document is loaded
+   *   or the page number is out of range
+   */
+  async getPageViewport(pageNum, scale) {
+    if (!this.pdfDoc || pageNum < 1 || pageNum > this.pdfDoc.numPages) {
+      return null;
+    }
+
+    const page = await this.pdfDoc.getPage(pageNum);
+    return calculateViewport(page, scale);
+  }
+
+  /**
+   * Export the loaded document with annotations written into it
+   *
+   * Highlights, text boxes and ink strokes are saved as native PDF Highlight,
+   * FreeText and Ink annotations at their final (fully revealed) state, so the
+   * result opens with the notes in any PDF reader. Other annotation types and
+   * annotations on pages outside the document are skipped. The loaded
+   * document itself is left unchanged.
+   *
+   * @param {Array} annotations - Annotation array (all pages, all types)
+   * @returns {Promise<{success: boolean, data?: Uint8Array, exportedCount?: number, error?: string}>}
+   */
+  async exportDocument(annotations) {
+    if (!this.pdfDoc) {
+      return {
+        success: false,
+        error: "No PDF document loaded",
+      };
+    }
+
+    if (!Array.isArray(annotations)) {
+      return {
+        success: false,
+        error: "Annotations must be an array",
+      };
+    }
+
+    const pdfDoc = this.pdfDoc;
+    const storage = pdfDoc.annotationStorage;
+    const keys = [];
+
+    try {
+      const viewports = new Map();
+
+      for (const annotation of annotations) {
+        const pageNum = annotation?.page;
+        if (!Number.isInteger(pageNum) || pageNum < 1 || pageNum > pdfDoc.numPages) {
+          continue;
+        }
+
+        if (!viewports.has(pageNum)) {
+          const page = await pdfDoc.getPage(pageNum);
+          viewports.set(pageNum, calculateViewport(page, 1));
+        }
+
+        for (const data of annotationToPdfData(annotation, viewports.get(pageNum))) {
+          const key = `${NEW_ANNOTATION_PREFIX}export_${keys.length}`;
+          storage.setValue(key, data);
+          keys.push(key);
+        }
+      }
+
+      const data = keys.length > 0
+        ? await pdfDoc.saveDocument()
+        : await pdfDoc.getData();
+
+      return {
+        success: true,
+        data,
+        exportedCount: keys.length,
+      };
+    } catch (err) {
+      console.error("PDF export error:", err);
+      return {
+        success: false,
+        error: `Failed to export PDF: ${err.message}`,
+      };
+    } finally {
+      // Leave the document's annotation storage as it was
+      for (const key of keys) {
+        storage.remove(key);
+      }
+    }
+  }
+
+  /**
+   * Import the annotations embedded in the loaded document
+   *
+   * Reads each page's native annotations and converts Highlight, Underline,
+   * FreeText, Ink and Square annotations into normalized `highlight`, `text`
+   * and `ink` annotations. Imported annotations are scheduled one after
+   * another in page order (see importUtils.scheduleAnnotations()).
+   *
+   * @param {Object} [options] - Import options
+   * @param {Array<number>} [options.pages] - Page numbers to read (default: all pages)
+   * @param {number} [options.start=0] - Start time of the first annotation (seconds)
+   * @param {number} [options.duration=1] - Reveal duration of each annotation (seconds)
+   * @param {number} [options.stagger] - Seconds between consecutive starts (default: duration)
+   * @returns {Promise<{success: boolean, annotations?: Array, skippedCount?: number, error?: string}>}
+   *   skippedCount counts native annotations of other subtypes or without usable geometry
+   */
+  async importAnnotations(options = {}) {
+    if (!this.pdfDoc) {
+      return {
+        success: false,
+        error: "No PDF document loaded",
+      };
+    }
+
+    const pdfDoc = this.pdfDoc;
+    const pages = Array.isArray(options.pages)
+      ? options.pages.filter((n) => Number.isInteger(n) && n >= 1 && n <= pdfDoc.numPages)
+      : Array.from({ length: pdfDoc.numPages }, (_, i) => i + 1);
+
+    try {
+      const imported = [];
+      let skippedCount = 0;
+
+      for (const pageNum of pages) {
+        const page = await pdfDoc.getPage(pageNum);
+        const viewport = calculateViewport(page, 1);
+
+        for (const data of await page.getAnnotations({ intent: "display" })) {
+          // Popups and links are not annotations a reader would call notes
+          if (data.subtype === "Popup" || data.subtype === "Link") {
+            continue;
+          }
+
+          const annotation = pdfAnnotationToAnnotation(data, viewport, pageNum);
+          if (annotation) {
+            imported.push(annotation);
+          } else {
+            skippedCount++;
+          }
+        }
+      }
+
+      const annotations = scheduleAnnotations(imported, options).map(
+        (raw, index) => normalizeAnnotation(raw, index).annotation
+      );
+
+      return {
+        success: true,
+        annotations,
+        skippedCount,
+      };
+    } catch (err) {
+      console.error("PDF annotation import error:", err);
+      return {
+        success: false,
+        error: `Failed to import annotations: ${err.message}`,
+      };
+    }
+  }
+
   /**
    * Get total number of pages in loaded PDF
    *
@@ -164,11 +775,16 @@ export class PDFRenderer {
   }
 
   /**
-   * Cancel current rendering task if active
+   * Cancel current rendering task (and text layer task) if active
    *
    * @returns {void}
    */
   cancelRender() {
+    if (this.textLayerTask) {
+      this.textLayerTask.cancel();
+      this.textLayerTask = null;
+    }
+
     if (this.renderTask) {
       try {
         this.renderTask.cancel();
@@ -180,6 +796,142 @@ export class PDFRenderer {
     }
   }
 
+  /**
+   * Render pages in the background so later renderPage() calls hit the cache
+   *
+   * Pages already cached, out of range or larger than the cache budget are
+   * skipped. A new prerenderPages() call or any renderPage() call stops the
+   * pages still pending.
+   *
+   * @param {Array<number>} pageNums - Page numbers (1-indexed), in priority order
+   * @param {number} scale - Scale factor the pages will be shown at
+   * @returns {Promise<{success: boolean, prerendered?: number, error?: string}>}
+   *   prerendered is the number of pages added to the cache
+   */
+  async prerenderPages(pageNums, scale) {
+    this._cancelPrerender();
+
+    if (!this.pdfDoc) {
+      return {
+        success: false,
+        error: "No PDF document loaded",
+      };
+    }
+
+    if (this.cacheBudget === 0 || typeof createImageBitmap !== "function") {
+      return { success: true, prerendered: 0 };
+    }
+
+    const job = { cancelled: false, task: null };
+    this.prerenderJob = job;
+    const pdfDoc = this.pdfDoc;
+    let prerendered = 0;
+
+    try {
+      for (const pageNum of pageNums) {
+        if (job.cancelled || pdfDoc !== this.pdfDoc) {
+          break;
+        }
+
+        if (!Number.isInteger(pageNum) || pageNum < 1 || pageNum > pdfDoc.numPages) {
+          continue;
+        }
+
+        const page = await pdfDoc.getPage(pageNum);
+        if (job.cancelled) {
+          break;
+        }
+
+        const viewport = calculateViewport(page, scale);
+        const cacheKey = getCacheKey(pageNum, scale, viewport.rotation);
+        if (this.renderCache.has(cacheKey) ||
+            viewport.width * viewport.height * 4 > this.cacheBudget) {
+          continue;
+        }
+
+        const canvas = document.createElement("canvas");
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+
+        job.task = page.render({
+          canvasContext: canvas.getContext("2d"),
+          viewport: viewport,
+        });
+        await job.task.promise;
+        job.task = null;
+
+        if (await this._cacheCanvas(pdfDoc, cacheKey, canvas)) {
+          prerendered++;
+        }
+
+        // Release the canvas memory now that the bitmap holds the pixels
+        canvas.width = 0;
+        canvas.height = 0;
+      }
+
+      return { success: true, prerendered };
+    } catch (err) {
+      if (err.name === "RenderingCancelledException") {
+        return { success: true, prerendered };
+      }
+
+      console.warn("PDFRenderer.prerenderPages: prerendering failed:", err);
+      return {
+        success: false,
+        error: `Failed to prerender pages: ${err.message}`,
+      };
+    } finally {
+      if (this.prerenderJob === job) {
+        this.prerenderJob = null;
+      }
+    }
+  }
+
+  /**
+   * Set the memory budget of the render cache
+   *
+   * Least recently used pages are evicted until the cache fits.
+   *
+   * @param {number} bytes - Budget in bytes (4 bytes per canvas pixel); 0 disables caching
+   * @returns {void}
+   */
+  setCacheBudget(bytes) {
+    if (typeof bytes !== "number" || !Number.isFinite(bytes) || bytes < 0) {
+      console.warn("PDFRenderer.setCacheBudget: budget must be a non-negative number of bytes");
+      return;
+    }
+
+    this.cacheBudget = bytes;
+    this._trimCache();
+  }
+
+  /**
+   * Remove all pages from the render cache
+   *
+   * Called automatically when a new document is loaded.
+   *
+   * @returns {void}
+   */
+  clearRenderCache() {
+    for (const key of this.renderCache.keys()) {
+      this._evict(key);
+    }
+  }
+
+  /**
+   * Get render cache usage
+   *
+   * @returns {{entries: number, bytes: number, budget: number}} Cached page count,
+   *   memory used and memory budget in bytes
+   */
+  getCacheStats() {
+    return {
+      entries: this.renderCache.size,
+      bytes: this.cacheBytes,
+      budget: this.cacheBudget,
+    };
+  }
+
   /**
    * Clean up resources and release references
    *
@@ -187,6 +939,14 @@ export class PDFRenderer {
    */
   destroy() {
     this.cancelRender();
+    this._cancelLoad();
+    this._cancelPrerender();
+    this.clearRenderCache();
+
+    for (const task of this.offscreenTasks) {
+      task.cancel();
+    }
+    this.offscreenTasks.clear();
 
     if (this.pdfDoc) {
       this.pdfDoc = null;
@@ -194,4 +954,109 @@ export class PDFRenderer {
 
     this.renderTask = null;
   }
+
+  /**
+   * Store a snapshot of a rendered canvas in the render cache
+   *
+   * Nothing is cached if another document was loaded since the page was
+   * rendered, so its bitmap cannot land under the new document's keys.
+   *
+   * @private
+   * @param {PDFDocumentProxy} pdfDoc - Document the page was rendered from
+   * @param {string} cacheKey - Cache key of the page
+   * @param {HTMLCanvasElement} canvas - Rendered canvas
+   * @returns {Promise<boolean>} Whether the page was cached
+   */
+  async _cacheCanvas(pdfDoc, cacheKey, canvas) {
+    const bytes = canvas.width * canvas.height * 4;
+    if (bytes > this.cacheBudget || typeof createImageBitmap !== "function" ||
+        pdfDoc !== this.pdfDoc) {
+      return false;
+    }
+
+    try {
+      const bitmap = await createImageBitmap(canvas);
+
+      // A new document was loaded while the snapshot was taken
+      if (pdfDoc !== this.pdfDoc) {
+        bitmap.close();
+        return false;
+      }
+
+      if (this.renderCache.has(cacheKey)) {
+        this._evict(cacheKey);
+      }
+      this.renderCache.set(cacheKey, { bitmap, bytes });
+      this.cacheBytes += bytes;
+      this._trimCache();
+      return true;
+    } catch (err) {
+      console.warn("PDFRenderer: page not cached:", err);
+      return false;
+    }
+  }
+
+  /**
+   * Evict least recently used pages until the cache fits its budget
+   *
+   * @private
+   * @returns {void}
+   */
+  _trimCache() {
+    for (const key of this.renderCache.keys()) {
+      if (this.cacheBytes <= this.cacheBudget) {
+        break;
+      }
+      this._evict(key);
+    }
+  }
+
+  /**
+   * Remove a page from the render cache and free its bitmap
+   *
+   * @private
+   * @param {string} cacheKey - Cache key of the page
+   * @returns {void}
+   */
+  _evict(cacheKey) {
+    const entry = this.renderCache.get(cacheKey);
+    if (!entry) {
+      return;
+    }
+
+    entry.bitmap.close();
+    this.cacheBytes -= entry.bytes;
+    this.renderCache.delete(cacheKey);
+  }
+
+  /**
+   * Stop the prerenderPages() job in progress, if any
+   *
+   * @private
+   * @returns {void}
+   */
+  _cancelPrerender() {
+    if (!this.prerenderJob) {
+      return;
+    }
+
+    this.prerenderJob.cancelled = true;
+    if (this.prerenderJob.task) {
+      this.prerenderJob.task.cancel();
+    }
+    this.prerenderJob = null;
+  }
+
+  /**
+   * Abort the document load in progress, if any
+   *
+   * @private
+   * @returns {void}
+   */
+  _cancelLoad() {
+    if (this.stopLoad) {
+      this.stopLoad("abort");
+      this.stopLoad = null;
+    }
+  }
 }
@@ -0,0 +1,721 @@
+/**
+ * ScrollView - Continuous multi-page layout subsystem
+ *
+ * This module lays out every page of a document vertically inside a scroll
+ * container. Each page gets its own canvas and LayerManager, pages are
+ * rendered lazily as they approach the viewport, and timeline updates are
+ * propagated to every page that is currently visible.
+ *
+ * @module core/ScrollView
+ */
+
+import { LayerManager } from './LayerManager.js';
+
+/**
+ * ScrollView class
+ *
+ * Builds one page slot per PDF page and renders slots on demand using
+ * IntersectionObserver. Rendering is serialized through a promise queue so
+ * the shared PDFRenderer only ever has one render task in flight. Canvases
+ * of pages that move beyond the prerender margin are released and rendered
+ * again (usually from the render cache) when they come back.
+ *
+ * @class
+ * @example
+ * const view = new ScrollView(scrollContainer, pdfRenderer);
+ * await view.setDocument(pdfRenderer.getPageCount(), 1.5);
+ * view.setAnnotations(annotations);
+ * view.updateTimeline(4.2);
+ * view.scrollToPage(3);
+ */
+export class ScrollView {
+  /**
+   * Create ScrollView instance
+   *
+   * @param {HTMLElement} containerElement - Scrollable element that receives page slots
+   * @param {PDFRenderer} pdfRenderer - Renderer used to draw page canvases
+   * @param {Object} [options] - Layout options
+   * @param {number} [options.pageGap=16] - Vertical gap between pages in pixels
+   * @param {number} [options.prerenderMargin=800] - Distance in pixels outside the
+   *   viewport at which pages start rendering
+   * @param {boolean} [options.textLayer=false] - Render a selectable text layer on each page
+   * @param {Function} [options.onCurrentPageChange] - Called with the page number
+   *   that occupies most of the viewport whenever it changes
+   * @param {Function} [options.onRenderEvent] - Called as pages render:
+   *   (type, detail) => void, with type 'renderstart', 'pagerendered',
+   *   'rendercancelled' or 'error'
+   * @param {Function} [options.onAnnotationState] - State listener given to every
+   *   page's LayerManager (see LayerManager.setStateListener())
+   * @throws {Error} If containerElement is not a valid DOM element
+   * @throws {Error} If pdfRenderer is missing
+   */
+  constructor(containerElement, pdfRenderer, options = {}) {
+    if (!containerElement || !(containerElement instanceof HTMLElement)) {
+      throw new Error('ScrollView: containerElement must be a valid DOM element');
+    }
+
+    if (!pdfRenderer) {
+      throw new Error('ScrollView: pdfRenderer is required');
+    }
+
+    /**
+     * @private
+     * @type {HTMLElement}
+     */
+    this.container = containerElement;
+
+    /**
+     * @private
+     * @type {PDFRenderer}
+     */
+    this.pdfRenderer = pdfRenderer;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.pageGap = typeof options.pageGap === 'number' ? options.pageGap : 16;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.prerenderMargin = typeof options.prerenderMargin === 'number'
+      ? options.prerenderMargin
+      : 800;
+
+    /**
+     * @private
+     * @type {Function|null}
+     */
+    this.onCurrentPageChange = options.onCurrentPageChange || null;
+
+    /**
+     * @private
+     * @type {Function|null}
+     */
+    this.onRenderEvent = options.onRenderEvent || null;
+
+    /**
+     * @private
+     * @type {Function|null}
+     */
+    this.onAnnotationState = options.onAnnotationState || null;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.textLayer = Boolean(options.textLayer);
+
+    /**
+     * Page slots indexed by page number - 1
+     * @private
+     * @type {Array<Object>}
+     */
+    this.pages = [];
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.scale = 1.0;
+
+    /**
+     * @private
+     * @type {Array}
+     */
+    this.annotations = [];
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.currentTime = 0;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.currentPage = 1;
+
+    /**
+     * Incremented on every layout rebuild so stale renders can be discarded
+     * @private
+     * @type {number}
+     */
+    this.generation = 0;
+
+    /**
+     * Sequential render queue (one pdf.js render task at a time)
+     * @private
+     * @type {Promise<void>}
+     */
+    this.renderQueue = Promise.resolve();
+
+    /**
+     * @private
+     * @type {IntersectionObserver|null}
+     */
+    this.prerenderObserver = null;
+
+    /**
+     * @private
+     * @type {IntersectionObserver|null}
+     */
+    this.visibilityObserver = null;
+
+    // Page slots stack vertically inside the scroll container
+    this.container.style.overflowY = this.container.style.overflowY || 'auto';
+  }
+
+  /**
+   * Build page slots for a newly loaded document
+   *
+   * Creates a correctly sized placeholder for every page so the scroll height
+   * is stable before any page has been rendered.
+   *
+   * @param {number} pageCount - Number of pages in the document
+   * @param {number} scale - Scale factor for rendering
+   * @returns {Promise<void>}
+   */
+  async setDocument(pageCount, scale) {
+    this.scale = scale;
+    await this._buildPages(pageCount);
+  }
+
+  /**
+   * Change scale and rebuild the layout
+   *
+   * The page the user was looking at stays in view after the rebuild.
+   *
+   * @param {number} scale - New scale factor
+   * @returns {Promise<Object|null>} Viewport of the current page, or null if no pages
+   */
+  async setScale(scale) {
+    const anchorPage = this.currentPage;
+    this.scale = scale;
+    await this._buildPages(this.pages.length);
+    this.scrollToPage(anchorPage);
+    return this.getPageViewport(anchorPage);
+  }
+
+  /**
+   * Update annotation data for all pages
+   *
+   * Only pages that already have layers are updated immediately; other pages
+   * receive their annotations when they are first rendered.
+   *
+   * @param {Array} annotations - Complete annotation array (all pages, all types)
+   * @returns {void}
+   */
+  setAnnotations(annotations) {
+    this.annotations = Array.isArray(annotations) ? annotations : [];
+
+    for (const slot of this.pages) {
+      if (slot.layerManager) {
+        slot.layerManager.setAnnotations(this.annotations, slot.pageNum);
+        if (slot.visible) {
+          slot.layerManager.updateTimeline(this.currentTime);
+        }
+      }
+    }
+  }
+
+  /**
+   * Propagate timeline position to every visible page
+   *
+   * @param {number} timestamp - Current timeline position in seconds
+   * @returns {void}
+   */
+  updateTimeline(timestamp) {
+    this.currentTime = timestamp;
+
+    for (const slot of this.pages) {
+      if (slot.visible && slot.layerManager) {
+        slot.layerManager.updateTimeline(timestamp);
+      }
+    }
+  }
+
+  /**
+   * Scroll a page into view
+   *
+   * Updates the current page without invoking onCurrentPageChange, since the
+   * caller initiated the navigation.
+   *
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {boolean} True if the page exists
+   */
+  scrollToPage(pageNum) {
+    const slot = this.pages[pageNum - 1];
+    if (!slot) {
+      return false;
+    }
+
+    const offset = slot.element.getBoundingClientRect().top -
+      this.container.getBoundingClientRect().top;
+    this.container.scrollTop += offset;
+    this.currentPage = pageNum;
+    return true;
+  }
+
+  /**
+   * Get page number occupying most of the viewport
+   *
+   * @returns {number} Current page number (1-indexed)
+   */
+  getCurrentPage() {
+    return this.currentPage;
+  }
+
+  /**
+   * Get the viewport computed for a page at the current scale
+   *
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {Object|null} Viewport, or null if the page does not exist
+   */
+  getPageViewport(pageNum) {
+    const slot = this.pages[pageNum - 1];
+    return slot ? slot.viewport : null;
+  }
+
+  /**
+   * Get LayerManager for a rendered page
+   *
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {LayerManager|null} Layer manager, or null if the page has not been rendered
+   */
+  getLayerManager(pageNum) {
+    const slot = this.pages[pageNum - 1];
+    return slot ? slot.layerManager : null;
+  }
+
+  /**
+   * Get selectable text layer element for a page
+   *
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {HTMLElement|null} Text layer element, or null if text layers are disabled
+   */
+  getTextLayerElement(pageNum) {
+    const slot = this.pages[pageNum - 1];
+    return slot ? slot.textLayerElement : null;
+  }
+
+  /**
+   * Find the page under a viewport point
+   *
+   * @param {number} clientX - Horizontal position in client coordinates
+   * @param {number} clientY - Vertical position in client coordinates
+   * @returns {{page: number, x: number, y: number}|null} Page number and
+   *   normalized position on that page, or null if between pages
+   */
+  pageAtPoint(clientX, clientY) {
+    for (const slot of this.pages) {
+      if (!slot.visible) continue;
+
+      const rect = slot.element.getBoundingClientRect();
+      if (clientX >= rect.left && clientX <= rect.right &&
+          clientY >= rect.top && clientY <= rect.bottom) {
+        return {
+          page: slot.pageNum,
+          x: (clientX - rect.left) / rect.width,
+          y: (clientY - rect.top) / rect.height
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the page containing a DOM node
+   *
+   * @param {Node} node - Any node inside the scroll container
+   * @returns {number|null} Page number, or null if the node is not inside a page
+   */
+  findPageForNode(node) {
+    const slot = this.pages.find(s => s.element.contains(node));
+    return slot ? slot.pageNum : null;
+  }
+
+  /**
+   * Clean up observers, layers and page elements
+   *
+   * @returns {void}
+   */
+  destroy() {
+    this._clearPages();
+    this.container = null;
+    this.pdfRenderer = null;
+    this.onCurrentPageChange = null;
+    this.onRenderEvent = null;
+    this.onAnnotationState = null;
+    this.annotations = [];
+  }
+
+  /**
+   * Remove existing slots and create fresh ones
+   *
+   * @private
+   * @param {number} pageCount - Number of pages
+   * @returns {Promise<void>}
+   */
+  async _buildPages(pageCount) {
+    this._clearPages();
+    const generation = this.generation;
+
+    // Resolve all page sizes up front so placeholders have correct heights
+    const viewports = [];
+    for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+      viewports.push(await this.pdfRenderer.getPageViewport(pageNum, this.scale));
+    }
+
+    // A newer rebuild started while sizes were being resolved
+    if (generation !== this.generation || !this.container) {
+      return;
+    }
+
+    viewports.forEach((viewport, idx) => {
+      this.pages.push(this._createSlot(idx + 1, viewport));
+    });
+
+    this._observePages();
+  }
+
+  /**
+   * Create DOM structure for a single page slot
+   *
+   * @private
+   * @param {number} pageNum - Page number (1-indexed)
+   * @param {Object} viewport - Page viewport at current scale
+   * @returns {Object} Page slot
+   */
+  _createSlot(pageNum, viewport) {
+    const element = document.createElement('div');
+    element.style.position = 'relative';
+    element.style.width = `${viewport.width}px`;
+    element.style.height = `${viewport.height}px`;
+    element.style.margin = `0 auto ${this.pageGap}px`;
+    element.dataset.pageNumber = String(pageNum);
+
+    const canvas = document.createElement('canvas');
+    canvas.style.display = 'block';
+
+    const layerContainer = document.createElement('div');
+    layerContainer.style.position = 'absolute';
+    layerContainer.style.inset = '0';
+    layerContainer.style.pointerEvents = 'none';
+    layerContainer.style.overflow = 'hidden';
+
+    let textLayerElement = null;
+    if (this.textLayer) {
+      textLayerElement = document.createElement('div');
+      textLayerElement.style.position = 'absolute';
+      textLayerElement.style.inset = '0';
+      textLayerElement.style.zIndex = '10';
+      textLayerElement.style.pointerEvents = 'auto';
+      layerContainer.appendChild(textLayerElement);
+    }
+
+    element.appendChild(canvas);
+    element.appendChild(layerContainer);
+    this.container.appendChild(element);
+
+    return {
+      pageNum,
+      element,
+      canvas,
+      layerContainer,
+      textLayerElement,
+      viewport,
+      layerManager: null,
+      rendered: false,
+      queued: false,
+      inRange: false,
+      visible: false,
+      visibleRatio: 0
+    };
+  }
+
+  /**
+   * Attach intersection observers to all page slots
+   *
+   * The prerender observer triggers lazy rendering ahead of the viewport;
+   * the visibility observer tracks which pages receive timeline updates.
+   *
+   * @private
+   * @returns {void}
+   */
+  _observePages() {
+    this.prerenderObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        const slot = this._slotForElement(entry.target);
+        if (!slot) continue;
+
+        slot.inRange = entry.isIntersecting;
+        if (slot.inRange) {
+          this._queueRender(slot);
+        } else {
+          this._releaseSlot(slot);
+        }
+      }
+    }, {
+      root: this.container,
+      rootMargin: `${this.prerenderMargin}px 0px`
+    });
+
+    this.visibilityObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        const slot = this._slotForElement(entry.target);
+        if (!slot) continue;
+
+        const wasVisible = slot.visible;
+        slot.visible = entry.isIntersecting;
+        slot.visibleRatio = entry.intersectionRatio;
+
+        // Catch up pages that scrolled in while the timeline moved
+        if (slot.visible && !wasVisible && slot.layerManager) {
+          slot.layerManager.updateTimeline(this.currentTime);
+        }
+      }
+      this._updateCurrentPage();
+    }, {
+      root: this.container,
+      threshold: [0, 0.25, 0.5, 0.75, 1]
+    });
+
+    for (const slot of this.pages) {
+      this.prerenderObserver.observe(slot.element);
+      this.visibilityObserver.observe(slot.element);
+    }
+  }
+
+  /**
+   * Queue a page slot for rendering
+   *
+   * @private
+   * @param {Object|undefined} slot - Page slot
+   * @returns {void}
+   */
+  _queueRender(slot) {
+    if (!slot || slot.rendered || slot.queued) {
+      return;
+    }
+
+    slot.queued = true;
+    const generation = this.generation;
+
+    this.renderQueue = this.renderQueue
+      .then(() => this._renderSlot(slot, generation))
+      .catch(err => {
+        console.error(`ScrollView: Failed to render page ${slot.pageNum}:`, err);
+        this._notifyRender('error', { page: slot.pageNum, error: err.message });
+      });
+  }
+
+  /**
+   * Render page canvas and create its layers
+   *
+   * @private
+   * @param {Object} slot - Page slot
+   * @param {number} generation - Layout generation the render was queued for
+   * @returns {Promise<void>}
+   */
+  async _renderSlot(slot, generation) {
+    if (generation !== this.generation) {
+      return;
+    }
+
+    // Scrolled beyond the prerender margin while waiting in the queue
+    if (!slot.inRange) {
+      slot.queued = false;
+      return;
+    }
+
+    this._notifyRender('renderstart', { page: slot.pageNum, scale: this.scale });
+
+    const result = await this.pdfRenderer.renderPage(slot.pageNum, slot.canvas, this.scale);
+
+    // Layout was rebuilt while this page was rendering
+    if (generation !== this.generation) {
+      this._notifyRender('rendercancelled', { page: slot.pageNum });
+      return;
+    }
+
+    slot.queued = false;
+
+    if (result.cancelled) {
+      this._notifyRender('rendercancelled', { page: slot.pageNum });
+
+      // Pages still near the viewport would otherwise stay blank until they
+      // scroll out and back in
+      if (slot.inRange) {
+        this._queueRender(slot);
+      }
+      return;
+    }
+
+    // Scrolled beyond the prerender margin while rendering
+    if (!slot.inRange) {
+      this._releaseSlot(slot);
+      return;
+    }
+
+    if (!result.success) {
+      console.error(`ScrollView: Failed to render page ${slot.pageNum}:`, result.error);
+      this._notifyRender('error', { page: slot.pageNum, error: result.error });
+      return;
+    }
+
+    slot.rendered = true;
+    slot.viewport = result.viewport;
+
+    if (!slot.layerManager) {
+      slot.layerManager = new LayerManager(slot.layerContainer, result.viewport);
+      slot.layerManager.setStateListener(this.onAnnotationState);
+    } else {
+      slot.layerManager.setViewport(result.viewport);
+    }
+
+    slot.layerManager.setAnnotations(this.annotations, slot.pageNum);
+    slot.layerManager.updateTimeline(this.currentTime);
+
+    this._notifyRender('pagerendered', { page: slot.pageNum, viewport: result.viewport });
+
+    if (slot.textLayerElement) {
+      const textResult = await this.pdfRenderer.renderTextLayer(
+        slot.pageNum,
+        slot.textLayerElement,
+        result.viewport
+      );
+      if (!textResult.success) {
+        console.warn(`ScrollView: Text layer for page ${slot.pageNum} not rendered:`, textResult.error);
+      }
+    }
+  }
+
+  /**
+   * Free the canvas memory of a page beyond the prerender margin
+   *
+   * The slot keeps its size and layers; the page is rendered again when it
+   * comes back into range.
+   *
+   * @private
+   * @param {Object} slot - Page slot
+   * @returns {void}
+   */
+  _releaseSlot(slot) {
+    slot.rendered = false;
+    slot.canvas.width = 0;
+    slot.canvas.height = 0;
+
+    if (slot.textLayerElement) {
+      slot.textLayerElement.replaceChildren();
+    }
+  }
+
+  /**
+   * Determine which page occupies most of the viewport
+   *
+   * @private
+   * @returns {void}
+   */
+  _updateCurrentPage() {
+    let best = null;
+    for (const slot of this.pages) {
+      if (slot.visible && (!best || slot.visibleRatio > best.visibleRatio)) {
+        best = slot;
+      }
+    }
+
+    if (best) {
+      this._setCurrentPage(best.pageNum);
+    }
+  }
+
+  /**
+   * Store current page and notify listener on change
+   *
+   * @private
+   * @param {number} pageNum - Page number (1-indexed)
+   * @returns {void}
+   */
+  _setCurrentPage(pageNum) {
+    if (pageNum === this.currentPage) {
+      return;
+    }
+
+    this.currentPage = pageNum;
+
+    if (this.onCurrentPageChange) {
+      try {
+        this.onCurrentPageChange(pageNum);
+      } catch (err) {
+        console.error('ScrollView: onCurrentPageChange callback error:', err);
+      }
+    }
+  }
+
+  /**
+   * Invoke onRenderEvent listener
+   *
+   * @private
+   * @param {string} type - Render event type
+   * @param {Object} detail - Event detail
+   * @returns {void}
+   */
+  _notifyRender(type, detail) {
+    if (!this.onRenderEvent) {
+      return;
+    }
+
+    try {
+      this.onRenderEvent(type, detail);
+    } catch (err) {
+      console.error('ScrollView: onRenderEvent callback error:', err);
+    }
+  }
+
+  /**
+   * Find slot owning a page element
+   *
+   * @private
+   * @param {Element} element - Page slot element
+   * @returns {Object|undefined} Page slot
+   */
+  _slotForElement(element) {
+    return this.pages[Number(element.dataset.pageNumber) - 1];
+  }
+
+  /**
+   * Disconnect observers and destroy all page slots
+   *
+   * @private
+   * @returns {void}
+   */
+  _clearPages() {
+    this.generation++;
+
+    if (this.prerenderObserver) {
+      this.prerenderObserver.disconnect();
+      this.prerenderObserver = null;
+    }
+
+    if (this.visibilityObserver) {
+      this.visibilityObserver.disconnect();
+      this.visibilityObserver = null;
+    }
+
+    for (const slot of this.pages) {
+      if (slot.layerManager) {
+        slot.layerManager.destroy();
+      }
+      if (slot.element.parentNode) {
+        slot.element.parentNode.removeChild(slot.element);
+      }
+    }
+
+    this.pages = [];
+  }
+}
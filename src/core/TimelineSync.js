@@ -3,11 +3,36 @@
  *
  * This module manages timeline position and provides a subscriber notification
  * system for timeline updates. Supports both discrete updates (manual setTime)
- * and continuous synchronization via requestAnimationFrame for audio/video.
+ * continuous synchronization via requestAnimationFrame, direct binding to an
+ * audio/video element, and a built-in playback clock for content without media.
  *
  * @module core/TimelineSync
  */
 
+/**
+ * Difference in seconds between the interpolated time and the media element's
+ * reported time above which the interpolation is re-anchored. Smaller
+ * differences are left alone so timeupdate ticks do not cause visible jitter.
+ * @type {number}
+ */
+const MEDIA_RESYNC_THRESHOLD = 0.15;
+
+/**
+ * Media element events TimelineSync listens to, mapped to handler names
+ * @type {Object<string, string>}
+ */
+const MEDIA_EVENTS = {
+  play: '_onMediaPlay',
+  playing: '_onMediaPlaying',
+  pause: '_onMediaPause',
+  waiting: '_onMediaWaiting',
+  seeking: '_onMediaSeeking',
+  seeked: '_onMediaSeeked',
+  ratechange: '_onMediaRateChange',
+  timeupdate: '_onMediaTimeUpdate',
+  ended: '_onMediaEnded'
+};
+
 /**
  * TimelineSync class
  *
@@ -25,6 +50,16 @@
  * // Continuous mode with audio
  * const audio = document.getElementById('audio');
  * sync.startContinuousSync(() => audio.currentTime);
+ *
+ * @example
+ * // Bound to a media element
+ * sync.attachMedia(document.getElementById('lecture-audio'));
+ *
+ * @example
+ * // Built-in clock
+ * sync.setDuration(120);
+ * sync.on('ended', () => showReplayButton());
+ * sync.play();
  */
 export class TimelineSync {
   constructor() {
@@ -51,6 +86,64 @@ export class TimelineSync {
      * @type {boolean}
      */
     this.isRunning = false;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.playing = false;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.playbackRate = 1;
+
+    /**
+     * @private
+     * @type {number|null}
+     */
+    this.duration = null;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.loop = false;
+
+    /**
+     * Clock anchor: timeline position at a performance.now() timestamp.
+     * Elapsed time is always measured from the anchor, so frame jitter
+     * never accumulates into drift.
+     * @private
+     * @type {{time: number, wallTime: number}|null}
+     */
+    this.clockAnchor = null;
+
+    /**
+     * @private
+     * @type {number|null}
+     */
+    this.clockFrameId = null;
+
+    /**
+     * @private
+     * @type {Map<string, Set<Function>>}
+     */
+    this.eventListeners = new Map();
+
+    /**
+     * Attached media element (see attachMedia)
+     * @private
+     * @type {HTMLMediaElement|null}
+     */
+    this.media = null;
+
+    this._tick = this._tick.bind(this);
+
+    for (const handler of Object.values(MEDIA_EVENTS)) {
+      this[handler] = this[handler].bind(this);
+    }
   }
 
   /**
@@ -60,6 +153,294 @@ export class TimelineSync {
    * @returns {void}
    */
   setTime(timestamp) {
+    // Keep the clock running from the new position
+    if (this.playing) {
+      this._anchorClock(timestamp);
+    }
+
+    this._updateTime(timestamp);
+  }
+
+  /**
+   * Start the built-in playback clock from the current position
+   *
+   * Restarts from 0 when the clock is at the end of a set duration. Does
+   * nothing while continuous sync is running, since that owns the time.
+   *
+   * @returns {void}
+   */
+  play() {
+    if (this.media) {
+      const result = this.media.play();
+      result?.catch?.((err) => console.warn('TimelineSync.play: Media playback failed:', err));
+      return;
+    }
+
+    if (this.playing) {
+      return;
+    }
+
+    if (this.isRunning) {
+      console.warn('TimelineSync.play: Continuous sync is running, stop it first');
+      return;
+    }
+
+    if (this.duration !== null && this.currentTime >= this.duration) {
+      this._updateTime(0);
+    }
+
+    this.playing = true;
+    this._anchorClock(this.currentTime);
+    this.clockFrameId = requestAnimationFrame(this._tick);
+    this._emit('play');
+  }
+
+  /**
+   * Pause the built-in playback clock at the current position
+   *
+   * @returns {void}
+   */
+  pause() {
+    if (this.media) {
+      this.media.pause();
+      return;
+    }
+
+    if (!this.playing) {
+      return;
+    }
+
+    this._updateTime(this._clockTime());
+    this._stopClock();
+    this._emit('pause');
+  }
+
+  /**
+   * Jump to a timeline position
+   *
+   * Clamped to [0, duration] when a duration is set. Playback continues
+   * from the new position if the clock is running.
+   *
+   * @param {number} time - Target position in seconds
+   * @returns {void}
+   */
+  seek(time) {
+    if (typeof time !== 'number' || !Number.isFinite(time)) {
+      console.warn('TimelineSync.seek: time must be a finite number');
+      return;
+    }
+
+    let target = Math.max(0, time);
+    const duration = this.getDuration();
+    if (duration !== null) {
+      target = Math.min(target, duration);
+    }
+
+    // The media element reports back through its seeking/seeked events
+    if (this.media) {
+      this.media.currentTime = target;
+      return;
+    }
+
+    this.setTime(target);
+    this._emit('seeked');
+  }
+
+  /**
+   * Set the playback speed of the built-in clock
+   *
+   * @param {number} rate - Speed multiplier (e.g. 0.5, 1, 2); must be positive
+   * @returns {void}
+   */
+  setPlaybackRate(rate) {
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      console.warn('TimelineSync.setPlaybackRate: rate must be a positive number');
+      return;
+    }
+
+    if (this.media) {
+      this.media.playbackRate = rate;
+      return;
+    }
+
+    // Re-anchor so the new rate only applies from now on
+    if (this.playing) {
+      this._anchorClock(this._clockTime());
+    }
+
+    this.playbackRate = rate;
+  }
+
+  /**
+   * Set the timeline length at which the built-in clock ends or loops
+   *
+   * @param {number|null} duration - Length in seconds, or null for an open-ended timeline
+   * @returns {void}
+   */
+  setDuration(duration) {
+    if (duration === null || duration === undefined || duration === Infinity) {
+      this.duration = null;
+      return;
+    }
+
+    if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0) {
+      console.warn('TimelineSync.setDuration: duration must be a non-negative number or null');
+      return;
+    }
+
+    this.duration = duration;
+
+    if (this.currentTime > duration) {
+      this.setTime(duration);
+    }
+  }
+
+  /**
+   * Enable or disable looping at the end of the duration
+   *
+   * @param {boolean} loop - Whether to restart from 0 instead of ending
+   * @returns {void}
+   */
+  setLoop(loop) {
+    this.loop = Boolean(loop);
+  }
+
+  /**
+   * Check whether the built-in clock is playing
+   *
+   * @returns {boolean} True while playing
+   */
+  isPlaying() {
+    return this.media ? !this.media.paused && !this.media.ended : this.playing;
+  }
+
+  /**
+   * Get the playback speed of the built-in clock
+   *
+   * @returns {number} Speed multiplier
+   */
+  getPlaybackRate() {
+    return this.playbackRate;
+  }
+
+  /**
+   * Get the timeline length
+   *
+   * With a media element attached, this is the element's duration.
+   *
+   * @returns {number|null} Duration in seconds, or null if open-ended or unknown
+   */
+  getDuration() {
+    if (this.media) {
+      return Number.isFinite(this.media.duration) ? this.media.duration : null;
+    }
+
+    return this.duration;
+  }
+
+  /**
+   * Follow an audio or video element
+   *
+   * The timeline tracks the element's play, pause, seeking, ratechange and
+   * ended events, and interpolates between its coarse timeupdate ticks with
+   * requestAnimationFrame. While attached, play(), pause(), seek() and
+   * setPlaybackRate() control the element, and playback events mirror it.
+   * Replaces any previously attached element and stops continuous sync and
+   * the built-in clock.
+   *
+   * @param {HTMLMediaElement} mediaElement - Audio or video element
+   * @returns {void}
+   * @throws {Error} If mediaElement is not an HTMLMediaElement
+   */
+  attachMedia(mediaElement) {
+    if (!(mediaElement instanceof HTMLMediaElement)) {
+      throw new Error('TimelineSync.attachMedia: mediaElement must be an HTMLMediaElement');
+    }
+
+    this.detachMedia();
+    this.stopContinuousSync();
+    this._stopClock();
+
+    this.media = mediaElement;
+    this.playbackRate = mediaElement.playbackRate || 1;
+
+    for (const [event, handler] of Object.entries(MEDIA_EVENTS)) {
+      mediaElement.addEventListener(event, this[handler]);
+    }
+
+    this._updateTime(mediaElement.currentTime);
+
+    // Already playing (HAVE_FUTURE_DATA or better means it is not stalled)
+    if (!mediaElement.paused && !mediaElement.ended && mediaElement.readyState >= 3) {
+      this._startMediaClock();
+    }
+  }
+
+  /**
+   * Stop following the attached media element
+   *
+   * The timeline keeps its last position.
+   *
+   * @returns {void}
+   */
+  detachMedia() {
+    if (!this.media) {
+      return;
+    }
+
+    for (const [event, handler] of Object.entries(MEDIA_EVENTS)) {
+      this.media.removeEventListener(event, this[handler]);
+    }
+
+    this._stopClock();
+    this.media = null;
+    this.playbackRate = 1;
+  }
+
+  /**
+   * Listen for playback events
+   *
+   * Events: 'play', 'pause', 'ended' (the clock reached the duration without
+   * looping; 'pause' is emitted first) and 'seeked'. Listeners receive
+   * { type, time }.
+   *
+   * @param {string} event - Event name
+   * @param {Function} callback - Event listener
+   * @returns {Function} Function that removes the listener
+   * @throws {Error} If callback is not a function
+   */
+  on(event, callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('TimelineSync.on: callback must be a function');
+    }
+
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(callback);
+
+    return () => this.off(event, callback);
+  }
+
+  /**
+   * Remove a playback event listener
+   *
+   * @param {string} event - Event name
+   * @param {Function} callback - Listener passed to on()
+   * @returns {void}
+   */
+  off(event, callback) {
+    this.eventListeners.get(event)?.delete(callback);
+  }
+
+  /**
+   * Update current time and notify subscribers if changed
+   *
+   * @private
+   * @param {number} timestamp - Timeline position in seconds
+   * @returns {void}
+   */
+  _updateTime(timestamp) {
     if (timestamp === this.currentTime) {
       return;
     }
@@ -121,6 +502,12 @@ export class TimelineSync {
       return;
     }
 
+    // The external time source takes over from media and the built-in clock
+    this.detachMedia();
+    if (this.playing) {
+      this.pause();
+    }
+
     this.isRunning = true;
 
     const syncLoop = () => {
@@ -161,8 +548,11 @@ export class TimelineSync {
    * @returns {void}
    */
   destroy() {
+    this.detachMedia();
     this.stopContinuousSync();
+    this._stopClock();
     this.subscribers.clear();
+    this.eventListeners.clear();
     this.currentTime = 0;
   }
 
@@ -181,4 +571,221 @@ export class TimelineSync {
       }
     }
   }
+
+  /**
+   * Advance the built-in clock (requestAnimationFrame callback)
+   *
+   * @private
+   * @returns {void}
+   */
+  _tick() {
+    if (!this.playing) {
+      return;
+    }
+
+    let time = this._clockTime();
+
+    if (!this.media && this.duration !== null && time >= this.duration) {
+      if (this.loop && this.duration > 0) {
+        time %= this.duration;
+        this._anchorClock(time);
+      } else {
+        this._updateTime(this.duration);
+        this._stopClock();
+        this._emit('pause');
+        this._emit('ended');
+        return;
+      }
+    }
+
+    this._updateTime(time);
+    this.clockFrameId = requestAnimationFrame(this._tick);
+  }
+
+  /**
+   * Pin the clock to a timeline position at the current wall time
+   *
+   * @private
+   * @param {number} time - Timeline position in seconds
+   * @returns {void}
+   */
+  _anchorClock(time) {
+    this.clockAnchor = { time, wallTime: performance.now() };
+  }
+
+  /**
+   * Compute the clock's timeline position from its anchor
+   *
+   * @private
+   * @returns {number} Timeline position in seconds
+   */
+  _clockTime() {
+    if (!this.clockAnchor) {
+      return this.currentTime;
+    }
+
+    const elapsed = (performance.now() - this.clockAnchor.wallTime) / 1000;
+    return this.clockAnchor.time + elapsed * this.playbackRate;
+  }
+
+  /**
+   * Stop the clock without emitting events
+   *
+   * @private
+   * @returns {void}
+   */
+  _stopClock() {
+    this.playing = false;
+    this.clockAnchor = null;
+
+    if (this.clockFrameId !== null) {
+      cancelAnimationFrame(this.clockFrameId);
+      this.clockFrameId = null;
+    }
+  }
+
+  /**
+   * Start interpolating from the media element's position
+   *
+   * @private
+   * @returns {void}
+   */
+  _startMediaClock() {
+    this.playbackRate = this.media.playbackRate || 1;
+    this._anchorClock(this.media.currentTime);
+    this._updateTime(this.media.currentTime);
+
+    if (!this.playing) {
+      this.playing = true;
+      this.clockFrameId = requestAnimationFrame(this._tick);
+    }
+  }
+
+  /**
+   * Stop interpolating and take the media element's position
+   *
+   * @private
+   * @returns {void}
+   */
+  _holdMediaTime() {
+    this._stopClock();
+    this._updateTime(this.media.currentTime);
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  _onMediaPlay() {
+    this._emit('play');
+  }
+
+  /**
+   * Playback actually started or resumed after buffering
+   *
+   * @private
+   * @returns {void}
+   */
+  _onMediaPlaying() {
+    this._startMediaClock();
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  _onMediaPause() {
+    this._holdMediaTime();
+    this._emit('pause');
+  }
+
+  /**
+   * Playback stalled for data; freeze until 'playing'
+   *
+   * @private
+   * @returns {void}
+   */
+  _onMediaWaiting() {
+    this._holdMediaTime();
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  _onMediaSeeking() {
+    if (this.playing) {
+      this._anchorClock(this.media.currentTime);
+    }
+    this._updateTime(this.media.currentTime);
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  _onMediaSeeked() {
+    this._onMediaSeeking();
+    this._emit('seeked');
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  _onMediaRateChange() {
+    if (this.playing) {
+      this._anchorClock(this._clockTime());
+    }
+    this.playbackRate = this.media.playbackRate || 1;
+  }
+
+  /**
+   * Correct the interpolation when it drifts from the reported time
+   *
+   * @private
+   * @returns {void}
+   */
+  _onMediaTimeUpdate() {
+    if (!this.playing) {
+      this._updateTime(this.media.currentTime);
+      return;
+    }
+
+    if (Math.abs(this._clockTime() - this.media.currentTime) > MEDIA_RESYNC_THRESHOLD) {
+      this._anchorClock(this.media.currentTime);
+    }
+  }
+
+  /**
+   * @private
+   * @returns {void}
+   */
+  _onMediaEnded() {
+    this._holdMediaTime();
+    this._emit('ended');
+  }
+
+  /**
+   * Notify playback event listeners
+   *
+   * @private
+   * @param {string} type - Event name
+   * @returns {void}
+   */
+  _emit(type) {
+    const listeners = this.eventListeners.get(type);
+    if (!listeners) {
+      return;
+    }
+
+    const event = { type, time: this.currentTime };
+    for (const callback of listeners) {
+      try {
+        callback(event);
+      } catch (err) {
+        console.error(`TimelineSync: ${type} listener error:`, err);
+      }
+    }
+  }
 }
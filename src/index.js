@@ -16,12 +16,14 @@ import { AnnotationRenderer } from './core/AnnotationRenderer.js';
 import { PDFRenderer } from './core/PDFRenderer.js';
 import { LayerManager } from './core/LayerManager.js';
 import { TimelineSync } from './core/TimelineSync.js';
+import { ScrollView } from './core/ScrollView.js';
 
 // Export statements
 export { AnnotationRenderer };
 export { PDFRenderer };
 export { LayerManager };
 export { TimelineSync };
+export { ScrollView };
 
 // ============================================================================
 // Annotation Layers
@@ -29,17 +31,26 @@ export { TimelineSync };
 
 // Framework-agnostic layer classes
 // BaseLayer: Abstract base class for creating custom layers
-// HighlightLayer, TextLayer, DrawingLayer: Built-in layer implementations
+// SpotlightLayer, HighlightLayer, ImageLayer, TextLayer, ShapeLayer, DrawingLayer, PointerLayer:
+// Built-in layer implementations
 
 import BaseLayer from './layers/BaseLayer.js';
+import SpotlightLayer from './layers/SpotlightLayer.js';
 import HighlightLayer from './layers/HighlightLayer.js';
+import ImageLayer from './layers/ImageLayer.js';
 import TextLayer from './layers/TextLayer.js';
+import ShapeLayer from './layers/ShapeLayer.js';
 import DrawingLayer from './layers/DrawingLayer.js';
+import PointerLayer from './layers/PointerLayer.js';
 
 export { BaseLayer };
+export { SpotlightLayer };
 export { HighlightLayer };
+export { ImageLayer };
 export { TextLayer };
+export { ShapeLayer };
 export { DrawingLayer };
+export { PointerLayer };
 
 // ============================================================================
 // Utilities
@@ -47,13 +58,29 @@ export { DrawingLayer };
 
 import * as coordinateUtils from './utils/coordinateUtils.js';
 import * as viewportUtils from './utils/viewportUtils.js';
+import * as timelineUtils from './utils/timelineUtils.js';
+import * as selectionUtils from './utils/selectionUtils.js';
+import * as colorUtils from './utils/colorUtils.js';
+import * as exportUtils from './utils/exportUtils.js';
+import * as importUtils from './utils/importUtils.js';
+import * as animationUtils from './utils/animationUtils.js';
+import * as cameraUtils from './utils/cameraUtils.js';
+import * as stampUtils from './utils/stampUtils.js';
+import * as richTextUtils from './utils/richTextUtils.js';
 
 export { coordinateUtils };
 export { viewportUtils };
-
-// Future: colorUtils, validators
-// import * as colorUtils from './utils/colorUtils.js';
-// export { colorUtils };
+export { timelineUtils };
+export { selectionUtils };
+export { colorUtils };
+export { exportUtils };
+export { importUtils };
+export { animationUtils };
+export { cameraUtils };
+export { stampUtils };
+export { richTextUtils };
+
+// Future: validators
 
 // ============================================================================
 // Type Definitions & Validators
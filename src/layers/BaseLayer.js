@@ -1,8 +1,12 @@
+import { getAnnotationState } from '../utils/animationUtils.js';
+
 /**
  * BaseLayer - Abstract base class for annotation layers
  *
  * Provides common interface and lifecycle management for all annotation layer types.
  * Subclasses must implement render() and update() abstract methods.
+ * Lifecycle transitions of each annotation (hidden, revealing, complete) are
+ * reported to the state listener as the timeline moves.
  *
  * @abstract
  */
@@ -31,6 +35,19 @@ class BaseLayer {
     this.currentTime = 0;
     this.isDestroyed = false;
 
+    /**
+     * Last reported lifecycle state of each non-hidden annotation, keyed by id
+     * @private
+     * @type {Map<string, {annotation: Object, state: string}>}
+     */
+    this.annotationStates = new Map();
+
+    /**
+     * @private
+     * @type {Function|null}
+     */
+    this.stateListener = null;
+
     // Prevent direct instantiation
     if (new.target === BaseLayer) {
       throw new Error('BaseLayer is an abstract class and cannot be instantiated directly. Extend it with a concrete implementation.');
@@ -73,6 +90,23 @@ class BaseLayer {
   updateTime(nowSec) {
     this._checkDestroyed('updateTime');
     this.currentTime = nowSec;
+    this._reportStates();
+  }
+
+  /**
+   * Sets the listener notified of annotation lifecycle transitions
+   *
+   * Called from updateTime() once per change, so seeking within the same
+   * state reports nothing. Annotations removed by setAnnotations() while
+   * shown are reported as hidden with removed set on the next updateTime().
+   *
+   * @param {Function|null} listener - ({ annotation, state, previousState, time, removed }) => void,
+   *   with states 'hidden', 'revealing' or 'complete'
+   * @throws {Error} If called after layer is destroyed
+   */
+  setStateListener(listener) {
+    this._checkDestroyed('setStateListener');
+    this.stateListener = typeof listener === 'function' ? listener : null;
   }
 
   /**
@@ -87,6 +121,8 @@ class BaseLayer {
     }
 
     this.annotations = null;
+    this.annotationStates.clear();
+    this.stateListener = null;
     this.viewport = null;
     this.container = null;
     this.isDestroyed = true;
@@ -112,6 +148,108 @@ class BaseLayer {
     throw new Error('update() must be implemented by subclass');
   }
 
+  /**
+   * Returns the root DOM element of the layer
+   *
+   * LayerManager applies the registered zIndex to this element. Default
+   * implementation returns null (no element to stack).
+   *
+   * @returns {HTMLElement|null} Root element appended to the container
+   */
+  getElement() {
+    return null;
+  }
+
+  /**
+   * Gets an annotation's lifecycle state as drawn by this layer
+   *
+   * Default implementation follows animationUtils.getAnnotationState(): shown
+   * from start until its exit transition completes. Layers that draw their
+   * annotations only during part of that time override this, so the
+   * reported states match what is on screen.
+   *
+   * @param {Object} annotation - Annotation object
+   * @param {number} nowSec - Current timeline position in seconds
+   * @returns {string} 'hidden', 'revealing' or 'complete'
+   */
+  getAnnotationState(annotation, nowSec) {
+    return getAnnotationState(annotation, nowSec);
+  }
+
+  /**
+   * Finds the topmost visible annotation at a point
+   *
+   * Default implementation reports no hit. Layers that support pointer
+   * interaction override this with their own geometry.
+   *
+   * @param {number} x - Normalized x position (0-1)
+   * @param {number} y - Normalized y position (0-1)
+   * @returns {Object|null} Annotation under the point, or null
+   */
+  hitTest() {
+    return null;
+  }
+
+  /**
+   * Reports lifecycle transitions since the last call to the state listener
+   *
+   * @private
+   */
+  _reportStates() {
+    const seen = new Set();
+
+    for (const annotation of this.annotations) {
+      if (!annotation || annotation.id === undefined) {
+        continue;
+      }
+
+      const id = annotation.id;
+      const state = this.getAnnotationState(annotation, this.currentTime);
+      const previousState = this.annotationStates.get(id)?.state || 'hidden';
+      seen.add(id);
+
+      if (state === previousState) {
+        continue;
+      }
+
+      if (state === 'hidden') {
+        this.annotationStates.delete(id);
+      } else {
+        this.annotationStates.set(id, { annotation, state });
+      }
+      this._notifyState(annotation, state, previousState);
+    }
+
+    // Annotations removed while shown
+    for (const [id, entry] of this.annotationStates) {
+      if (!seen.has(id)) {
+        this.annotationStates.delete(id);
+        this._notifyState(entry.annotation, 'hidden', entry.state, true);
+      }
+    }
+  }
+
+  /**
+   * Invokes the state listener
+   *
+   * @private
+   * @param {Object} annotation - Annotation that changed state
+   * @param {string} state - New state
+   * @param {string} previousState - Previous state
+   * @param {boolean} [removed=false] - Whether the annotation left the layer
+   */
+  _notifyState(annotation, state, previousState, removed = false) {
+    if (!this.stateListener) {
+      return;
+    }
+
+    try {
+      this.stateListener({ annotation, state, previousState, time: this.currentTime, removed });
+    } catch (err) {
+      console.error('BaseLayer: state listener error:', err);
+    }
+  }
+
   /**
    * Validates that container is a valid HTMLElement
    *
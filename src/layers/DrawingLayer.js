@@ -1,4 +1,7 @@
 import BaseLayer from './BaseLayer.js';
+import { normalizeBaseFields, normalizeInk } from '../types/validators.js';
+import { getExitProgress, getExitTransition } from '../utils/animationUtils.js';
+import { distanceToSegment } from '../utils/coordinateUtils.js';
 
 /**
  * DrawingLayer - Renders ink/drawing annotations on HTML canvas
@@ -13,6 +16,9 @@ import BaseLayer from './BaseLayer.js';
  * - Device pixel ratio handling for Retina displays
  * - Smooth 60fps animation with RAF
  * - Efficient canvas clear/redraw cycle
+ * - Pressure-sensitive stroke width
+ * - Fade, wipe or instant exit for annotations with a lifetime
+ * - Recording mode that captures pointer/pen input as a new ink annotation
  *
  * @extends BaseLayer
  */
@@ -44,6 +50,18 @@ class DrawingLayer extends BaseLayer {
 
     // Setup canvas with device pixel ratio
     this._setupCanvas();
+
+    /**
+     * Active recording session, or null when not recording
+     * @private
+     * @type {Object|null}
+     */
+    this.recording = null;
+
+    // Bind pointer handlers once so they can be removed again
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
   }
 
   /**
@@ -104,54 +122,441 @@ class DrawingLayer extends BaseLayer {
     // Check destroyed state
     if (this.isDestroyed) return;
 
+    this._draw();
+  }
+
+  /**
+   * Finds the topmost ink annotation whose drawn strokes pass through a point
+   *
+   * Tests the distance from the point to every stroke segment drawn so far,
+   * in canvas pixels, against half the segment's line width plus a small
+   * tolerance, so hits follow the visible ink rather than its bounding box.
+   *
+   * @param {number} x - Normalized x position (0-1)
+   * @param {number} y - Normalized y position (0-1)
+   * @param {number} [tolerance=4] - Extra hit radius in pixels
+   * @returns {Object|null} Ink annotation under the point, or null
+   */
+  hitTest(x, y, tolerance = 4) {
+    if (this.isDestroyed) {
+      return null;
+    }
+
+    const px = x * this.viewport.width;
+    const py = y * this.viewport.height;
+
+    // Later annotations are drawn on top
+    for (let i = this.annotations.length - 1; i >= 0; i--) {
+      const a = this.annotations[i];
+      if (this.currentTime < a.start) continue;
+
+      const exitProgress = getExitProgress(a, this.currentTime);
+      if (exitProgress >= 1) continue;
+
+      // Ink left of a wipe edge is already gone
+      const wipeX = this._getWipeEdge(a, exitProgress);
+      if (wipeX !== null && px < wipeX) continue;
+
+      const elapsed = Math.min(this.currentTime - a.start, a.end - a.start);
+
+      for (const stroke of (a.strokes || [])) {
+        const size = stroke.size || 3;
+        let prev = null;
+
+        for (const point of stroke.points) {
+          if (point.t > elapsed) break;
+
+          const cur = {
+            x: point.x * this.viewport.width,
+            y: point.y * this.viewport.height
+          };
+          const width = typeof point.p === 'number' ? size * (0.5 + point.p) : size;
+          const radius = width / 2 + tolerance;
+
+          if (distanceToSegment(px, py, prev || cur, cur) <= radius) {
+            return a;
+          }
+
+          prev = cur;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Starts capturing pointer/pen input as a new ink annotation
+   *
+   * Enables pointer events on the drawing canvas. Each captured point is
+   * stamped with the timeline time relative to the annotation start, so the
+   * result replays exactly as it was drawn. Strokes are previewed live until
+   * stopRecording() is called.
+   *
+   * @param {Object} [options] - Recording options
+   * @param {Function} [options.getTime] - Returns the current timeline position in
+   *   seconds (defaults to the time last passed to updateTime())
+   * @param {number} [options.start] - Annotation start time in seconds (defaults to
+   *   the timeline position of the first pen-down)
+   * @param {number} [options.page=1] - Page number for the resulting annotation
+   * @param {string} [options.id] - Annotation ID (auto-generated if omitted)
+   * @param {string} [options.color='#1f2937'] - Stroke color
+   * @param {number} [options.size=3] - Stroke width in pixels at pressure 0.5
+   * @throws {Error} If called after layer is destroyed
+   * @throws {Error} If a recording is already in progress
+   */
+  startRecording(options = {}) {
+    this._checkDestroyed('startRecording');
+
+    if (this.recording) {
+      throw new Error('DrawingLayer: Recording already in progress');
+    }
+
+    this.recording = {
+      getTime: typeof options.getTime === 'function'
+        ? options.getTime
+        : () => this.currentTime,
+      start: typeof options.start === 'number' ? options.start : null,
+      page: options.page ?? 1,
+      id: options.id,
+      color: options.color || '#1f2937',
+      size: options.size || 3,
+      strokes: [],
+      activeStroke: null,
+      pointerId: null
+    };
+
+    this.canvasElement.style.pointerEvents = 'auto';
+    this.canvasElement.style.touchAction = 'none';
+    this.canvasElement.style.cursor = 'crosshair';
+    this.canvasElement.addEventListener('pointerdown', this._onPointerDown);
+    this.canvasElement.addEventListener('pointermove', this._onPointerMove);
+    this.canvasElement.addEventListener('pointerup', this._onPointerUp);
+    this.canvasElement.addEventListener('pointercancel', this._onPointerUp);
+  }
+
+  /**
+   * Stops capturing input and returns the recorded ink annotation
+   *
+   * The result is passed through normalizeInk(), so it can be added to the
+   * annotation array as-is. The live preview is cleared; add the returned
+   * annotation via setAnnotations() to keep it on screen.
+   *
+   * @returns {Object|null} Normalized ink annotation, or null if nothing was drawn
+   */
+  stopRecording() {
+    if (!this.recording) {
+      return null;
+    }
+
+    const { strokes, start, page, id } = this.recording;
+    this._endRecording();
+
+    if (strokes.length === 0) {
+      return null;
+    }
+
+    const duration = strokes.reduce((max, stroke) => {
+      const last = stroke.points[stroke.points.length - 1];
+      return Math.max(max, last.t);
+    }, 0);
+
+    const raw = {
+      id,
+      type: 'ink',
+      page,
+      start,
+      end: start + duration,
+      strokes
+    };
+
+    const warnings = [];
+    const info = [];
+    const base = normalizeBaseFields(raw, warnings, info);
+    return normalizeInk(base, raw, warnings, info);
+  }
+
+  /**
+   * Stops capturing input and discards the recorded strokes
+   *
+   * @returns {void}
+   */
+  cancelRecording() {
+    if (this.recording) {
+      this._endRecording();
+    }
+  }
+
+  /**
+   * Whether a recording session is active
+   *
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Clears the canvas and draws all annotations plus any live recording
+   *
+   * @private
+   */
+  _draw() {
+    const nowSec = this.currentTime;
+
     // Clear canvas
     this.ctx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
 
     // Draw each annotation
     for (const a of this.annotations) {
-      // Skip annotations that haven't started yet
+      // Skip annotations that haven't started yet or have exited
       if (nowSec < a.start) continue;
 
+      const exitProgress = getExitProgress(a, nowSec);
+      if (exitProgress >= 1) continue;
+
       // Calculate elapsed time (capped at duration for persistence)
       const duration = a.end - a.start;
       const elapsed = Math.min(nowSec - a.start, duration);
 
+      // Apply exit transition
+      this.ctx.save();
+      if (getExitTransition(a).type === 'fade') {
+        this.ctx.globalAlpha = 1 - exitProgress;
+      }
+
+      const wipeX = this._getWipeEdge(a, exitProgress);
+      if (wipeX !== null) {
+        this.ctx.beginPath();
+        this.ctx.rect(wipeX, 0, this.viewport.width - wipeX, this.viewport.height);
+        this.ctx.clip();
+      }
+
       // Draw each stroke
       for (const stroke of (a.strokes || [])) {
-        // Configure stroke style
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        this.ctx.strokeStyle = stroke.color || '#1f2937';
-        this.ctx.lineWidth = stroke.size || 3;
-        this.ctx.beginPath();
+        this._drawStroke(stroke, elapsed);
+      }
 
-        let started = false;
+      this.ctx.restore();
+    }
 
-        // Draw points up to current time
-        for (const point of stroke.points) {
-          // Skip points that haven't been drawn yet
-          if (point.t > elapsed) break;
+    // Draw strokes captured so far in full
+    if (this.recording) {
+      for (const stroke of this.recording.strokes) {
+        this._drawStroke(stroke, Infinity);
+      }
+    }
+  }
 
-          // Convert normalized coordinates to canvas pixels
-          const x = point.x * this.viewport.width;
-          const y = point.y * this.viewport.height;
+  /**
+   * Computes the left edge of an annotation's wipe exit
+   *
+   * The wipe sweeps from the left to the right edge of the annotation's
+   * bounding box (including stroke width).
+   *
+   * @private
+   * @param {Object} a - Ink annotation
+   * @param {number} exitProgress - Exit progress (0 to 1)
+   * @returns {number|null} Edge x in canvas pixels, or null if nothing is wiped
+   */
+  _getWipeEdge(a, exitProgress) {
+    if (exitProgress <= 0 || getExitTransition(a).type !== 'wipe') {
+      return null;
+    }
 
-          if (!started) {
-            this.ctx.moveTo(x, y);
-            started = true;
-          } else {
-            this.ctx.lineTo(x, y);
-          }
-        }
+    let minX = Infinity;
+    let maxX = -Infinity;
+
+    for (const stroke of (a.strokes || [])) {
+      const half = (stroke.size || 3) * 0.75;
+
+      for (const point of stroke.points) {
+        const x = point.x * this.viewport.width;
+        minX = Math.min(minX, x - half);
+        maxX = Math.max(maxX, x + half);
+      }
+    }
+
+    if (minX > maxX) {
+      return null;
+    }
+
+    return minX + (maxX - minX) * exitProgress;
+  }
+
+  /**
+   * Draws a stroke up to the given elapsed time
+   *
+   * Points carrying pressure (p) are drawn segment by segment with a width of
+   * size * (0.5 + p); strokes without pressure are drawn as a single path.
+   *
+   * @private
+   * @param {Object} stroke - Stroke with color, size and points
+   * @param {number} elapsed - Seconds since annotation start
+   */
+  _drawStroke(stroke, elapsed) {
+    const size = stroke.size || 3;
+
+    // Configure stroke style
+    this.ctx.lineCap = 'round';
+    this.ctx.lineJoin = 'round';
+    this.ctx.strokeStyle = stroke.color || '#1f2937';
+    this.ctx.lineWidth = size;
+    this.ctx.beginPath();
+
+    let started = false;
+    let prev = null;
 
-        // Render the stroke
-        if (started) {
+    // Draw points up to current time
+    for (const point of stroke.points) {
+      // Skip points that haven't been drawn yet
+      if (point.t > elapsed) break;
+
+      // Convert normalized coordinates to canvas pixels
+      const x = point.x * this.viewport.width;
+      const y = point.y * this.viewport.height;
+
+      if (typeof point.p === 'number') {
+        // Pressure-sensitive: each segment gets its own width
+        if (prev) {
+          this.ctx.beginPath();
+          this.ctx.lineWidth = size * (0.5 + point.p);
+          this.ctx.moveTo(prev.x, prev.y);
+          this.ctx.lineTo(x, y);
           this.ctx.stroke();
         }
+      } else if (!started) {
+        this.ctx.moveTo(x, y);
+        started = true;
+      } else {
+        this.ctx.lineTo(x, y);
       }
+
+      prev = { x, y };
+    }
+
+    // Render the stroke
+    if (started) {
+      this.ctx.stroke();
     }
   }
 
+  /**
+   * Begins a new stroke on pen-down
+   *
+   * @private
+   * @param {PointerEvent} event - Pointer event
+   */
+  _onPointerDown(event) {
+    const rec = this.recording;
+    if (!rec || rec.activeStroke) return;
+
+    event.preventDefault();
+    this.canvasElement.setPointerCapture?.(event.pointerId);
+
+    // First pen-down anchors the annotation start time
+    if (rec.start === null) {
+      rec.start = rec.getTime();
+    }
+
+    rec.pointerId = event.pointerId;
+    rec.activeStroke = {
+      color: rec.color,
+      size: rec.size,
+      points: []
+    };
+    rec.strokes.push(rec.activeStroke);
+
+    this._capturePoint(event);
+    this._draw();
+  }
+
+  /**
+   * Appends points while the pen is down
+   *
+   * @private
+   * @param {PointerEvent} event - Pointer event
+   */
+  _onPointerMove(event) {
+    const rec = this.recording;
+    if (!rec || !rec.activeStroke || event.pointerId !== rec.pointerId) return;
+
+    // Coalesced events give full pen resolution between animation frames
+    const events = typeof event.getCoalescedEvents === 'function'
+      ? event.getCoalescedEvents()
+      : [];
+
+    for (const e of (events.length ? events : [event])) {
+      this._capturePoint(e);
+    }
+
+    this._draw();
+  }
+
+  /**
+   * Finishes the current stroke on pen-up or cancel
+   *
+   * @private
+   * @param {PointerEvent} event - Pointer event
+   */
+  _onPointerUp(event) {
+    const rec = this.recording;
+    if (!rec || !rec.activeStroke || event.pointerId !== rec.pointerId) return;
+
+    this._capturePoint(event);
+    this.canvasElement.releasePointerCapture?.(event.pointerId);
+    rec.activeStroke = null;
+    rec.pointerId = null;
+    this._draw();
+  }
+
+  /**
+   * Converts a pointer event to a timed, normalized point on the active stroke
+   *
+   * @private
+   * @param {PointerEvent} event - Pointer event
+   */
+  _capturePoint(event) {
+    const rec = this.recording;
+    const rect = this.canvasElement.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    const clamp = (v) => Math.max(0, Math.min(1, v));
+    const points = rec.activeStroke.points;
+    const lastT = points.length ? points[points.length - 1].t : 0;
+
+    const point = {
+      // Never step back in time, even if the timeline was seeked mid-stroke
+      t: Math.max(lastT, Math.round((rec.getTime() - rec.start) * 1000) / 1000),
+      x: clamp((event.clientX - rect.left) / rect.width),
+      y: clamp((event.clientY - rect.top) / rect.height)
+    };
+
+    // Mouse reports a constant 0.5 (or 0 when no button); only pens carry pressure
+    if (event.pointerType === 'pen') {
+      point.p = clamp(event.pressure);
+    }
+
+    points.push(point);
+  }
+
+  /**
+   * Removes pointer listeners and restores passive canvas
+   *
+   * @private
+   */
+  _endRecording() {
+    this.canvasElement.removeEventListener('pointerdown', this._onPointerDown);
+    this.canvasElement.removeEventListener('pointermove', this._onPointerMove);
+    this.canvasElement.removeEventListener('pointerup', this._onPointerUp);
+    this.canvasElement.removeEventListener('pointercancel', this._onPointerUp);
+    this.canvasElement.style.pointerEvents = 'none';
+    this.canvasElement.style.touchAction = '';
+    this.canvasElement.style.cursor = '';
+    this.recording = null;
+    this._draw();
+  }
+
   /**
    * Renders the layer content
    *
@@ -165,6 +570,16 @@ class DrawingLayer extends BaseLayer {
     // Canvas element is created once in constructor
   }
 
+  /**
+   * Returns the root DOM element of the layer
+   *
+   * @returns {HTMLElement|null} Layer canvas element
+   * @override
+   */
+  getElement() {
+    return this.canvasElement;
+  }
+
   /**
    * Updates the visual state of the layer
    *
@@ -185,6 +600,11 @@ class DrawingLayer extends BaseLayer {
    * @override
    */
   destroy() {
+    // Stop any recording session before releasing the canvas
+    if (this.recording && this.canvasElement) {
+      this.cancelRecording();
+    }
+
     // Clear context reference
     this.ctx = null;
 
@@ -1,12 +1,41 @@
 import BaseLayer from './BaseLayer.js';
 import { rectNormToAbs } from '../utils/coordinateUtils.js';
+import {
+  getAnimation,
+  getEntranceProgress,
+  getExitProgress,
+  getExitTransition,
+  wipeInset
+} from '../utils/animationUtils.js';
+import { HIGHLIGHT_DEFAULTS, HIGHLIGHT_MODES } from '../types/defaults.js';
+
+/**
+ * Transform origin of the inner highlight for each wipe direction
+ * @type {Object<string, string>}
+ */
+const WIPE_ORIGINS = {
+  ltr: 'left center',
+  rtl: 'right center',
+  ttb: 'center top',
+  btt: 'center bottom'
+};
 
 /**
  * HighlightLayer - Renders highlight annotations with progressive reveal
  *
  * Extends BaseLayer to render rectangular highlight regions (quads) with
- * progressive left-to-right scaleX animation based on timeline position.
- * Supports multi-line highlights with per-quad timing segments.
+ * progressive animation based on timeline position: a wipe (left-to-right
+ * scaleX by default, or in any direction), fade, pop or instant entrance
+ * selected by the annotation's `animation` field. Supports multi-line
+ * highlights with per-quad timing segments. Annotations
+ * with a lifetime fade, wipe away (quad by quad) or vanish once it ends.
+ *
+ * Besides filled quads (`mode: 'quads'`), the markup modes 'underline',
+ * 'strikethrough', 'squiggly' and 'box' draw lines or outlines of
+ * `style.width` (scaled with the viewport) along the same quads, with the
+ * same timing. Markup wipes clip instead of scaling so lines keep their shape.
+ * Highlights over right-to-left text (`dir: 'rtl'`) wipe in and out from
+ * the right edge of each line.
  *
  * @extends BaseLayer
  */
@@ -40,8 +69,8 @@ class HighlightLayer extends BaseLayer {
    * Renders highlight elements for all annotations
    *
    * Creates DOM structure for each quad in each annotation. Calculates
-   * timing segments for progressive animation. Clears and recreates all
-   * elements when called.
+   * timing segments for progressive animation (in wipe order). Clears and
+   * recreates all elements when called.
    */
   render() {
     // Clear existing elements
@@ -50,11 +79,13 @@ class HighlightLayer extends BaseLayer {
 
     // Process each annotation
     this.annotations.forEach((annotation) => {
-      // Skip if not quad mode or no quads
-      if (annotation.mode !== 'quads' || !annotation.quads?.length) {
+      // Skip unknown modes and annotations without quads
+      if (!HIGHLIGHT_MODES.includes(annotation.mode) || !annotation.quads?.length) {
         return;
       }
 
+      const animation = getAnimation(annotation, HIGHLIGHT_DEFAULTS.animation);
+
       // Calculate total width across all quads
       const totalW = annotation.quads.reduce((sum, quad) => sum + quad.w, 0);
 
@@ -67,6 +98,7 @@ class HighlightLayer extends BaseLayer {
         const prevW = annotation.quads.slice(0, idx).reduce((sum, q) => sum + q.w, 0);
         const segStart = prevW / totalW;
         const segEnd = (prevW + quad.w) / totalW;
+        const [revealStart, revealEnd] = this._getRevealSegment(annotation.quads, idx, animation);
 
         // Create wrapper div
         const wrapper = document.createElement('div');
@@ -75,18 +107,21 @@ class HighlightLayer extends BaseLayer {
         wrapper.style.top = `${abs.top}px`;
         wrapper.style.width = `${abs.width}px`;
         wrapper.style.height = `${abs.height}px`;
-        wrapper.style.overflow = 'hidden';
+        // Pop may overshoot its quad
+        wrapper.style.overflow = animation.type === 'pop' ? 'visible' : 'hidden';
         wrapper.style.borderRadius = '2px';
 
         // Create highlight div
         const highlight = document.createElement('div');
         highlight.style.width = '100%';
         highlight.style.height = '100%';
-        highlight.style.background = annotation?.style?.color ?? 'rgba(255,230,100,0.35)';
-        highlight.style.outline = '1px solid rgba(255,200,0,0.6)';
-        highlight.style.transformOrigin = 'left center';
-        highlight.style.transform = 'scaleX(0)';
-        highlight.style.willChange = 'transform';
+        if (annotation.mode === 'quads') {
+          highlight.style.background = annotation?.style?.color ?? 'rgba(255,230,100,0.35)';
+          highlight.style.outline = '1px solid rgba(255,200,0,0.6)';
+        } else {
+          this._styleMarkup(highlight, annotation);
+        }
+        this._setInitialState(highlight, animation, annotation.mode);
 
         // Assemble DOM structure
         wrapper.appendChild(highlight);
@@ -98,18 +133,141 @@ class HighlightLayer extends BaseLayer {
           element: highlight,
           wrapper: wrapper,
           annotation: annotation,
+          animation: animation,
+          quad: quad,
           segStart: segStart,
-          segEnd: segEnd
+          segEnd: segEnd,
+          revealStart: revealStart,
+          revealEnd: revealEnd,
+          progress: 0,
+          wiped: 0
         });
       });
     });
   }
 
+  /**
+   * Computes the part of the (eased) reveal during which a quad is wiped in
+   *
+   * Horizontal wipes split the reveal by quad width and run through the quads
+   * in order (each line from its own starting edge, as text is read); vertical
+   * wipes split it by quad height, and 'btt' runs through the quads in
+   * reverse order. Other effects reveal all quads together.
+   *
+   * @private
+   * @param {Array<Object>} quads - Annotation quads
+   * @param {number} idx - Quad index
+   * @param {Object} animation - Resolved entrance animation
+   * @returns {Array<number>} [start, end] as fractions of the reveal
+   */
+  _getRevealSegment(quads, idx, animation) {
+    if (animation.type !== 'wipe') {
+      return [0, 1];
+    }
+
+    const vertical = animation.direction === 'ttb' || animation.direction === 'btt';
+    const reversed = animation.direction === 'btt';
+    const sizes = quads.map((q) => (vertical ? q.h : q.w));
+    const ordered = reversed ? sizes.slice().reverse() : sizes;
+    const pos = reversed ? quads.length - 1 - idx : idx;
+
+    const total = ordered.reduce((sum, size) => sum + size, 0);
+    const before = ordered.slice(0, pos).reduce((sum, size) => sum + size, 0);
+    return [before / total, (before + ordered[pos]) / total];
+  }
+
+  /**
+   * Styles an inner highlight element as underline, strikethrough, squiggly
+   * line or box outline
+   *
+   * Lines are drawn as backgrounds of the full-size element, so wipes and
+   * pops act on them like on filled quads.
+   *
+   * @private
+   * @param {HTMLElement} highlight - Inner highlight element
+   * @param {Object} annotation - Highlight annotation in a markup mode
+   */
+  _styleMarkup(highlight, annotation) {
+    const { markupStyle } = HIGHLIGHT_DEFAULTS;
+    const color = annotation.style?.color ?? markupStyle.color;
+    const width = (annotation.style?.width ?? markupStyle.width) * (this.viewport.scale || 1);
+    const line = `linear-gradient(${color}, ${color})`;
+
+    switch (annotation.mode) {
+      case 'underline':
+        highlight.style.background = `${line} left bottom / 100% ${width}px no-repeat`;
+        break;
+      case 'strikethrough':
+        highlight.style.background = `${line} left center / 100% ${width}px no-repeat`;
+        break;
+      case 'squiggly': {
+        // One wave period as SVG, repeated along the bottom edge
+        const period = width * 4;
+        const height = width * 3;
+        const svg =
+          `<svg xmlns="http://www.w3.org/2000/svg" width="${period}" height="${height}">` +
+          `<path d="M0 ${height / 2} Q${period / 4} ${width / 2} ${period / 2} ${height / 2} ` +
+          `T${period} ${height / 2}" fill="none" stroke="${color}" stroke-width="${width}"/></svg>`;
+        highlight.style.backgroundImage = `url("data:image/svg+xml,${encodeURIComponent(svg)}")`;
+        highlight.style.backgroundRepeat = 'repeat-x';
+        highlight.style.backgroundPosition = 'left bottom';
+        highlight.style.backgroundSize = `${period}px ${height}px`;
+        break;
+      }
+      default:
+        // box
+        highlight.style.boxSizing = 'border-box';
+        highlight.style.border = `${width}px solid ${color}`;
+        highlight.style.borderRadius = '2px';
+        break;
+    }
+  }
+
+  /**
+   * Puts a highlight element in its pre-entrance state
+   *
+   * @private
+   * @param {HTMLElement} highlight - Inner highlight element
+   * @param {Object} animation - Resolved entrance animation
+   * @param {string} mode - Highlight mode
+   */
+  _setInitialState(highlight, animation, mode) {
+    switch (animation.type) {
+      case 'wipe': {
+        // Markup is clipped so lines are not squeezed
+        if (mode !== 'quads') {
+          highlight.style.clipPath = 'inset(0 0 0 100%)';
+          highlight.style.willChange = 'clip-path';
+          break;
+        }
+        const vertical = animation.direction === 'ttb' || animation.direction === 'btt';
+        highlight.style.transformOrigin = WIPE_ORIGINS[animation.direction];
+        highlight.style.transform = vertical ? 'scaleY(0)' : 'scaleX(0)';
+        highlight.style.willChange = 'transform';
+        break;
+      }
+      case 'fade':
+        highlight.style.opacity = '0';
+        highlight.style.willChange = 'opacity';
+        break;
+      case 'pop':
+        highlight.style.transformOrigin = 'center';
+        highlight.style.transform = 'scale(0)';
+        highlight.style.willChange = 'transform';
+        break;
+      default:
+        // instant: nothing to animate
+        break;
+    }
+  }
+
   /**
    * Updates highlight animations based on current timeline position
    *
-   * Updates scaleX transform for each highlight element based on timeline.
-   * Calculates progress for each quad segment and updates visibility.
+   * Updates the entrance effect (wipe scale, fade opacity or pop scale) of
+   * each highlight element based on timeline. Calculates progress for each
+   * quad segment and updates visibility.
+   * Applies the exit transition once an annotation's lifetime ends.
    * Renders once per call - no continuous loop.
    *
    * @param {number} nowSec - Current timeline position in seconds
@@ -122,38 +280,165 @@ class HighlightLayer extends BaseLayer {
     }
 
     // Update each highlight element
-    this.elements.forEach(({ element, wrapper, annotation, segStart, segEnd }) => {
-      // Hide wrapper if time hasn't reached annotation start
-      if (nowSec < annotation.start) {
+    this.elements.forEach((entry) => {
+      const { element, wrapper, annotation, animation, revealStart, revealEnd } = entry;
+
+      const exitProgress = getExitProgress(annotation, nowSec);
+
+      // Hide wrapper if time hasn't reached annotation start or it has exited
+      if (nowSec < annotation.start || exitProgress >= 1) {
         wrapper.style.display = 'none';
+        entry.progress = 0;
+        entry.wiped = 0;
       } else {
         // Show wrapper
         wrapper.style.display = 'block';
 
-        // Calculate global progress (0 to 1)
-        const globalProgress = Math.max(
-          0,
-          Math.min(
-            1,
-            (nowSec - annotation.start) / Math.max(1e-6, annotation.end - annotation.start)
-          )
-        );
-
-        // Calculate local progress for this quad segment (0 to 1)
-        const localProgress = Math.max(
-          0,
-          Math.min(
-            1,
-            (globalProgress - segStart) / Math.max(1e-6, segEnd - segStart)
-          )
-        );
-
-        // Apply scaleX transform
-        element.style.transform = `scaleX(${localProgress})`;
+        // Calculate eased global progress (0 to 1, pop may overshoot)
+        const globalProgress = getEntranceProgress(annotation, nowSec, animation.easing);
+
+        if (animation.type === 'wipe') {
+          // Calculate local progress for this quad segment (0 to 1)
+          const localProgress = Math.max(
+            0,
+            Math.min(
+              1,
+              (globalProgress - revealStart) / Math.max(1e-6, revealEnd - revealStart)
+            )
+          );
+
+          // Apply scale transform along the wipe axis (markup is clipped)
+          const vertical = animation.direction === 'ttb' || animation.direction === 'btt';
+          if (annotation.mode !== 'quads') {
+            const inset = wipeInset(animation.direction, localProgress);
+            element.style.clipPath = localProgress < 1
+              ? `inset(${inset.map((value) => `${value * 100}%`).join(' ')})`
+              : '';
+          } else {
+            element.style.transform = vertical
+              ? `scaleY(${localProgress})`
+              : `scaleX(${localProgress})`;
+          }
+          entry.progress = localProgress;
+        } else if (animation.type === 'fade') {
+          const opacity = Math.max(0, Math.min(1, globalProgress));
+          element.style.opacity = String(opacity);
+          entry.progress = opacity;
+        } else if (animation.type === 'pop') {
+          element.style.transform = `scale(${Math.max(0, globalProgress)})`;
+          entry.progress = Math.max(0, Math.min(1, globalProgress));
+        } else {
+          entry.progress = 1;
+        }
+
+        this._applyExit(entry, exitProgress);
       }
     });
   }
 
+  /**
+   * Applies an annotation's exit transition to one quad
+   *
+   * Fade lowers the opacity of every quad together; wipe clips quads away
+   * from the reading start (the left, or the right for `dir: 'rtl'`), one
+   * after another in the same order they were revealed.
+   *
+   * @private
+   * @param {Object} entry - Element entry
+   * @param {number} exitProgress - Exit progress (0 to 1)
+   */
+  _applyExit(entry, exitProgress) {
+    const { wrapper, annotation, segStart, segEnd } = entry;
+    const { type } = getExitTransition(annotation);
+
+    if (type === 'fade') {
+      wrapper.style.opacity = exitProgress > 0 ? String(1 - exitProgress) : '';
+      entry.wiped = 0;
+      return;
+    }
+
+    if (type === 'wipe') {
+      const wiped = Math.max(
+        0,
+        Math.min(1, (exitProgress - segStart) / Math.max(1e-6, segEnd - segStart))
+      );
+      const inset = annotation.dir === 'rtl'
+        ? `inset(0 ${wiped * 100}% 0 0)`
+        : `inset(0 0 0 ${wiped * 100}%)`;
+      wrapper.style.clipPath = wiped > 0 ? inset : '';
+      entry.wiped = wiped;
+    }
+  }
+
+  /**
+   * Finds the topmost highlight whose revealed part covers a point
+   *
+   * Only the portion of each quad revealed so far (and not yet wiped away)
+   * counts as a hit; fading and popping quads count as a whole.
+   *
+   * @param {number} x - Normalized x position (0-1)
+   * @param {number} y - Normalized y position (0-1)
+   * @returns {Object|null} Highlight annotation under the point, or null
+   */
+  hitTest(x, y) {
+    if (this.isDestroyed) {
+      return null;
+    }
+
+    // Later elements are stacked on top
+    const entries = Array.from(this.elements.values()).reverse();
+
+    for (const entry of entries) {
+      if (entry.progress <= 0 || entry.wiped >= 1) continue;
+
+      const { left, right, top, bottom } = this._getVisibleBounds(entry);
+      if (x >= left && x <= right && y >= top && y <= bottom) {
+        return entry.annotation;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Computes the normalized bounds of the visible part of a quad
+   *
+   * @private
+   * @param {Object} entry - Element entry
+   * @returns {{left: number, right: number, top: number, bottom: number}} Bounds
+   */
+  _getVisibleBounds(entry) {
+    const { quad, annotation, animation, progress, wiped } = entry;
+    const rtl = annotation.dir === 'rtl';
+    let left = rtl ? quad.x : quad.x + quad.w * wiped;
+    let right = rtl ? quad.x + quad.w * (1 - wiped) : quad.x + quad.w;
+    let top = quad.y;
+    let bottom = quad.y + quad.h;
+
+    if (animation.type === 'wipe') {
+      if (animation.direction === 'ltr') {
+        right = Math.min(right, quad.x + quad.w * progress);
+      } else if (animation.direction === 'rtl') {
+        left = Math.max(left, quad.x + quad.w * (1 - progress));
+      } else if (animation.direction === 'ttb') {
+        bottom = quad.y + quad.h * progress;
+      } else {
+        top = quad.y + quad.h * (1 - progress);
+      }
+    }
+
+    return { left, right, top, bottom };
+  }
+
+  /**
+   * Returns the root DOM element of the layer
+   *
+   * @returns {HTMLElement|null} Layer container element
+   */
+  getElement() {
+    return this.layerElement;
+  }
+
   /**
    * Updates the visual state of the layer
    *
@@ -0,0 +1,260 @@
+import BaseLayer from './BaseLayer.js';
+import { rectNormToAbs } from '../utils/coordinateUtils.js';
+import {
+  getAnimation,
+  getEntranceProgress,
+  getExitProgress,
+  getExitTransition,
+  isAnnotationVisible,
+  wipeInset
+} from '../utils/animationUtils.js';
+import { resolveImageSource } from '../utils/stampUtils.js';
+import { IMAGE_DEFAULTS } from '../types/defaults.js';
+
+/**
+ * ImageLayer - Renders image and stamp annotations
+ *
+ * Extends BaseLayer to place images (URLs, data URIs or registered stamps,
+ * see stampUtils) in normalized boxes, fitted with their aspect ratio kept,
+ * rotated around the box center and drawn at the annotation's opacity. Like
+ * text boxes, images enter with the annotation's `animation` (fade by
+ * default, or wipe, pop or instant) between start and end, and annotations
+ * with a lifetime fade, wipe away or vanish once it ends.
+ *
+ * The layer sits above highlights and below text boxes (z-index 27), so
+ * captions and arrows can be placed on top of images.
+ *
+ * @extends BaseLayer
+ */
+class ImageLayer extends BaseLayer {
+  /**
+   * Creates a new ImageLayer instance
+   *
+   * @param {HTMLElement} container - Parent DOM element for layer content
+   * @param {Object} viewport - Initial viewport dimensions
+   * @param {number} viewport.width - Viewport width in pixels
+   * @param {number} viewport.height - Viewport height in pixels
+   * @param {number} viewport.scale - PDF scale/zoom level
+   */
+  constructor(container, viewport) {
+    super(container, viewport);
+
+    // Create layer container element
+    this.layerElement = document.createElement('div');
+    this.layerElement.style.position = 'absolute';
+    this.layerElement.style.inset = '0';
+    this.layerElement.style.pointerEvents = 'none';
+    this.layerElement.style.zIndex = '27';
+
+    // Append to parent container
+    this.container.appendChild(this.layerElement);
+
+    /**
+     * Rendered images keyed by annotation id
+     * @private
+     * @type {Map<string, {element: HTMLElement, annotation: Object, animation: Object}>}
+     */
+    this.imageElements = new Map();
+  }
+
+  /**
+   * Renders an image element for every annotation
+   *
+   * Images start loading right away but stay hidden until their start time
+   * (visibility is controlled by updateTime).
+   *
+   * This method is idempotent - safe to call multiple times.
+   */
+  render() {
+    // Clear existing elements
+    this.layerElement.innerHTML = '';
+    this.imageElements.clear();
+
+    this.annotations.forEach((annotation) => {
+      const abs = rectNormToAbs(annotation, this.viewport);
+
+      // The box carries position, rotation and transitions
+      const box = document.createElement('div');
+      box.style.position = 'absolute';
+      box.style.left = `${abs.left}px`;
+      box.style.top = `${abs.top}px`;
+      box.style.width = `${abs.width}px`;
+      box.style.height = `${abs.height}px`;
+      box.style.transformOrigin = 'center center';
+      box.style.display = 'none';
+
+      const img = document.createElement('img');
+      img.alt = '';
+      img.draggable = false;
+      img.style.display = 'block';
+      img.style.width = '100%';
+      img.style.height = '100%';
+      img.style.objectFit = 'contain';
+      img.addEventListener('error', () => {
+        console.warn(`ImageLayer.render: failed to load image for annotation "${annotation.id}"`);
+      });
+      img.src = resolveImageSource(annotation.src || IMAGE_DEFAULTS.src);
+
+      box.appendChild(img);
+      this.layerElement.appendChild(box);
+
+      this.imageElements.set(annotation.id, {
+        element: box,
+        annotation,
+        animation: getAnimation(annotation, IMAGE_DEFAULTS.animation)
+      });
+    });
+  }
+
+  /**
+   * Updates image visibility and transitions based on timeline position
+   *
+   * @param {number} nowSec - Current timeline position in seconds
+   */
+  updateTime(nowSec) {
+    super.updateTime(nowSec);
+
+    this.imageElements.forEach(({ element, annotation, animation }) => {
+      const exitProgress = getExitProgress(annotation, nowSec);
+
+      if (nowSec < annotation.start || exitProgress >= 1) {
+        element.style.display = 'none';
+        return;
+      }
+
+      element.style.display = 'block';
+
+      const progress = getEntranceProgress(annotation, nowSec, animation.easing);
+      this._applyTransitions(element, annotation, animation, progress, exitProgress);
+    });
+  }
+
+  /**
+   * Applies rotation, opacity, the entrance effect and the exit transition
+   *
+   * All act on the same element, so opacities multiply and wipe insets add
+   * up. Wipes run along the image's own (rotated) axes.
+   *
+   * @private
+   * @param {HTMLElement} element - Image box element
+   * @param {Object} annotation - Image annotation
+   * @param {Object} animation - Resolved entrance animation
+   * @param {number} progress - Eased entrance progress
+   * @param {number} exitProgress - Exit progress (0 to 1)
+   */
+  _applyTransitions(element, annotation, animation, progress, exitProgress) {
+    const exitType = getExitTransition(annotation).type;
+    let opacity = annotation.opacity ?? IMAGE_DEFAULTS.opacity;
+    let inset = [0, 0, 0, 0];
+
+    // Entrance
+    if (animation.type === 'fade') {
+      opacity *= Math.max(0, Math.min(1, progress));
+    } else if (animation.type === 'wipe') {
+      inset = wipeInset(animation.direction, progress);
+    }
+
+    const transforms = [];
+    if (annotation.rotation) {
+      transforms.push(`rotate(${annotation.rotation}deg)`);
+    }
+    if (animation.type === 'pop' && progress !== 1) {
+      transforms.push(`scale(${Math.max(0, progress)})`);
+    }
+    element.style.transform = transforms.join(' ');
+
+    // Exit
+    if (exitType === 'fade') {
+      opacity *= 1 - exitProgress;
+    } else if (exitType === 'wipe') {
+      inset[3] = Math.min(1, inset[3] + exitProgress);
+    }
+
+    element.style.opacity = opacity < 1 ? String(opacity) : '';
+    element.style.clipPath = inset.some((value) => value > 0)
+      ? `inset(${inset.map((value) => `${value * 100}%`).join(' ')})`
+      : '';
+  }
+
+  /**
+   * Finds the topmost visible image whose box contains a point
+   *
+   * Rotated images are tested against their rotated box.
+   *
+   * @param {number} x - Normalized x position (0-1)
+   * @param {number} y - Normalized y position (0-1)
+   * @returns {Object|null} Image annotation under the point, or null
+   */
+  hitTest(x, y) {
+    if (this.isDestroyed) {
+      return null;
+    }
+
+    const { width, height } = this.viewport;
+
+    // Later images are stacked on top
+    const entries = Array.from(this.imageElements.values()).reverse();
+
+    for (const { annotation } of entries) {
+      if (!isAnnotationVisible(annotation, this.currentTime)) continue;
+
+      // Undo the rotation around the box center (in pixels, so the page's
+      // aspect ratio does not skew the box)
+      const cx = (annotation.x + annotation.w / 2) * width;
+      const cy = (annotation.y + annotation.h / 2) * height;
+      const angle = -(annotation.rotation || 0) * Math.PI / 180;
+      const dx = x * width - cx;
+      const dy = y * height - cy;
+      const localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+      const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+
+      if (Math.abs(localX) <= annotation.w * width / 2 &&
+          Math.abs(localY) <= annotation.h * height / 2) {
+        return annotation;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns the root DOM element of the layer
+   *
+   * @returns {HTMLElement|null} Layer container element
+   */
+  getElement() {
+    return this.layerElement;
+  }
+
+  /**
+   * Updates the visual state of the layer
+   *
+   * Not used by ImageLayer - updateTime handles all updates directly.
+   * Implemented to satisfy BaseLayer contract.
+   */
+  update() {
+    // Not used - updateTime handles updates directly
+  }
+
+  /**
+   * Destroys the layer and releases all resources
+   *
+   * Clears element storage, removes DOM elements, and calls parent cleanup.
+   */
+  destroy() {
+    // Clear element storage
+    this.imageElements.clear();
+    this.imageElements = null;
+
+    // Remove layer element from DOM
+    if (this.layerElement && this.layerElement.parentNode) {
+      this.layerElement.parentNode.removeChild(this.layerElement);
+    }
+    this.layerElement = null;
+
+    // Call parent destroy
+    super.destroy();
+  }
+}
+
+export default ImageLayer;
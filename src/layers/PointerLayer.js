@@ -0,0 +1,332 @@
+import BaseLayer from './BaseLayer.js';
+import { getExitProgress } from '../utils/animationUtils.js';
+
+/**
+ * Number of evenly spaced steps a pointer trail is drawn in
+ * @type {number}
+ */
+const TRAIL_STEPS = 16;
+
+/**
+ * Interpolate a pointer position at a time offset
+ *
+ * Positions before the first or after the last sample are held at that
+ * sample.
+ *
+ * @param {Array<{t: number, x: number, y: number}>} points - Samples sorted by t
+ * @param {number} t - Seconds after the annotation start
+ * @returns {{t: number, x: number, y: number}} Interpolated position
+ */
+function positionAt(points, t) {
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  if (t <= first.t) return { t, x: first.x, y: first.y };
+  if (t >= last.t) return { t, x: last.x, y: last.y };
+
+  // Binary search for the last sample at or before t
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].t <= t) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+
+  const a = points[lo];
+  const b = points[hi];
+  const f = b.t > a.t ? (t - a.t) / (b.t - a.t) : 1;
+
+  return {
+    t,
+    x: a.x + (b.x - a.x) * f,
+    y: a.y + (b.y - a.y) * f
+  };
+}
+
+/**
+ * PointerLayer - Replays recorded laser pointer movements on HTML canvas
+ *
+ * Extends BaseLayer to render pointer annotations as a glowing dot that
+ * follows the recorded positions, interpolated between samples at the
+ * current timeline position, with a trail that fades and thins out behind
+ * it. Unlike ink, a pointer is transient: it is shown only from its first
+ * sample until end and leaves nothing behind.
+ *
+ * The layer sits above every other built-in layer (z-index 50).
+ *
+ * @extends BaseLayer
+ */
+class PointerLayer extends BaseLayer {
+  /**
+   * Creates a new PointerLayer instance
+   *
+   * @param {HTMLElement} container - Parent DOM element for layer content
+   * @param {Object} viewport - Initial viewport dimensions
+   * @param {number} viewport.width - Viewport width in pixels
+   * @param {number} viewport.height - Viewport height in pixels
+   * @param {number} viewport.scale - PDF scale/zoom level
+   */
+  constructor(container, viewport) {
+    super(container, viewport);
+
+    // Create canvas element
+    this.canvasElement = document.createElement('canvas');
+    this.canvasElement.style.position = 'absolute';
+    this.canvasElement.style.inset = '0';
+    this.canvasElement.style.pointerEvents = 'none';
+    this.canvasElement.style.zIndex = '50';
+
+    // Append to container
+    this.container.appendChild(this.canvasElement);
+
+    // Get 2D context
+    this.ctx = this.canvasElement.getContext('2d');
+
+    // Setup canvas with device pixel ratio
+    this._setupCanvas();
+  }
+
+  /**
+   * Configures canvas dimensions with device pixel ratio scaling
+   *
+   * @private
+   */
+  _setupCanvas() {
+    const dpr = window.devicePixelRatio || 1;
+
+    // Set canvas buffer resolution (high-res for crisp rendering)
+    this.canvasElement.width = Math.round(this.viewport.width * dpr);
+    this.canvasElement.height = Math.round(this.viewport.height * dpr);
+
+    // Set canvas display size (CSS pixels)
+    this.canvasElement.style.width = `${this.viewport.width}px`;
+    this.canvasElement.style.height = `${this.viewport.height}px`;
+
+    // Scale context to account for device pixel ratio
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  /**
+   * Updates viewport dimensions and resizes canvas
+   *
+   * @param {Object} viewport - New viewport dimensions
+   * @param {number} viewport.width - Viewport width in pixels
+   * @param {number} viewport.height - Viewport height in pixels
+   * @param {number} viewport.scale - PDF scale/zoom level
+   * @override
+   */
+  setViewport(viewport) {
+    super.setViewport(viewport);
+    this._setupCanvas();
+  }
+
+  /**
+   * Updates timeline position and redraws active pointers
+   *
+   * Renders once per call - no continuous loop.
+   *
+   * @param {number} nowSec - Current timeline position in seconds
+   * @override
+   */
+  updateTime(nowSec) {
+    super.updateTime(nowSec);
+
+    // Check destroyed state
+    if (this.isDestroyed) return;
+
+    this._draw();
+  }
+
+  /**
+   * Pointers are transient and never report hits
+   *
+   * @returns {null} Always null
+   */
+  hitTest() {
+    return null;
+  }
+
+  /**
+   * Collects the trail of a pointer, oldest position first
+   *
+   * @private
+   * @param {Array<Object>} points - Samples sorted by t
+   * @param {number} elapsed - Seconds since the annotation start
+   * @param {number} trail - Trail length in seconds
+   * @returns {Array<{t: number, x: number, y: number}>} Positions from the
+   *   tail to the dot
+   */
+  _getTrail(points, elapsed, trail) {
+    const tailTime = Math.max(points[0].t, elapsed - trail);
+
+    // Samples keep the corners; evenly spaced steps keep the fade smooth
+    const times = [];
+    for (let i = 0; i <= TRAIL_STEPS; i++) {
+      times.push(tailTime + (elapsed - tailTime) * (i / TRAIL_STEPS));
+    }
+    for (const point of points) {
+      if (point.t > tailTime && point.t < elapsed) {
+        times.push(point.t);
+      }
+    }
+    times.sort((x, y) => x - y);
+
+    return times.map(t => positionAt(points, t));
+  }
+
+  /**
+   * Gets a pointer's lifecycle state
+   *
+   * Pointers are only drawn during their time range: revealing while the
+   * recorded positions replay, complete while the dot rests on the last one
+   * and hidden from end on.
+   *
+   * @param {Object} annotation - Pointer annotation
+   * @param {number} nowSec - Current timeline position in seconds
+   * @returns {string} 'hidden', 'revealing' or 'complete'
+   * @override
+   */
+  getAnnotationState(annotation, nowSec) {
+    const points = annotation.points || [];
+    const elapsed = nowSec - annotation.start;
+
+    if (nowSec < annotation.start || nowSec > annotation.end || points.length === 0 ||
+        elapsed < points[0].t || getExitProgress(annotation, nowSec) >= 1) {
+      return 'hidden';
+    }
+
+    return elapsed < points[points.length - 1].t ? 'revealing' : 'complete';
+  }
+
+  /**
+   * Clears the canvas and draws every active pointer
+   *
+   * @private
+   */
+  _draw() {
+    const nowSec = this.currentTime;
+    const { width, height } = this.viewport;
+
+    // Clear canvas
+    this.ctx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+
+    for (const a of this.annotations) {
+      if (nowSec < a.start || nowSec > a.end) continue;
+
+      const points = a.points || [];
+      const elapsed = nowSec - a.start;
+      if (points.length === 0 || elapsed < points[0].t) continue;
+
+      const opacity = 1 - getExitProgress(a, nowSec);
+      if (opacity <= 0) continue;
+
+      const color = a.style?.color || '#ef4444';
+      const size = a.style?.size || 12;
+      const trail = a.style?.trail ?? 0.4;
+
+      this.ctx.save();
+      this.ctx.strokeStyle = color;
+      this.ctx.fillStyle = color;
+      this.ctx.lineCap = 'round';
+      this.ctx.shadowColor = color;
+
+      // Trail: older segments are fainter and thinner
+      if (trail > 0) {
+        const path = this._getTrail(points, elapsed, trail);
+        this.ctx.shadowBlur = size / 2;
+
+        for (let i = 1; i < path.length; i++) {
+          const age = (elapsed - (path[i - 1].t + path[i].t) / 2) / trail;
+          const strength = Math.max(0, 1 - age);
+          if (strength <= 0) continue;
+
+          this.ctx.globalAlpha = opacity * strength * 0.6;
+          this.ctx.lineWidth = size * (0.2 + 0.5 * strength);
+          this.ctx.beginPath();
+          this.ctx.moveTo(path[i - 1].x * width, path[i - 1].y * height);
+          this.ctx.lineTo(path[i].x * width, path[i].y * height);
+          this.ctx.stroke();
+        }
+      }
+
+      // Dot with a glow and a bright core
+      const head = positionAt(points, elapsed);
+      const x = head.x * width;
+      const y = head.y * height;
+
+      this.ctx.globalAlpha = opacity;
+      this.ctx.shadowBlur = size * 1.5;
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+      this.ctx.fill();
+
+      this.ctx.shadowBlur = 0;
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, size / 5, 0, Math.PI * 2);
+      this.ctx.fill();
+
+      this.ctx.restore();
+    }
+  }
+
+  /**
+   * Renders the layer content
+   *
+   * No-op for PointerLayer - canvas rendering happens in updateTime().
+   *
+   * @override
+   */
+  render() {
+    // No-op: Canvas rendering happens in updateTime()
+  }
+
+  /**
+   * Returns the root DOM element of the layer
+   *
+   * @returns {HTMLElement|null} Layer canvas element
+   * @override
+   */
+  getElement() {
+    return this.canvasElement;
+  }
+
+  /**
+   * Updates the visual state of the layer
+   *
+   * Not used for PointerLayer - updateTime() handles drawing directly.
+   *
+   * @override
+   */
+  update() {
+    // Not used - updateTime handles drawing directly
+  }
+
+  /**
+   * Destroys the layer and releases resources
+   *
+   * Clears references and removes canvas from DOM.
+   * Safe to call multiple times (idempotent).
+   *
+   * @override
+   */
+  destroy() {
+    // Clear context reference
+    this.ctx = null;
+
+    // Remove canvas from DOM
+    if (this.canvasElement && this.canvasElement.parentNode) {
+      this.canvasElement.parentNode.removeChild(this.canvasElement);
+    }
+    this.canvasElement = null;
+
+    // Call parent cleanup (always last)
+    super.destroy();
+  }
+}
+
+export default PointerLayer;
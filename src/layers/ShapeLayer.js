@@ -0,0 +1,458 @@
+import BaseLayer from './BaseLayer.js';
+import {
+  getEntranceProgress,
+  getExitProgress,
+  getExitTransition
+} from '../utils/animationUtils.js';
+import { distanceToSegment } from '../utils/coordinateUtils.js';
+
+/**
+ * Number of segments used to approximate an ellipse outline
+ * @type {number}
+ */
+const ELLIPSE_SEGMENTS = 64;
+
+/**
+ * Angle between an arrow's shaft and each side of its head (radians)
+ * @type {number}
+ */
+const ARROW_HEAD_ANGLE = Math.PI / 6;
+
+/**
+ * ShapeLayer - Renders rect, ellipse, line and arrow annotations on HTML canvas
+ *
+ * Extends BaseLayer to draw geometric shapes with a draw-on animation: between
+ * start and end, the outline is traced at constant speed (rectangles and
+ * ellipses clockwise from their top, lines and arrows from their start point,
+ * arrowheads last). Fills fade in as the outline closes.
+ *
+ * Features:
+ * - One canvas for all four shape types
+ * - Progressive outline drawing along the shape's length
+ * - Device pixel ratio handling for Retina displays
+ * - Fade, wipe or instant exit for annotations with a lifetime
+ * - Outline-accurate hit-testing (filled shapes hit on their whole area)
+ *
+ * @extends BaseLayer
+ */
+class ShapeLayer extends BaseLayer {
+  /**
+   * Creates a new ShapeLayer instance
+   *
+   * @param {HTMLElement} container - Parent DOM element for layer content
+   * @param {Object} viewport - Initial viewport dimensions
+   * @param {number} viewport.width - Viewport width in pixels
+   * @param {number} viewport.height - Viewport height in pixels
+   * @param {number} viewport.scale - PDF scale/zoom level
+   */
+  constructor(container, viewport) {
+    super(container, viewport);
+
+    // Create canvas element
+    this.canvasElement = document.createElement('canvas');
+    this.canvasElement.style.position = 'absolute';
+    this.canvasElement.style.inset = '0';
+    this.canvasElement.style.pointerEvents = 'none';
+    this.canvasElement.style.zIndex = '35';
+
+    // Append to container
+    this.container.appendChild(this.canvasElement);
+
+    // Get 2D context
+    this.ctx = this.canvasElement.getContext('2d');
+
+    // Setup canvas with device pixel ratio
+    this._setupCanvas();
+  }
+
+  /**
+   * Configures canvas dimensions with device pixel ratio scaling
+   *
+   * @private
+   */
+  _setupCanvas() {
+    const dpr = window.devicePixelRatio || 1;
+
+    // Set canvas buffer resolution (high-res for crisp rendering)
+    this.canvasElement.width = Math.round(this.viewport.width * dpr);
+    this.canvasElement.height = Math.round(this.viewport.height * dpr);
+
+    // Set canvas display size (CSS pixels)
+    this.canvasElement.style.width = `${this.viewport.width}px`;
+    this.canvasElement.style.height = `${this.viewport.height}px`;
+
+    // Scale context to account for device pixel ratio
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  /**
+   * Updates viewport dimensions and resizes canvas
+   *
+   * @param {Object} viewport - New viewport dimensions
+   * @param {number} viewport.width - Viewport width in pixels
+   * @param {number} viewport.height - Viewport height in pixels
+   * @param {number} viewport.scale - PDF scale/zoom level
+   * @override
+   */
+  setViewport(viewport) {
+    super.setViewport(viewport);
+    this._setupCanvas();
+  }
+
+  /**
+   * Updates timeline position and redraws shapes
+   *
+   * Renders once per call - no continuous loop.
+   *
+   * @param {number} nowSec - Current timeline position in seconds
+   * @override
+   */
+  updateTime(nowSec) {
+    super.updateTime(nowSec);
+
+    // Check destroyed state
+    if (this.isDestroyed) return;
+
+    this._draw();
+  }
+
+  /**
+   * Finds the topmost shape under a point
+   *
+   * Lines, arrows and unfilled shapes hit within half their line width plus
+   * a small tolerance of the outline; filled rects and ellipses hit anywhere
+   * inside. Shapes count from the moment they start drawing until their exit
+   * completes.
+   *
+   * @param {number} x - Normalized x position (0-1)
+   * @param {number} y - Normalized y position (0-1)
+   * @param {number} [tolerance=4] - Extra hit radius in pixels
+   * @returns {Object|null} Shape annotation under the point, or null
+   */
+  hitTest(x, y, tolerance = 4) {
+    if (this.isDestroyed) {
+      return null;
+    }
+
+    const px = x * this.viewport.width;
+    const py = y * this.viewport.height;
+
+    // Later annotations are drawn on top
+    for (let i = this.annotations.length - 1; i >= 0; i--) {
+      const a = this.annotations[i];
+      if (this.currentTime < a.start) continue;
+      if (getExitProgress(a, this.currentTime) >= 1) continue;
+
+      if (this._isFilled(a) && this._containsPoint(a, px, py)) {
+        return a;
+      }
+
+      const radius = (a.style?.width || 3) / 2 + tolerance;
+      for (const path of this._getPaths(a)) {
+        for (let j = 1; j < path.length; j++) {
+          if (distanceToSegment(px, py, path[j - 1], path[j]) <= radius) {
+            return a;
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Clears the canvas and draws all started shapes
+   *
+   * @private
+   */
+  _draw() {
+    const nowSec = this.currentTime;
+
+    // Clear canvas
+    this.ctx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+
+    for (const a of this.annotations) {
+      // Skip annotations that haven't started yet or have exited
+      if (nowSec < a.start) continue;
+
+      const exitProgress = getExitProgress(a, nowSec);
+      if (exitProgress >= 1) continue;
+
+      const progress = getEntranceProgress(a, nowSec);
+      const paths = this._getPaths(a);
+
+      // Apply exit transition
+      this.ctx.save();
+      if (getExitTransition(a).type === 'fade') {
+        this.ctx.globalAlpha = 1 - exitProgress;
+      }
+
+      if (exitProgress > 0 && getExitTransition(a).type === 'wipe') {
+        const { minX, maxX } = this._getBounds(a, paths);
+        const wipeX = minX + (maxX - minX) * exitProgress;
+        this.ctx.beginPath();
+        this.ctx.rect(wipeX, 0, this.viewport.width - wipeX, this.viewport.height);
+        this.ctx.clip();
+      }
+
+      // Fill fades in while the outline is drawn
+      if (this._isFilled(a) && progress > 0) {
+        this.ctx.save();
+        this.ctx.globalAlpha *= progress;
+        this.ctx.fillStyle = a.style.fill;
+        this.ctx.beginPath();
+        this._tracePath(paths[0]);
+        this.ctx.fill();
+        this.ctx.restore();
+      }
+
+      this._drawPartialPaths(paths, progress, a.style);
+      this.ctx.restore();
+    }
+  }
+
+  /**
+   * Strokes the first part of a shape's paths
+   *
+   * Paths are drawn one after another; the given fraction of their combined
+   * length is drawn.
+   *
+   * @private
+   * @param {Array<Array<{x: number, y: number}>>} paths - Polylines in pixels
+   * @param {number} progress - Fraction of the total length to draw (0 to 1)
+   * @param {Object} style - Shape style with stroke and width
+   */
+  _drawPartialPaths(paths, progress, style) {
+    const lengths = paths.map((path) => polylineLength(path));
+    let remaining = lengths.reduce((sum, len) => sum + len, 0) * progress;
+
+    this.ctx.lineCap = 'round';
+    this.ctx.lineJoin = 'round';
+    this.ctx.strokeStyle = style?.stroke || '#ef4444';
+    this.ctx.lineWidth = style?.width || 3;
+
+    for (const path of paths) {
+      if (remaining <= 0) break;
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(path[0].x, path[0].y);
+
+      for (let i = 1; i < path.length && remaining > 0; i++) {
+        const from = path[i - 1];
+        const to = path[i];
+        const segment = Math.hypot(to.x - from.x, to.y - from.y);
+
+        if (segment <= remaining) {
+          this.ctx.lineTo(to.x, to.y);
+        } else {
+          const f = remaining / segment;
+          this.ctx.lineTo(from.x + (to.x - from.x) * f, from.y + (to.y - from.y) * f);
+        }
+
+        remaining -= segment;
+      }
+
+      this.ctx.stroke();
+    }
+  }
+
+  /**
+   * Adds a closed polyline to the current canvas path
+   *
+   * @private
+   * @param {Array<{x: number, y: number}>} path - Polyline in pixels
+   */
+  _tracePath(path) {
+    this.ctx.moveTo(path[0].x, path[0].y);
+    for (let i = 1; i < path.length; i++) {
+      this.ctx.lineTo(path[i].x, path[i].y);
+    }
+    this.ctx.closePath();
+  }
+
+  /**
+   * Builds the polylines of a shape in canvas pixels, in drawing order
+   *
+   * @private
+   * @param {Object} a - Shape annotation
+   * @returns {Array<Array<{x: number, y: number}>>} Polylines
+   */
+  _getPaths(a) {
+    const { width, height } = this.viewport;
+
+    if (a.type === 'rect' || a.type === 'ellipse') {
+      const left = a.x * width;
+      const top = a.y * height;
+      const w = a.w * width;
+      const h = a.h * height;
+
+      if (a.type === 'rect') {
+        return [[
+          { x: left, y: top },
+          { x: left + w, y: top },
+          { x: left + w, y: top + h },
+          { x: left, y: top + h },
+          { x: left, y: top }
+        ]];
+      }
+
+      // Clockwise from the top
+      const points = [];
+      for (let i = 0; i <= ELLIPSE_SEGMENTS; i++) {
+        const angle = -Math.PI / 2 + (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+        points.push({
+          x: left + w / 2 + (w / 2) * Math.cos(angle),
+          y: top + h / 2 + (h / 2) * Math.sin(angle)
+        });
+      }
+      return [points];
+    }
+
+    const from = { x: a.x1 * width, y: a.y1 * height };
+    const to = { x: a.x2 * width, y: a.y2 * height };
+    const paths = [[from, to]];
+
+    if (a.type === 'arrow') {
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      if (length > 0) {
+        const head = Math.min(a.style?.headSize || 14, length);
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+
+        for (const side of [-1, 1]) {
+          const sideAngle = angle + Math.PI + side * ARROW_HEAD_ANGLE;
+          paths.push([to, {
+            x: to.x + head * Math.cos(sideAngle),
+            y: to.y + head * Math.sin(sideAngle)
+          }]);
+        }
+      }
+    }
+
+    return paths;
+  }
+
+  /**
+   * Computes the horizontal extent of a shape including its line width
+   *
+   * @private
+   * @param {Object} a - Shape annotation
+   * @param {Array<Array<{x: number, y: number}>>} paths - Polylines in pixels
+   * @returns {{minX: number, maxX: number}} Extent in canvas pixels
+   */
+  _getBounds(a, paths) {
+    const half = (a.style?.width || 3) / 2;
+    const xs = paths.flat().map((point) => point.x);
+    return { minX: Math.min(...xs) - half, maxX: Math.max(...xs) + half };
+  }
+
+  /**
+   * Whether a shape has a visible fill
+   *
+   * @private
+   * @param {Object} a - Shape annotation
+   * @returns {boolean} True for rects and ellipses with a non-transparent fill
+   */
+  _isFilled(a) {
+    return (a.type === 'rect' || a.type === 'ellipse') &&
+      Boolean(a.style?.fill) && a.style.fill !== 'transparent';
+  }
+
+  /**
+   * Whether a point lies inside a rect or ellipse
+   *
+   * @private
+   * @param {Object} a - Rect or ellipse annotation
+   * @param {number} px - Point x in canvas pixels
+   * @param {number} py - Point y in canvas pixels
+   * @returns {boolean} True if inside
+   */
+  _containsPoint(a, px, py) {
+    const left = a.x * this.viewport.width;
+    const top = a.y * this.viewport.height;
+    const w = a.w * this.viewport.width;
+    const h = a.h * this.viewport.height;
+
+    if (a.type === 'rect') {
+      return px >= left && px <= left + w && py >= top && py <= top + h;
+    }
+
+    if (w === 0 || h === 0) {
+      return false;
+    }
+
+    const dx = (px - (left + w / 2)) / (w / 2);
+    const dy = (py - (top + h / 2)) / (h / 2);
+    return dx * dx + dy * dy <= 1;
+  }
+
+  /**
+   * Renders the layer content
+   *
+   * No-op for ShapeLayer - canvas rendering happens in updateTime().
+   *
+   * @override
+   */
+  render() {
+    // No-op: Canvas rendering happens in updateTime()
+  }
+
+  /**
+   * Returns the root DOM element of the layer
+   *
+   * @returns {HTMLElement|null} Layer canvas element
+   * @override
+   */
+  getElement() {
+    return this.canvasElement;
+  }
+
+  /**
+   * Updates the visual state of the layer
+   *
+   * Not used for ShapeLayer - updateTime() handles drawing directly.
+   *
+   * @override
+   */
+  update() {
+    // Not used - updateTime handles drawing directly
+  }
+
+  /**
+   * Destroys the layer and releases resources
+   *
+   * Clears references and removes canvas from DOM.
+   * Safe to call multiple times (idempotent).
+   *
+   * @override
+   */
+  destroy() {
+    // Clear context reference
+    this.ctx = null;
+
+    // Remove canvas from DOM
+    if (this.canvasElement && this.canvasElement.parentNode) {
+      this.canvasElement.parentNode.removeChild(this.canvasElement);
+    }
+    this.canvasElement = null;
+
+    // Call parent cleanup (always last)
+    super.destroy();
+  }
+}
+
+/**
+ * Total length of a polyline
+ *
+ * @private
+ * @param {Array<{x: number, y: number}>} path - Polyline
+ * @returns {number} Length
+ */
+function polylineLength(path) {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+  }
+  return length;
+}
+
+export default ShapeLayer;
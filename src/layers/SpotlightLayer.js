@@ -0,0 +1,270 @@
+import BaseLayer from './BaseLayer.js';
+import { getExitProgress } from '../utils/animationUtils.js';
+
+/**
+ * SpotlightLayer - Dims the page around focus regions
+ *
+ * Extends BaseLayer to render spotlight annotations as a dimming mask with
+ * rect or ellipse cut-outs on an HTML canvas. Unlike the other layers, a
+ * spotlight is only shown during its time range: the mask fades in from
+ * start and fades out until end.
+ *
+ * The layer sits above the PDF canvas and text layer but below highlights
+ * (z-index 20), so the page is dimmed while annotations stay at full
+ * strength. Overlapping spotlights darken each other.
+ *
+ * @extends BaseLayer
+ */
+class SpotlightLayer extends BaseLayer {
+  /**
+   * Creates a new SpotlightLayer instance
+   *
+   * @param {HTMLElement} container - Parent DOM element for layer content
+   * @param {Object} viewport - Initial viewport dimensions
+   * @param {number} viewport.width - Viewport width in pixels
+   * @param {number} viewport.height - Viewport height in pixels
+   * @param {number} viewport.scale - PDF scale/zoom level
+   */
+  constructor(container, viewport) {
+    super(container, viewport);
+
+    // Create canvas element
+    this.canvasElement = document.createElement('canvas');
+    this.canvasElement.style.position = 'absolute';
+    this.canvasElement.style.inset = '0';
+    this.canvasElement.style.pointerEvents = 'none';
+    this.canvasElement.style.zIndex = '20';
+
+    // Append to container
+    this.container.appendChild(this.canvasElement);
+
+    // Get 2D context
+    this.ctx = this.canvasElement.getContext('2d');
+
+    /**
+     * Offscreen canvas each spotlight's mask is composed on before it is
+     * copied to the layer, so cut-outs never erase other spotlights
+     * @private
+     * @type {HTMLCanvasElement}
+     */
+    this.maskCanvas = document.createElement('canvas');
+
+    /**
+     * @private
+     * @type {CanvasRenderingContext2D}
+     */
+    this.maskCtx = this.maskCanvas.getContext('2d');
+
+    // Setup canvas with device pixel ratio
+    this._setupCanvas();
+  }
+
+  /**
+   * Configures canvas dimensions with device pixel ratio scaling
+   *
+   * @private
+   */
+  _setupCanvas() {
+    const dpr = window.devicePixelRatio || 1;
+
+    // Set canvas buffer resolution (high-res for crisp rendering)
+    this.canvasElement.width = Math.round(this.viewport.width * dpr);
+    this.canvasElement.height = Math.round(this.viewport.height * dpr);
+    this.maskCanvas.width = this.canvasElement.width;
+    this.maskCanvas.height = this.canvasElement.height;
+
+    // Set canvas display size (CSS pixels)
+    this.canvasElement.style.width = `${this.viewport.width}px`;
+    this.canvasElement.style.height = `${this.viewport.height}px`;
+
+    // Scale contexts to account for device pixel ratio
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.maskCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  /**
+   * Updates viewport dimensions and resizes canvas
+   *
+   * @param {Object} viewport - New viewport dimensions
+   * @param {number} viewport.width - Viewport width in pixels
+   * @param {number} viewport.height - Viewport height in pixels
+   * @param {number} viewport.scale - PDF scale/zoom level
+   * @override
+   */
+  setViewport(viewport) {
+    super.setViewport(viewport);
+    this._setupCanvas();
+  }
+
+  /**
+   * Updates timeline position and redraws active spotlights
+   *
+   * Renders once per call - no continuous loop.
+   *
+   * @param {number} nowSec - Current timeline position in seconds
+   * @override
+   */
+  updateTime(nowSec) {
+    super.updateTime(nowSec);
+
+    // Check destroyed state
+    if (this.isDestroyed) return;
+
+    this._draw();
+  }
+
+  /**
+   * Spotlights are a backdrop and never report hits
+   *
+   * @returns {null} Always null
+   */
+  hitTest() {
+    return null;
+  }
+
+  /**
+   * Gets a spotlight's lifecycle state
+   *
+   * Spotlights are only drawn during their time range: revealing while the
+   * mask fades in, complete until it has faded out at end, hidden otherwise.
+   *
+   * @param {Object} annotation - Spotlight annotation
+   * @param {number} nowSec - Current timeline position in seconds
+   * @returns {string} 'hidden', 'revealing' or 'complete'
+   * @override
+   */
+  getAnnotationState(annotation, nowSec) {
+    if (this._getOpacity(annotation, nowSec) <= 0) {
+      return 'hidden';
+    }
+
+    return nowSec < annotation.start + (annotation.fade ?? 0.3) ? 'revealing' : 'complete';
+  }
+
+  /**
+   * Computes a spotlight's mask opacity at a timeline position
+   *
+   * @private
+   * @param {Object} a - Spotlight annotation
+   * @param {number} nowSec - Current timeline position in seconds
+   * @returns {number} Opacity multiplier (0 to 1)
+   */
+  _getOpacity(a, nowSec) {
+    if (nowSec < a.start || nowSec > a.end) {
+      return 0;
+    }
+
+    const fade = a.fade ?? 0.3;
+    const opacity = fade > 0
+      ? Math.min(1, (nowSec - a.start) / fade, (a.end - nowSec) / fade)
+      : 1;
+
+    return opacity * (1 - getExitProgress(a, nowSec));
+  }
+
+  /**
+   * Clears the canvas and draws the mask of every active spotlight
+   *
+   * @private
+   */
+  _draw() {
+    const { width, height } = this.viewport;
+
+    // Clear canvas
+    this.ctx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+
+    for (const a of this.annotations) {
+      const opacity = this._getOpacity(a, this.currentTime);
+      if (opacity <= 0) continue;
+
+      // Dim the whole page, then punch out the regions
+      const mask = this.maskCtx;
+      mask.clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
+      mask.globalCompositeOperation = 'source-over';
+      mask.fillStyle = a.style?.color || 'rgba(0, 0, 0, 0.6)';
+      mask.fillRect(0, 0, width, height);
+
+      mask.globalCompositeOperation = 'destination-out';
+      mask.beginPath();
+      for (const region of (a.regions || [])) {
+        const x = region.x * width;
+        const y = region.y * height;
+        const w = region.w * width;
+        const h = region.h * height;
+
+        if (region.shape === 'ellipse') {
+          mask.moveTo(x + w, y + h / 2);
+          mask.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+        } else {
+          mask.rect(x, y, w, h);
+        }
+      }
+      mask.fill();
+
+      // Copy the mask pixel for pixel
+      this.ctx.save();
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+      this.ctx.globalAlpha = opacity;
+      this.ctx.drawImage(this.maskCanvas, 0, 0);
+      this.ctx.restore();
+    }
+  }
+
+  /**
+   * Renders the layer content
+   *
+   * No-op for SpotlightLayer - canvas rendering happens in updateTime().
+   *
+   * @override
+   */
+  render() {
+    // No-op: Canvas rendering happens in updateTime()
+  }
+
+  /**
+   * Returns the root DOM element of the layer
+   *
+   * @returns {HTMLElement|null} Layer canvas element
+   * @override
+   */
+  getElement() {
+    return this.canvasElement;
+  }
+
+  /**
+   * Updates the visual state of the layer
+   *
+   * Not used for SpotlightLayer - updateTime() handles drawing directly.
+   *
+   * @override
+   */
+  update() {
+    // Not used - updateTime handles drawing directly
+  }
+
+  /**
+   * Destroys the layer and releases resources
+   *
+   * Clears references and removes canvas from DOM.
+   * Safe to call multiple times (idempotent).
+   *
+   * @override
+   */
+  destroy() {
+    // Clear context references
+    this.ctx = null;
+    this.maskCtx = null;
+    this.maskCanvas = null;
+
+    // Remove canvas from DOM
+    if (this.canvasElement && this.canvasElement.parentNode) {
+      this.canvasElement.parentNode.removeChild(this.canvasElement);
+    }
+    this.canvasElement = null;
+
+    // Call parent cleanup (always last)
+    super.destroy();
+  }
+}
+
+export default SpotlightLayer;
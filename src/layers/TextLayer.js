@@ -1,5 +1,112 @@
 import BaseLayer from "./BaseLayer.js";
 import { rectNormToAbs } from "../utils/coordinateUtils.js";
+import {
+  getAnimation,
+  getEntranceProgress,
+  getExitProgress,
+  getExitTransition,
+  isAnnotationVisible,
+  wipeInset,
+} from "../utils/animationUtils.js";
+import {
+  getPlainText,
+  parseRichText,
+  renderRichText,
+} from "../utils/richTextUtils.js";
+import { TEXT_DEFAULTS } from "../types/defaults.js";
+
+/**
+ * Font size of text boxes at scale 1, in pixels
+ * @type {number}
+ */
+const BASE_FONT_SIZE = 14;
+
+/**
+ * Inner padding of text boxes at scale 1, in pixels
+ * @type {number}
+ */
+const BASE_PADDING = 8;
+
+/**
+ * Smallest font size auto-fit may pick, in pixels
+ * @type {number}
+ */
+const MIN_FIT_FONT_SIZE = 4;
+
+/**
+ * Steps of the auto-fit binary search (precision of about 0.1px)
+ * @type {number}
+ */
+const FIT_ITERATIONS = 10;
+
+/**
+ * First strong right-to-left character (Hebrew, Arabic, Syriac, Thaana, NKo
+ * and their presentation forms)
+ * @type {RegExp}
+ */
+const RTL_CHAR = /[\u0590-\u07FF\u0800-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+/**
+ * First strong left-to-right character (Latin, Greek, Cyrillic, CJK, ...)
+ * @type {RegExp}
+ */
+const LTR_CHAR = /[A-Za-z\u00C0-\u02FF\u0370-\u03FF\u0400-\u04FF\u0904-\u1FFF\u3040-\u9FFF\uAC00-\uD7AF]/;
+
+/**
+ * Intl.Segmenter instances keyed by "granularity|lang"
+ * @type {Map<string, Object>}
+ */
+const segmenters = new Map();
+
+/**
+ * Split text into graphemes or words
+ *
+ * Uses Intl.Segmenter, so user-perceived characters (emoji, combining marks)
+ * stay whole and words are found in scripts without spaces (Chinese,
+ * Japanese, Thai). Without Intl.Segmenter, falls back to code points and
+ * whitespace-separated words.
+ *
+ * @param {string} text - Text to split
+ * @param {string} granularity - "grapheme" or "word"
+ * @param {string} [lang] - BCP 47 language tag
+ * @returns {Array<{segment: string, isWordLike: boolean}>} Segments in order
+ */
+function segmentText(text, granularity, lang) {
+  if (typeof Intl === "undefined" || typeof Intl.Segmenter !== "function") {
+    const parts = granularity === "word"
+      ? text.match(/\s+|\S+/g) || []
+      : Array.from(text);
+    return parts.map((segment) => ({ segment, isWordLike: /\S/.test(segment) }));
+  }
+
+  const key = `${granularity}|${lang || ""}`;
+  if (!segmenters.has(key)) {
+    let segmenter;
+    try {
+      segmenter = new Intl.Segmenter(lang || undefined, { granularity });
+    } catch {
+      segmenter = new Intl.Segmenter(undefined, { granularity });
+    }
+    segmenters.set(key, segmenter);
+  }
+
+  return Array.from(segmenters.get(key).segment(text), ({ segment, isWordLike }) => ({
+    segment,
+    isWordLike: granularity === "word" ? Boolean(isWordLike) : true,
+  }));
+}
+
+/**
+ * Guess the base direction of text from its first strong character
+ *
+ * @param {string} text - Text content
+ * @returns {string} "rtl" or "ltr"
+ */
+function detectDirection(text) {
+  const rtl = text.search(RTL_CHAR);
+  const ltr = text.search(LTR_CHAR);
+  return rtl !== -1 && (ltr === -1 || rtl < ltr) ? "rtl" : "ltr";
+}
 
 /**
  * TextLayer - Renders text annotations with progressive reveal
@@ -7,6 +114,23 @@ import { rectNormToAbs } from "../utils/coordinateUtils.js";
  * Extends BaseLayer to render text box annotations with progressive
  * word-by-word text reveal animation (typing effect). Text appears
  * immediately and types in character by character, simulating real-time typing.
+ * The annotation's `animation` field can instead type by character or line,
+ * or reveal the whole box with a wipe, fade, pop or instant entrance.
+ * Annotations with a lifetime fade, wipe away or vanish once it ends.
+ *
+ * With `format: "markdown"` or `format: "html"` the content is parsed into
+ * sanitized rich text (see richTextUtils) and revealed over its plain text,
+ * so typing runs through bold words, links and list items alike.
+ *
+ * Typography scales with the viewport (14px at scale 1). With `fit: "shrink"`
+ * or `fit: "grow"` each box picks the largest font that fits its fully
+ * revealed content, measured once per render so the layout does not jump
+ * while the text types in.
+ *
+ * Typing splits text into grapheme clusters and words with Intl.Segmenter
+ * (in the annotation's `lang`), so CJK text types word by word and emoji
+ * are never cut in half. Boxes take the annotation's `dir` ("ltr", "rtl" or
+ * "auto"); right-to-left boxes align, wipe and wipe away from the right.
  *
  * @extends BaseLayer
  */
@@ -36,6 +160,13 @@ class TextLayer extends BaseLayer {
 
     // Initialize element storage (Map of id -> element)
     this.textElements = new Map();
+
+    /**
+     * Reveal units of text contents, keyed by unit, language and text
+     * @private
+     * @type {Map<string, Array<string>>}
+     */
+    this.segmentCache = new Map();
   }
 
   /**
@@ -51,6 +182,9 @@ class TextLayer extends BaseLayer {
     // Clear existing elements
     this.layerElement.innerHTML = "";
     this.textElements.clear();
+    this.segmentCache.clear();
+
+    const scale = this.viewport.scale || 1;
 
     // Process each annotation
     this.annotations.forEach((annotation) => {
@@ -70,11 +204,11 @@ class TextLayer extends BaseLayer {
       // Set background and border
       textBox.style.backgroundColor =
         annotation.style?.bg || "rgba(255,255,255,0.9)";
-      textBox.style.borderRadius = "4px";
-      textBox.style.padding = "8px";
+      textBox.style.borderRadius = `${4 * scale}px`;
+      textBox.style.padding = `${BASE_PADDING * scale}px`;
 
-      // Set text styling
-      textBox.style.fontSize = "14px";
+      // Set text styling (scaled with the viewport)
+      textBox.style.fontSize = `${BASE_FONT_SIZE * scale}px`;
       textBox.style.lineHeight = "1.4";
       textBox.style.color = annotation.style?.color || "#1f2937";
       textBox.style.fontFamily = "system-ui, -apple-system, sans-serif";
@@ -86,16 +220,51 @@ class TextLayer extends BaseLayer {
       textBox.style.overflow = "hidden";
       textBox.style.wordWrap = "break-word";
 
-      // Initially hidden (will be shown/updated in updateTime)
-      textBox.style.display = "none";
+
+      // Rich content is revealed over its plain text
+      const format = annotation.format || "plain";
+      const nodes = format === "plain"
+        ? null
+        : parseRichText(annotation.content, format);
+      const text = nodes ? getPlainText(nodes) : annotation.content;
+
+      // Writing direction and language (for fonts and segmentation)
+      const dir = annotation.dir === "auto" ? detectDirection(text) : annotation.dir || "ltr";
+      if (annotation.dir) {
+        textBox.dir = annotation.dir;
+      }
+      if (annotation.lang) {
+        textBox.lang = annotation.lang;
+      }
+
+      const animation = getAnimation({ ...annotation, dir }, TEXT_DEFAULTS.animation);
+
+      // Keep line breaks when typing line by line (rich text has its own)
+      if (!nodes && animation.type === "typewriter" && animation.by === "line") {
+        textBox.style.whiteSpace = "pre-line";
+      }
 
       // Append to layer
       this.layerElement.appendChild(textBox);
 
+      // Size the font for the fully revealed content
+      const fit = annotation.fit || TEXT_DEFAULTS.fit;
+      if (fit !== "none") {
+        this._fitFontSize(textBox, nodes, text, fit, BASE_FONT_SIZE * scale);
+      }
+
+      // Initially hidden (will be shown/updated in updateTime)
+      textBox.style.display = "none";
+
       // Store reference
       this.textElements.set(annotation.id, {
         element: textBox,
         annotation: annotation,
+        animation: animation,
+        nodes: nodes,
+        text: text,
+        dir: dir,
+        visibleLength: -1,
       });
     });
   }
@@ -103,9 +272,9 @@ class TextLayer extends BaseLayer {
   /**
    * Updates text box visibility and content based on timeline position
    *
-   * Shows/hides text boxes based on start time. Calculates visible text
-   * for progressive reveal (typing effect). Text appears immediately when
-   * start time is reached and types in progressively.
+   * Shows/hides text boxes based on start time and lifetime. Calculates
+   * visible text for progressive reveal (typing effect). Text appears
+   * immediately when start time is reached and types in progressively.
    *
    * @param {number} nowSec - Current timeline position in seconds
    */
@@ -114,91 +283,299 @@ class TextLayer extends BaseLayer {
     super.updateTime(nowSec);
 
     // Update each text element
-    this.textElements.forEach(({ element, annotation }) => {
+    this.textElements.forEach((entry) => {
+      const { element, annotation, animation } = entry;
+      const exitProgress = getExitProgress(annotation, nowSec);
+
       // Check if annotation should be visible
-      if (nowSec < annotation.start) {
-        // Before start time - hide
+      if (nowSec < annotation.start || exitProgress >= 1) {
+        // Before start time or after exit - hide
         element.style.display = "none";
       } else {
         // After start time - show
         element.style.display = "flex";
 
-        // Calculate visible text
-        const visibleText = this._getVisibleText(
-          annotation.content,
-          annotation.start,
-          annotation.end,
-          nowSec
-        );
+        const progress = getEntranceProgress(annotation, nowSec, animation.easing);
+
+        // Calculate visible text (other effects show it all at once)
+        const visibleText = animation.type === "typewriter"
+          ? this._getVisibleText(entry.text, progress, animation.by, annotation.lang)
+          : entry.text;
 
         // Update text content (typing effect)
-        element.textContent = visibleText;
+        if (entry.nodes) {
+          this._renderRichContent(entry, visibleText.length);
+        } else {
+          element.textContent = visibleText;
+        }
+
+        this._applyTransitions(element, entry, progress, exitProgress);
       }
     });
   }
 
   /**
-   * Calculates visible text based on progress between start and end times
+   * Picks the largest font size at which the full content fits its box
+   *
+   * Binary search on the rendered box: the content fits when it overflows
+   * neither width nor height. "shrink" never goes above the base size,
+   * "grow" may go up to the box height. Boxes that are not laid out (e.g.
+   * the layer is detached) keep the base size.
+   *
+   * @private
+   * @param {HTMLElement} element - Text box element (attached to the layer)
+   * @param {Array<Object>|null} nodes - Rich text nodes, or null for plain text
+   * @param {string} text - Full plain text
+   * @param {string} fit - "shrink" or "grow"
+   * @param {number} baseSize - Font size in pixels at the current scale
+   */
+  _fitFontSize(element, nodes, text, fit, baseSize) {
+    // Lay out the full content without showing it
+    element.style.visibility = "hidden";
+    element.style.display = "flex";
+    if (nodes) {
+      this._renderRichContent({ element, nodes, visibleLength: -1 }, text.length);
+    } else {
+      element.textContent = text;
+    }
+
+    const fits = (size) => {
+      element.style.fontSize = `${size}px`;
+      return element.scrollHeight <= element.clientHeight + 0.5 &&
+        element.scrollWidth <= element.clientWidth + 0.5;
+    };
+
+    if (element.clientHeight > 0) {
+      let low = Math.min(MIN_FIT_FONT_SIZE, baseSize);
+      let high = fit === "grow" ? Math.max(baseSize, element.clientHeight) : baseSize;
+
+      if (fits(high)) {
+        low = high;
+      } else {
+        for (let i = 0; i < FIT_ITERATIONS; i++) {
+          const mid = (low + high) / 2;
+          if (fits(mid)) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+      }
+
+      element.style.fontSize = `${Math.floor(low * 10) / 10}px`;
+    }
+
+    // Content is filled in by updateTime
+    element.replaceChildren();
+    element.style.visibility = "";
+  }
+
+  /**
+   * Renders the visible part of rich content into a text box
    *
-   * Implements word-by-word reveal with partial character reveal for
-   * the current word being typed.
+   * The content is wrapped in a single block so paragraphs and lists stack
+   * inside the flex box. Skipped when the visible length has not changed,
+   * which keeps links clickable between frames.
+   *
+   * @private
+   * @param {Object} entry - Text element entry (element, nodes, visibleLength)
+   * @param {number} visibleLength - Number of plain text characters to show
+   */
+  _renderRichContent(entry, visibleLength) {
+    if (entry.visibleLength === visibleLength) {
+      return;
+    }
+    entry.visibleLength = visibleLength;
+
+    const wrapper = document.createElement("div");
+    wrapper.style.minWidth = "0";
+    wrapper.appendChild(renderRichText(entry.nodes, visibleLength));
+    entry.element.replaceChildren(wrapper);
+  }
+
+  /**
+   * Applies the entrance effect and exit transition to a text box
+   *
+   * Both act on the same element, so opacities multiply and wipe insets add
+   * up.
+   *
+   * @private
+   * @param {HTMLElement} element - Text box element
+   * @param {Object} entry - Text element entry (annotation, animation, dir)
+   * @param {number} progress - Eased entrance progress
+   * @param {number} exitProgress - Exit progress (0 to 1)
+   */
+  _applyTransitions(element, entry, progress, exitProgress) {
+    const { annotation, animation } = entry;
+    const exitType = getExitTransition(annotation).type;
+    let opacity = 1;
+    let inset = [0, 0, 0, 0];
+
+    // Entrance
+    if (animation.type === "fade") {
+      opacity = Math.max(0, Math.min(1, progress));
+    } else if (animation.type === "wipe") {
+      inset = wipeInset(animation.direction, progress);
+    }
+
+    element.style.transform =
+      animation.type === "pop" && progress !== 1 ? `scale(${Math.max(0, progress)})` : "";
+
+    // Exit
+    if (exitType === "fade") {
+      opacity *= 1 - exitProgress;
+    } else if (exitType === "wipe") {
+      // Wipe away from the reading start
+      const side = entry.dir === "rtl" ? 1 : 3;
+      inset[side] = Math.min(1, inset[side] + exitProgress);
+    }
+
+    element.style.opacity = opacity < 1 ? String(opacity) : "";
+    element.style.clipPath = inset.some((value) => value > 0)
+      ? `inset(${inset.map((value) => `${value * 100}%`).join(" ")})`
+      : "";
+  }
+
+  /**
+   * Finds the topmost visible text box containing a point
+   *
+   * @param {number} x - Normalized x position (0-1)
+   * @param {number} y - Normalized y position (0-1)
+   * @returns {Object|null} Text annotation under the point, or null
+   */
+  hitTest(x, y) {
+    if (this.isDestroyed) {
+      return null;
+    }
+
+    // Later boxes are stacked on top
+    const entries = Array.from(this.textElements.values()).reverse();
+
+    for (const { annotation } of entries) {
+      if (!isAnnotationVisible(annotation, this.currentTime)) continue;
+
+      if (x >= annotation.x && x <= annotation.x + annotation.w &&
+          y >= annotation.y && y <= annotation.y + annotation.h) {
+        return annotation;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Calculates visible text based on reveal progress
+   *
+   * Word mode implements word-by-word reveal with partial character reveal
+   * for the current word being typed. Char mode types at a constant rate per
+   * grapheme cluster; line mode shows whole lines (separated by newlines).
+   * Words and graphemes come from Intl.Segmenter, so scripts without spaces
+   * reveal word by word too. The result is always a prefix of the content.
    *
    * @private
    * @param {string} content - Full text content
-   * @param {number} start - Start time in seconds
-   * @param {number} end - End time in seconds
-   * @param {number} currentTime - Current timeline position in seconds
+   * @param {number} progress - Reveal progress (0 to 1)
+   * @param {string} [by="word"] - Typewriter unit ("char", "word" or "line")
+   * @param {string} [lang] - BCP 47 language tag used for segmentation
    * @returns {string} Visible portion of text
    */
-  _getVisibleText(content, start, end, currentTime) {
+  _getVisibleText(content, progress, by = "word", lang) {
     // Before start - no text visible
-    if (currentTime < start) {
+    if (progress <= 0) {
       return "";
     }
 
     // After end - full text visible
-    if (currentTime >= end) {
+    if (progress >= 1) {
       return content;
     }
 
-    // During animation - calculate progress
-    const progress = (currentTime - start) / (end - start);
+    if (by === "line") {
+      const lines = content.split("\n");
+      return lines.slice(0, Math.floor(progress * lines.length)).join("\n");
+    }
+
+    if (by === "char") {
+      const graphemes = this._getSegments(content, "char", lang);
+      return graphemes.slice(0, Math.floor(progress * graphemes.length)).join("");
+    }
 
-    // Split into words
-    const words = content.split(" ");
+    // Words with their trailing spaces and punctuation
+    const words = this._getSegments(content, "word", lang);
 
     // Calculate visible word count
     const visibleWordCount = Math.floor(progress * words.length);
 
-    // No words visible yet
-    if (visibleWordCount === 0) {
-      return "";
-    }
-
     // Get complete visible words
-    const visibleWords = words.slice(0, visibleWordCount);
+    let visibleText = words.slice(0, visibleWordCount).join("");
 
     // Add partial of the next word if not at the end
     if (visibleWordCount < words.length) {
       // Calculate progress within current word
       const currentWordProgress = progress * words.length - visibleWordCount;
 
-      // Get current word being typed
-      const currentWord = words[visibleWordCount];
+      // Get graphemes of the current word being typed
+      const currentWord = this._getSegments(words[visibleWordCount], "char", lang);
 
-      // Calculate visible character count
-      const visibleCharCount = Math.floor(
-        currentWordProgress * currentWord.length
-      );
+      // Add the visible characters of the partial word
+      const visibleCharCount = Math.floor(currentWordProgress * currentWord.length);
+      visibleText += currentWord.slice(0, visibleCharCount).join("");
+    }
+
+    return visibleText;
+  }
+
+  /**
+   * Splits text into reveal units, cached until the next render
+   *
+   * Char units are grapheme clusters. Word units are word-like segments
+   * together with the spaces and punctuation that follow them (leading ones
+   * join the first word), so words never reveal as a lone space.
+   *
+   * @private
+   * @param {string} text - Text to split
+   * @param {string} unit - "char" or "word"
+   * @param {string} [lang] - BCP 47 language tag
+   * @returns {Array<string>} Units whose concatenation is the text
+   */
+  _getSegments(text, unit, lang) {
+    const key = `${unit}|${lang || ""}|${text}`;
+    if (this.segmentCache.has(key)) {
+      return this.segmentCache.get(key);
+    }
 
-      // Add partial word if any characters are visible
-      if (visibleCharCount > 0) {
-        visibleWords.push(currentWord.slice(0, visibleCharCount));
+    let units;
+    if (unit === "char") {
+      units = segmentText(text, "grapheme", lang).map(({ segment }) => segment);
+    } else {
+      units = [];
+      let pending = "";
+      for (const { segment, isWordLike } of segmentText(text, "word", lang)) {
+        if (isWordLike) {
+          units.push(pending + segment);
+          pending = "";
+        } else if (units.length === 0) {
+          pending += segment;
+        } else {
+          units[units.length - 1] += segment;
+        }
+      }
+      if (pending) {
+        units.push(pending);
       }
     }
 
-    // Join words with spaces
-    return visibleWords.join(" ");
+    this.segmentCache.set(key, units);
+    return units;
+  }
+
+  /**
+   * Returns the root DOM element of the layer
+   *
+   * @returns {HTMLElement|null} Layer container element
+   */
+  getElement() {
+    return this.layerElement;
   }
 
   /**
@@ -220,6 +597,7 @@ class TextLayer extends BaseLayer {
     // Clear element storage
     this.textElements.clear();
     this.textElements = null;
+    this.segmentCache.clear();
 
     // Remove layer element from DOM
     if (this.layerElement && this.layerElement.parentNode) {
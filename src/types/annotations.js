@@ -14,10 +14,39 @@
  *
  * @typedef {Object} BaseAnnotation
  * @property {string} id - Unique identifier for the annotation
- * @property {string} type - Annotation type ('highlight', 'text', or 'ink')
+ * @property {string} type - Annotation type ('highlight', 'text', 'ink', 'rect', 'ellipse', 'line',
+ *   'arrow', 'spotlight', 'pointer' or 'image')
  * @property {number} page - Page number (1-indexed)
  * @property {number} start - Timeline start time in seconds
  * @property {number} end - Timeline end time in seconds
+ * @property {number} [hideAt] - Timeline time at which the annotation starts to exit
+ *   (omit to keep it on screen once revealed)
+ * @property {number} [duration] - Alternative to hideAt: seconds after start at which
+ *   the annotation starts to exit (normalized into hideAt)
+ * @property {ExitTransition|string} [exit] - Exit transition, or just its type
+ */
+
+/**
+ * Entrance animation played from start to end
+ *
+ * Highlights support 'wipe', 'fade', 'pop' and 'instant'; text boxes also
+ * support 'typewriter'.
+ *
+ * @typedef {Object} EntranceAnimation
+ * @property {'wipe'|'fade'|'pop'|'typewriter'|'instant'} type - Entrance effect
+ * @property {'ltr'|'rtl'|'ttb'|'btt'} [direction] - Wipe direction (default 'ltr')
+ * @property {'char'|'word'|'line'} [by] - Typewriter unit (default 'word')
+ * @property {'linear'|'ease-in'|'ease-out'|'ease-in-out'|'ease-out-back'} [easing] -
+ *   Easing curve applied to reveal progress (default 'linear')
+ */
+
+/**
+ * Exit transition played from hideAt
+ *
+ * @typedef {Object} ExitTransition
+ * @property {'fade'|'wipe'|'instant'} type - Fade out, wipe away left to right,
+ *   or disappear at once
+ * @property {number} duration - Transition length in seconds (ignored for 'instant')
  */
 
 /**
@@ -32,9 +61,15 @@
  * @property {number} page - Page number (1-indexed)
  * @property {number} start - Start time in seconds
  * @property {number} end - End time in seconds
- * @property {'quads'} mode - Must be 'quads' for rectangular regions
+ * @property {'quads'|'underline'|'strikethrough'|'squiggly'|'box'} mode - 'quads' fills
+ *   the rectangles; the markup modes draw a line under or through them, a wavy
+ *   underline, or an outline
  * @property {Array<{x: number, y: number, w: number, h: number}>} quads - Array of rectangles (normalized 0-1)
- * @property {{color: string}} style - Style object with color in rgba format
+ * @property {{color: string, width?: number}} style - Style object with color in rgba
+ *   format and, for markup modes, the line width in pixels at scale 1 (default: 2)
+ * @property {EntranceAnimation|string} [animation] - Entrance effect (default: left-to-right wipe)
+ * @property {'ltr'|'rtl'} [dir] - Direction of the highlighted text; 'rtl' wipes in
+ *   and out from the right
  *
  * @example
  * {
@@ -64,11 +99,23 @@
  * @property {number} start - Start time in seconds
  * @property {number} end - End time in seconds
  * @property {string} content - Text content to display
+ * @property {'plain'|'markdown'|'html'} [format] - How content is interpreted
+ *   (default: 'plain'); Markdown and HTML are reduced to a sanitized subset
+ *   (bold, italic, code, line breaks, lists, links)
+ * @property {'none'|'shrink'|'grow'} [fit] - Font fitting (default: 'none', a
+ *   fixed size scaled with the viewport); 'shrink' and 'grow' pick the largest
+ *   font at which the fully revealed content fits the box, 'shrink' never
+ *   above the default size
+ * @property {'ltr'|'rtl'|'auto'} [dir] - Writing direction (default: 'ltr');
+ *   'auto' detects it from the first strong character
+ * @property {string} [lang] - BCP 47 language tag, used for word and grapheme
+ *   segmentation of the typing animation
  * @property {number} x - Normalized x position (0-1)
  * @property {number} y - Normalized y position (0-1)
  * @property {number} w - Normalized width (0-1)
  * @property {number} h - Normalized height (0-1)
  * @property {{bg: string, color: string}} style - Background and text colors
+ * @property {EntranceAnimation|string} [animation] - Entrance effect (default: word-by-word typing)
  *
  * @example
  * {
@@ -137,15 +184,197 @@
  * Point within an ink stroke
  *
  * @typedef {Object} InkPoint
- * @property {number} t - Time offset within stroke duration (0-1)
+ * @property {number} t - Time offset in seconds from the annotation start
  * @property {number} x - Normalized x position (0-1)
  * @property {number} y - Normalized y position (0-1)
+ * @property {number} [p] - Pen pressure (0-1); stroke width becomes size * (0.5 + p)
+ */
+
+/**
+ * Rectangle or ellipse annotation
+ *
+ * Outlines a region of the page. The outline is drawn on progressively
+ * between start and end; the fill fades in as the outline closes.
+ *
+ * @typedef {Object} ShapeAnnotation
+ * @property {string} id - Unique identifier
+ * @property {'rect'|'ellipse'} type - Shape type (ellipse fills the box)
+ * @property {number} page - Page number (1-indexed)
+ * @property {number} start - Start time in seconds
+ * @property {number} end - End time in seconds
+ * @property {number} x - Normalized x position of the bounding box (0-1)
+ * @property {number} y - Normalized y position of the bounding box (0-1)
+ * @property {number} w - Normalized width of the bounding box (0-1)
+ * @property {number} h - Normalized height of the bounding box (0-1)
+ * @property {{stroke: string, width: number, fill: string}} style - Outline color,
+ *   outline width in pixels, and fill color ('transparent' for none)
+ *
+ * @example
+ * {
+ *   id: "circle-1",
+ *   type: "ellipse",
+ *   page: 1,
+ *   start: 2,
+ *   end: 3,
+ *   x: 0.4, y: 0.3, w: 0.2, h: 0.08,
+ *   style: { stroke: "#ef4444", width: 3, fill: "transparent" }
+ * }
+ */
+
+/**
+ * Line or arrow annotation
+ *
+ * Drawn on from its start point to its end point between start and end;
+ * arrows finish with their head at the end point.
+ *
+ * @typedef {Object} LineAnnotation
+ * @property {string} id - Unique identifier
+ * @property {'line'|'arrow'} type - Line type
+ * @property {number} page - Page number (1-indexed)
+ * @property {number} start - Start time in seconds
+ * @property {number} end - End time in seconds
+ * @property {number} x1 - Normalized x of the start point (0-1)
+ * @property {number} y1 - Normalized y of the start point (0-1)
+ * @property {number} x2 - Normalized x of the end point (0-1)
+ * @property {number} y2 - Normalized y of the end point (0-1)
+ * @property {{stroke: string, width: number, headSize?: number}} style - Line color,
+ *   width in pixels, and (arrows only) arrowhead length in pixels
+ *
+ * @example
+ * {
+ *   id: "arrow-1",
+ *   type: "arrow",
+ *   page: 1,
+ *   start: 4,
+ *   end: 4.5,
+ *   x1: 0.7, y1: 0.6, x2: 0.55, y2: 0.42,
+ *   style: { stroke: "#ef4444", width: 3, headSize: 14 }
+ * }
+ */
+
+/**
+ * Spotlight annotation dimming the page around focus regions
+ *
+ * Unlike other types, a spotlight is only shown during its time range: it
+ * fades in from start and fades out until end.
+ *
+ * @typedef {Object} SpotlightAnnotation
+ * @property {string} id - Unique identifier
+ * @property {'spotlight'} type - Must be 'spotlight'
+ * @property {number} page - Page number (1-indexed)
+ * @property {number} start - Time the mask starts fading in (seconds)
+ * @property {number} end - Time the mask has faded out (seconds)
+ * @property {Array<SpotlightRegion>} regions - Cut-outs left undimmed
+ * @property {number} [fade=0.3] - Fade-in and fade-out duration in seconds
+ * @property {{color: string}} [style] - Dimming color (include alpha)
+ *
+ * @example
+ * {
+ *   id: "focus-1",
+ *   type: "spotlight",
+ *   page: 1,
+ *   start: 10,
+ *   end: 18,
+ *   regions: [{ shape: "ellipse", x: 0.2, y: 0.3, w: 0.4, h: 0.15 }],
+ *   style: { color: "rgba(0, 0, 0, 0.6)" }
+ * }
+ */
+
+/**
+ * Cut-out region of a spotlight
+ *
+ * @typedef {Object} SpotlightRegion
+ * @property {'rect'|'ellipse'} [shape='rect'] - Region shape (ellipse fills the box)
+ * @property {number} x - Normalized x position (0-1)
+ * @property {number} y - Normalized y position (0-1)
+ * @property {number} w - Normalized width (0-1)
+ * @property {number} h - Normalized height (0-1)
+ */
+
+/**
+ * Laser pointer annotation (replay of a recorded pointer)
+ *
+ * Unlike ink, a pointer leaves nothing behind: it is shown only during its
+ * time range, as a glowing dot moving between the recorded positions with a
+ * short fading trail.
+ *
+ * @typedef {Object} PointerAnnotation
+ * @property {string} id - Unique identifier
+ * @property {'pointer'} type - Must be 'pointer'
+ * @property {number} page - Page number (1-indexed)
+ * @property {number} start - Time the recording starts (seconds)
+ * @property {number} end - Time the pointer disappears (seconds)
+ * @property {Array<PointerSample>} points - Recorded positions, sorted by t
+ * @property {Object} [style] - Visual styling
+ * @property {string} [style.color='#ef4444'] - Dot, glow and trail color
+ * @property {number} [style.size=12] - Dot diameter in pixels
+ * @property {number} [style.trail=0.4] - Trail length in seconds (0 for none)
+ *
+ * @example
+ * {
+ *   id: "laser-1",
+ *   type: "pointer",
+ *   page: 1,
+ *   start: 20,
+ *   end: 26,
+ *   points: [
+ *     { t: 0, x: 0.2, y: 0.4 },
+ *     { t: 0.5, x: 0.35, y: 0.42 },
+ *     { t: 1.2, x: 0.6, y: 0.45 }
+ *   ],
+ *   style: { color: "#ef4444", size: 12, trail: 0.4 }
+ * }
+ */
+
+/**
+ * Recorded pointer position
+ *
+ * @typedef {Object} PointerSample
+ * @property {number} t - Seconds after the annotation start
+ * @property {number} x - Normalized x position (0-1)
+ * @property {number} y - Normalized y position (0-1)
+ */
+
+/**
+ * Image annotation (logos, stamps, small diagrams)
+ *
+ * The image is fitted into its box keeping its aspect ratio.
+ *
+ * @typedef {Object} ImageAnnotation
+ * @property {string} id - Unique identifier
+ * @property {'image'} type - Must be 'image'
+ * @property {number} page - Page number (1-indexed)
+ * @property {number} start - Time the entrance starts (seconds)
+ * @property {number} end - Time the entrance completes (seconds)
+ * @property {string} src - Registered stamp name (see stampUtils), image URL or
+ *   data URI
+ * @property {number} x - Normalized x position of the box (0-1)
+ * @property {number} y - Normalized y position of the box (0-1)
+ * @property {number} w - Normalized width of the box (0-1)
+ * @property {number} h - Normalized height of the box (0-1)
+ * @property {number} [opacity=1] - Opacity once fully shown (0-1)
+ * @property {number} [rotation=0] - Clockwise rotation around the box center (degrees)
+ * @property {EntranceAnimation|string} [animation] - Entrance effect (default: fade;
+ *   'typewriter' is not supported)
+ *
+ * @example
+ * {
+ *   id: "stamp-1",
+ *   type: "image",
+ *   page: 1,
+ *   start: 8,
+ *   end: 8.4,
+ *   src: "important",
+ *   x: 0.62, y: 0.08, w: 0.25, h: 0.08,
+ *   rotation: -8,
+ *   animation: "pop"
+ * }
  */
 
 /**
  * Union type for all annotation types
  *
- * @typedef {HighlightAnnotation|TextAnnotation|InkAnnotation} Annotation
+ * @typedef {HighlightAnnotation|TextAnnotation|InkAnnotation|ShapeAnnotation|LineAnnotation|SpotlightAnnotation|PointerAnnotation|ImageAnnotation} Annotation
  */
 
 /**
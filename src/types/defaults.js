@@ -21,20 +21,47 @@ export const BASE_DEFAULTS = {
   end: 0
 };
 
+/**
+ * Default exit transition for annotations with a lifetime (hideAt/duration)
+ *
+ * @constant {Object}
+ * @property {string} type - Exit transition ('fade', 'wipe' or 'instant')
+ * @property {number} duration - Transition length in seconds
+ */
+export const EXIT_DEFAULTS = {
+  type: 'fade',
+  duration: 0.3
+};
+
+/**
+ * Supported highlight modes
+ *
+ * 'quads' fills each quad; the markup modes draw a line under, through or
+ * (as a wave) under each quad, or an outline around it.
+ *
+ * @constant {Array<string>}
+ */
+export const HIGHLIGHT_MODES = ['quads', 'underline', 'strikethrough', 'squiggly', 'box'];
+
 /**
  * Default values for highlight annotations
  *
  * Creates a visible yellow highlight near the top of the page.
  *
  * @constant {Object}
- * @property {string} mode - Highlight mode (only 'quads' supported)
+ * @property {string} mode - Highlight mode (filled quads)
  * @property {Array<Object>} quads - Default rectangular regions
  * @property {Object} style - Default styling
+ * @property {Object} markupStyle - Default styling of the markup modes (red
+ *   2px lines)
+ * @property {Object} animation - Default entrance animation (left-to-right wipe)
  */
 export const HIGHLIGHT_DEFAULTS = {
   mode: 'quads',
   quads: [{ x: 0.1, y: 0.1, w: 0.8, h: 0.05 }],
-  style: { color: 'rgba(255, 255, 0, 0.3)' }
+  style: { color: 'rgba(255, 255, 0, 0.3)' },
+  markupStyle: { color: '#dc2626', width: 2 },
+  animation: { type: 'wipe', direction: 'ltr', easing: 'linear' }
 };
 
 /**
@@ -49,6 +76,8 @@ export const HIGHLIGHT_DEFAULTS = {
  * @property {number} w - Normalized width (30% of page width)
  * @property {number} h - Normalized height (10% of page height)
  * @property {Object} style - Default styling with white background and black text
+ * @property {string} fit - Default font fitting (fixed size scaled with the viewport)
+ * @property {Object} animation - Default entrance animation (word-by-word typing)
  */
 export const TEXT_DEFAULTS = {
   content: '[No content]',
@@ -59,7 +88,9 @@ export const TEXT_DEFAULTS = {
   style: {
     bg: 'rgba(255, 255, 255, 0.9)',
     color: '#000000'
-  }
+  },
+  fit: 'none',
+  animation: { type: 'typewriter', by: 'word', easing: 'linear' }
 };
 
 /**
@@ -80,3 +111,112 @@ export const INK_DEFAULTS = {
     ]
   }]
 };
+
+/**
+ * Default values for rect and ellipse annotations
+ *
+ * Creates a red outline box in the top-left area of the page.
+ *
+ * @constant {Object}
+ * @property {number} x - Normalized x position of the bounding box
+ * @property {number} y - Normalized y position of the bounding box
+ * @property {number} w - Normalized width of the bounding box
+ * @property {number} h - Normalized height of the bounding box
+ * @property {Object} style - Default outline color and width, no fill
+ */
+export const SHAPE_DEFAULTS = {
+  x: 0.1,
+  y: 0.1,
+  w: 0.2,
+  h: 0.1,
+  style: {
+    stroke: '#ef4444',
+    width: 3,
+    fill: 'transparent'
+  }
+};
+
+/**
+ * Default values for line and arrow annotations
+ *
+ * Creates a short red diagonal line (arrows point at its end).
+ *
+ * @constant {Object}
+ * @property {number} x1 - Normalized x of the start point
+ * @property {number} y1 - Normalized y of the start point
+ * @property {number} x2 - Normalized x of the end point
+ * @property {number} y2 - Normalized y of the end point
+ * @property {Object} style - Default line color and width, and arrowhead length
+ */
+export const LINE_DEFAULTS = {
+  x1: 0.1,
+  y1: 0.1,
+  x2: 0.3,
+  y2: 0.2,
+  style: {
+    stroke: '#ef4444',
+    width: 3,
+    headSize: 14
+  }
+};
+
+/**
+ * Default values for spotlight annotations
+ *
+ * Dims the page around a single rectangular region in the middle of the page.
+ *
+ * @constant {Object}
+ * @property {Array<Object>} regions - Default cut-out region
+ * @property {number} fade - Fade-in and fade-out duration in seconds
+ * @property {Object} style - Default dimming color
+ */
+export const SPOTLIGHT_DEFAULTS = {
+  regions: [{ shape: 'rect', x: 0.25, y: 0.4, w: 0.5, h: 0.2 }],
+  fade: 0.3,
+  style: { color: 'rgba(0, 0, 0, 0.6)' }
+};
+
+/**
+ * Default values for pointer (laser pointer) annotations
+ *
+ * Creates a red dot resting in the middle of the page.
+ *
+ * @constant {Object}
+ * @property {Array<Object>} points - Default single position sample
+ * @property {Object} style - Default dot color and diameter, and trail length
+ *   in seconds
+ */
+export const POINTER_DEFAULTS = {
+  points: [{ t: 0, x: 0.5, y: 0.5 }],
+  style: {
+    color: '#ef4444',
+    size: 12,
+    trail: 0.4
+  }
+};
+
+/**
+ * Default values for image annotations
+ *
+ * Shows the built-in check mark stamp in the top-left area of the page.
+ *
+ * @constant {Object}
+ * @property {string} src - Default source (built-in stamp name)
+ * @property {number} x - Normalized x position of the image box
+ * @property {number} y - Normalized y position of the image box
+ * @property {number} w - Normalized width of the image box
+ * @property {number} h - Normalized height of the image box
+ * @property {number} opacity - Fully opaque
+ * @property {number} rotation - Unrotated (degrees)
+ * @property {Object} animation - Default entrance animation (fade in)
+ */
+export const IMAGE_DEFAULTS = {
+  src: 'check',
+  x: 0.1,
+  y: 0.1,
+  w: 0.1,
+  h: 0.1,
+  opacity: 1,
+  rotation: 0,
+  animation: { type: 'fade', easing: 'linear' }
+};
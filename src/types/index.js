@@ -15,15 +15,33 @@ export {
   normalizeHighlight,
   normalizeText,
   normalizeInk,
+  normalizeShape,
+  normalizeLine,
+  normalizeSpotlight,
+  normalizePointer,
+  normalizeImage,
   normalizeBaseFields
 } from './validators.js';
 
+// Custom annotation type support
+export {
+  registerNormalizer,
+  unregisterNormalizer
+} from './validators.js';
+
 // Default values (for reference)
 export {
   BASE_DEFAULTS,
+  EXIT_DEFAULTS,
+  HIGHLIGHT_MODES,
   HIGHLIGHT_DEFAULTS,
   TEXT_DEFAULTS,
-  INK_DEFAULTS
+  INK_DEFAULTS,
+  SHAPE_DEFAULTS,
+  LINE_DEFAULTS,
+  SPOTLIGHT_DEFAULTS,
+  POINTER_DEFAULTS,
+  IMAGE_DEFAULTS
 } from './defaults.js';
 
 // Field-level normalizers (for custom validation)
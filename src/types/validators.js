@@ -10,10 +10,42 @@
 
 import {
   BASE_DEFAULTS,
+  HIGHLIGHT_MODES,
   HIGHLIGHT_DEFAULTS,
   TEXT_DEFAULTS,
-  INK_DEFAULTS
+  INK_DEFAULTS,
+  SHAPE_DEFAULTS,
+  LINE_DEFAULTS,
+  SPOTLIGHT_DEFAULTS,
+  POINTER_DEFAULTS,
+  IMAGE_DEFAULTS,
+  EXIT_DEFAULTS
 } from './defaults.js';
+import {
+  ANIMATION_TYPES,
+  WIPE_DIRECTIONS,
+  TYPEWRITER_UNITS,
+  EASINGS,
+  EXIT_TYPES
+} from '../utils/animationUtils.js';
+import { hasStamp } from '../utils/stampUtils.js';
+import { TEXT_FORMATS } from '../utils/richTextUtils.js';
+
+/**
+ * Font fitting modes of text annotations
+ *
+ * @private
+ * @type {Array<string>}
+ */
+const TEXT_FIT_MODES = ['none', 'shrink', 'grow'];
+
+/**
+ * Writing directions of text annotations ('auto' detects it from the content)
+ *
+ * @private
+ * @type {Array<string>}
+ */
+const TEXT_DIRECTIONS = ['ltr', 'rtl', 'auto'];
 
 // ============================================================================
 // FIELD-LEVEL NORMALIZERS
@@ -172,8 +204,8 @@ export function normalizePositiveNumber(value, defaultValue, id, fieldName, warn
  * Normalize common base annotation fields
  *
  * Validates and normalizes fields common to all annotation types: id, type,
- * page, start, and end. Auto-generates ID if missing. Applies safe defaults
- * for invalid values.
+ * page, start, end, and the optional lifetime fields (hideAt or duration, and
+ * exit). Auto-generates ID if missing. Applies safe defaults for invalid values.
  *
  * @param {Object} raw - Raw annotation object
  * @param {Array<string>} warnings - Array to collect warning messages
@@ -245,9 +277,93 @@ export function normalizeBaseFields(raw, warnings, info) {
     base.end = raw.end;
   }
 
+  // ===== Lifetime Fields (hideAt / duration) =====
+  // Optional. duration (seconds after start) is converted into hideAt.
+  // Check: number >= start (hideAt) or non-negative number (duration)
+  // Invalid: drop the field (annotation stays on screen)
+  if (raw.hideAt !== undefined && raw.hideAt !== null) {
+    if (typeof raw.hideAt !== 'number' || !Number.isFinite(raw.hideAt)) {
+      warnings.push(
+        `[${base.id}]: Field "hideAt" invalid value "${raw.hideAt}", ignoring`
+      );
+    } else if (raw.hideAt < base.start) {
+      warnings.push(
+        `[${base.id}]: Field "hideAt" (${raw.hideAt}) less than start (${base.start}), clamping to start`
+      );
+      base.hideAt = base.start;
+    } else {
+      base.hideAt = raw.hideAt;
+    }
+
+    if (raw.duration !== undefined) {
+      info.push(`[${base.id}]: Both "hideAt" and "duration" set, using "hideAt"`);
+    }
+  } else if (raw.duration !== undefined && raw.duration !== null) {
+    if (typeof raw.duration !== 'number' || !Number.isFinite(raw.duration) || raw.duration < 0) {
+      warnings.push(
+        `[${base.id}]: Field "duration" invalid value "${raw.duration}", ignoring`
+      );
+    } else {
+      base.hideAt = base.start + raw.duration;
+    }
+  }
+
+  // ===== Exit Field =====
+  // Optional; only meaningful with a lifetime. Accepts a type string or
+  // { type, duration }.
+  // Invalid: default transition
+  if (base.hideAt !== undefined) {
+    base.exit = normalizeExit(raw.exit, base.id, warnings);
+  } else if (raw.exit !== undefined) {
+    info.push(`[${base.id}]: Field "exit" ignored without "hideAt" or "duration"`);
+  }
+
   return base;
 }
 
+/**
+ * Normalize an exit transition
+ *
+ * @private
+ * @param {Object|string|undefined} exit - Transition object or type string
+ * @param {string} id - Annotation ID
+ * @param {Array<string>} warnings - Warnings array
+ * @returns {{type: string, duration: number}} Normalized transition
+ */
+function normalizeExit(exit, id, warnings) {
+  if (exit === undefined || exit === null) {
+    return { ...EXIT_DEFAULTS };
+  }
+
+  const raw = typeof exit === 'string' ? { type: exit } : exit;
+  if (typeof raw !== 'object') {
+    warnings.push(`[${id}]: Field "exit" invalid, using default "${EXIT_DEFAULTS.type}"`);
+    return { ...EXIT_DEFAULTS };
+  }
+
+  let type = raw.type ?? EXIT_DEFAULTS.type;
+  if (!EXIT_TYPES.includes(type)) {
+    warnings.push(
+      `[${id}]: Field "exit.type" invalid value "${type}", using default "${EXIT_DEFAULTS.type}"`
+    );
+    type = EXIT_DEFAULTS.type;
+  }
+
+  if (type === 'instant') {
+    return { type, duration: 0 };
+  }
+
+  let duration = raw.duration ?? EXIT_DEFAULTS.duration;
+  if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0) {
+    warnings.push(
+      `[${id}]: Field "exit.duration" invalid value "${duration}", using default ${EXIT_DEFAULTS.duration}`
+    );
+    duration = EXIT_DEFAULTS.duration;
+  }
+
+  return { type, duration };
+}
+
 // ============================================================================
 // TYPE-SPECIFIC NORMALIZERS
 // ============================================================================
@@ -279,7 +395,8 @@ function normalizeQuad(quad, id, warnings) {
  * Normalize highlight annotation
  *
  * Validates and normalizes highlight-specific fields: mode, quads array,
- * and style.color. Applies defaults for invalid fields.
+ * style.color, and the optional entrance animation. Applies defaults for
+ * invalid fields.
  *
  * @param {Object} base - Object with normalized base fields
  * @param {Object} raw - Raw annotation object
@@ -295,9 +412,9 @@ export function normalizeHighlight(base, raw, warnings, info) {
   const annotation = { ...base };
 
   // ===== Mode Field =====
-  // Check: value equals "quads"
+  // Check: "quads" or a markup mode
   // Invalid: default to "quads"
-  if (raw.mode !== 'quads') {
+  if (!HIGHLIGHT_MODES.includes(raw.mode)) {
     warnings.push(
       `[${base.id}]: Field "mode" invalid value "${raw.mode}", using default "${HIGHLIGHT_DEFAULTS.mode}"`
     );
@@ -320,17 +437,41 @@ export function normalizeHighlight(base, raw, warnings, info) {
   }
 
   // ===== Style Object =====
-  // Check: object with color property
-  const defaultColor = HIGHLIGHT_DEFAULTS.style.color;
+  // Check: object with color property (and line width for markup modes)
+  const markup = annotation.mode !== 'quads';
+  const defaults = markup ? HIGHLIGHT_DEFAULTS.markupStyle : HIGHLIGHT_DEFAULTS.style;
   if (!raw.style || typeof raw.style !== 'object') {
     warnings.push(
       `[${base.id}]: Field "style" missing or invalid, using default`
     );
-    annotation.style = { color: defaultColor };
+    annotation.style = { ...defaults };
   } else {
     annotation.style = {
-      color: normalizeColor(raw.style.color, defaultColor, base.id, warnings)
+      color: normalizeColor(raw.style.color, defaults.color, base.id, warnings)
     };
+    if (markup) {
+      annotation.style.width = raw.style.width === undefined
+        ? defaults.width
+        : normalizePositiveNumber(raw.style.width, defaults.width, base.id, 'style.width', warnings);
+    }
+  }
+
+  // ===== Direction Field =====
+  // Optional: 'rtl' wipes from the right, following the text
+  if (raw.dir !== undefined) {
+    annotation.dir = normalizeDirection(raw.dir, ['ltr', 'rtl'], base.id, warnings);
+  }
+
+  // ===== Animation Field =====
+  // Optional entrance effect; typewriter only applies to text
+  if (raw.animation !== undefined) {
+    annotation.animation = normalizeAnimation(
+      raw.animation,
+      HIGHLIGHT_DEFAULTS.animation,
+      ANIMATION_TYPES.filter((type) => type !== 'typewriter'),
+      base.id,
+      warnings
+    );
   }
 
   return annotation;
@@ -340,7 +481,8 @@ export function normalizeHighlight(base, raw, warnings, info) {
  * Normalize text annotation
  *
  * Validates and normalizes text-specific fields: content, position (x, y),
- * dimensions (w, h), and style (bg, color). Applies defaults for invalid fields.
+ * dimensions (w, h), style (bg, color), and the optional entrance animation.
+ * Applies defaults for invalid fields.
  *
  * @param {Object} base - Object with normalized base fields
  * @param {Object} raw - Raw annotation object
@@ -367,6 +509,46 @@ export function normalizeText(base, raw, warnings, info) {
     annotation.content = raw.content;
   }
 
+  // ===== Format Field =====
+  // Optional: how content is interpreted
+  // Invalid: fall back to plain text
+  if (raw.format !== undefined) {
+    if (TEXT_FORMATS.includes(raw.format)) {
+      annotation.format = raw.format;
+    } else {
+      warnings.push(
+        `[${base.id}]: Field "format" must be one of ${TEXT_FORMATS.join(', ')}, using "plain"`
+      );
+      annotation.format = 'plain';
+    }
+  }
+
+  // ===== Fit Field =====
+  // Optional: how the font size adapts to the box
+  // Invalid: fall back to default
+  if (raw.fit !== undefined) {
+    if (TEXT_FIT_MODES.includes(raw.fit)) {
+      annotation.fit = raw.fit;
+    } else {
+      warnings.push(
+        `[${base.id}]: Field "fit" must be one of ${TEXT_FIT_MODES.join(', ')}, using "${TEXT_DEFAULTS.fit}"`
+      );
+      annotation.fit = TEXT_DEFAULTS.fit;
+    }
+  }
+
+  // ===== Direction and Language Fields =====
+  // Optional: writing direction and BCP 47 language tag
+  if (raw.dir !== undefined) {
+    annotation.dir = normalizeDirection(raw.dir, TEXT_DIRECTIONS, base.id, warnings);
+  }
+  if (raw.lang !== undefined) {
+    annotation.lang = normalizeLanguage(raw.lang, base.id, warnings);
+    if (annotation.lang === undefined) {
+      delete annotation.lang;
+    }
+  }
+
   // ===== Position Fields (x, y) =====
   annotation.x = normalizeCoordinate(raw.x, TEXT_DEFAULTS.x, base.id, 'x', warnings);
   annotation.y = normalizeCoordinate(raw.y, TEXT_DEFAULTS.y, base.id, 'y', warnings);
@@ -394,14 +576,135 @@ export function normalizeText(base, raw, warnings, info) {
     };
   }
 
+  // ===== Animation Field =====
+  // Optional entrance effect
+  if (raw.animation !== undefined) {
+    annotation.animation = normalizeAnimation(
+      raw.animation,
+      TEXT_DEFAULTS.animation,
+      ANIMATION_TYPES,
+      base.id,
+      warnings
+    );
+  }
+
   return annotation;
 }
 
+/**
+ * Normalize a writing direction
+ *
+ * @private
+ * @param {*} dir - Raw direction value
+ * @param {Array<string>} allowed - Accepted directions
+ * @param {string} id - Annotation ID
+ * @param {Array<string>} warnings - Warnings array
+ * @returns {string} Direction, or 'ltr' if invalid
+ */
+function normalizeDirection(dir, allowed, id, warnings) {
+  if (allowed.includes(dir)) {
+    return dir;
+  }
+
+  warnings.push(`[${id}]: Field "dir" must be one of ${allowed.join(', ')}, using "ltr"`);
+  return 'ltr';
+}
+
+/**
+ * Normalize a BCP 47 language tag
+ *
+ * @private
+ * @param {*} lang - Raw language tag
+ * @param {string} id - Annotation ID
+ * @param {Array<string>} warnings - Warnings array
+ * @returns {string|undefined} Canonical tag (e.g. 'zh-Hant'), or undefined if invalid
+ */
+function normalizeLanguage(lang, id, warnings) {
+  if (typeof lang === 'string' && lang.trim().length > 0) {
+    try {
+      return Intl.getCanonicalLocales(lang.trim())[0];
+    } catch {
+      // Fall through to the warning
+    }
+  }
+
+  warnings.push(`[${id}]: Field "lang" must be a valid language tag, ignoring`);
+  return undefined;
+}
+
+/**
+ * Normalize an entrance animation
+ *
+ * Accepts a type string or { type, direction, by, easing }. Invalid fields
+ * fall back to the type's defaults; direction is kept only for wipes and by
+ * only for typewriter. A wipe direction is only set when given, so the
+ * annotation's reading direction (dir) picks it at render time.
+ *
+ * @private
+ * @param {Object|string} animation - Raw animation value
+ * @param {Object} defaults - Default animation for the annotation type
+ * @param {Array<string>} allowedTypes - Animation types the annotation type supports
+ * @param {string} id - Annotation ID
+ * @param {Array<string>} warnings - Warnings array
+ * @returns {Object} Normalized animation
+ */
+function normalizeAnimation(animation, defaults, allowedTypes, id, warnings) {
+  const raw = typeof animation === 'string' ? { type: animation } : animation;
+  if (!raw || typeof raw !== 'object') {
+    warnings.push(`[${id}]: Field "animation" invalid, using default "${defaults.type}"`);
+    const { direction: _direction, ...fallback } = defaults;
+    return fallback;
+  }
+
+  let type = raw.type ?? defaults.type;
+  if (!allowedTypes.includes(type)) {
+    warnings.push(
+      `[${id}]: Field "animation.type" invalid value "${type}", using default "${defaults.type}"`
+    );
+    type = defaults.type;
+  }
+
+  const defaultEasing = defaults.easing ?? 'linear';
+  let easing = raw.easing ?? defaultEasing;
+  if (!Object.hasOwn(EASINGS, easing)) {
+    warnings.push(
+      `[${id}]: Field "animation.easing" invalid value "${easing}", using default "${defaultEasing}"`
+    );
+    easing = defaultEasing;
+  }
+
+  const normalized = { type, easing };
+
+  if (type === 'wipe') {
+    if (WIPE_DIRECTIONS.includes(raw.direction)) {
+      normalized.direction = raw.direction;
+    } else if (raw.direction !== undefined) {
+      warnings.push(
+        `[${id}]: Field "animation.direction" invalid value "${raw.direction}", using default`
+      );
+    }
+  } else if (type === 'typewriter') {
+    normalized.by = raw.by ?? 'word';
+    if (!TYPEWRITER_UNITS.includes(normalized.by)) {
+      warnings.push(
+        `[${id}]: Field "animation.by" invalid value "${raw.by}", using default "word"`
+      );
+      normalized.by = 'word';
+    }
+  }
+
+  return normalized;
+}
+
 /**
  * Normalize a single ink point
  *
+ * The time offset t is seconds from the annotation start (DrawingLayer draws
+ * a point once that much time has elapsed), so it is only required to be
+ * non-negative. Optional pen pressure p is kept when present.
+ *
  * @private
- * @param {Object} point - Point object with t, x, y
+ * @param {Object} point - Point object with t, x, y and optional p
  * @param {string} id - Annotation ID
  * @param {Array<string>} warnings - Warnings array
  * @returns {Object} Normalized point
@@ -412,11 +715,25 @@ function normalizePoint(point, id, warnings) {
     return { t: 0, x: 0.1, y: 0.1 };
   }
 
-  return {
-    t: normalizeCoordinate(point.t, 0, id, 'point.t', warnings),
+  let t = point.t;
+  if (typeof t !== 'number' || isNaN(t) || t < 0) {
+    warnings.push(
+      `[${id}]: Field "point.t" invalid value "${point.t}", using default 0`
+    );
+    t = 0;
+  }
+
+  const normalized = {
+    t,
     x: normalizeCoordinate(point.x, 0.1, id, 'point.x', warnings),
     y: normalizeCoordinate(point.y, 0.1, id, 'point.y', warnings)
   };
+
+  if (point.p !== undefined) {
+    normalized.p = normalizeCoordinate(point.p, 0.5, id, 'point.p', warnings);
+  }
+
+  return normalized;
 }
 
 /**
@@ -485,6 +802,435 @@ export function normalizeInk(base, raw, warnings, info) {
   return annotation;
 }
 
+/**
+ * Normalize rect or ellipse annotation
+ *
+ * Validates and normalizes the bounding box (x, y, w, h) and style (stroke,
+ * width, fill). Applies defaults for invalid fields.
+ *
+ * @param {Object} base - Object with normalized base fields
+ * @param {Object} raw - Raw annotation object
+ * @param {Array<string>} warnings - Warnings array
+ * @param {Array<string>} info - Info array
+ * @returns {Object} Fully normalized rect or ellipse annotation
+ *
+ * @example
+ * normalizeShape(base, raw, warnings, info)
+ * // Returns: { ...base, x: 0.1, y: 0.1, w: 0.2, h: 0.1, style: { stroke: '#ef4444', width: 3, fill: 'transparent' } }
+ */
+export function normalizeShape(base, raw, warnings, info) {
+  const annotation = { ...base };
+
+  // ===== Position Fields (x, y) =====
+  annotation.x = normalizeCoordinate(raw.x, SHAPE_DEFAULTS.x, base.id, 'x', warnings);
+  annotation.y = normalizeCoordinate(raw.y, SHAPE_DEFAULTS.y, base.id, 'y', warnings);
+
+  // ===== Dimension Fields (w, h) =====
+  annotation.w = normalizeCoordinate(raw.w, SHAPE_DEFAULTS.w, base.id, 'w', warnings);
+  annotation.h = normalizeCoordinate(raw.h, SHAPE_DEFAULTS.h, base.id, 'h', warnings);
+
+  if (annotation.w === 0 || annotation.h === 0) {
+    info.push(`[${base.id}]: Box has zero width or height, outline will be a line`);
+  }
+
+  // ===== Style Object =====
+  // Check: object; every field optional
+  // Invalid: use defaults
+  const defaults = SHAPE_DEFAULTS.style;
+  if (raw.style !== undefined && (!raw.style || typeof raw.style !== 'object')) {
+    warnings.push(`[${base.id}]: Field "style" invalid, using defaults`);
+  }
+  const style = raw.style && typeof raw.style === 'object' ? raw.style : {};
+
+  annotation.style = {
+    stroke: style.stroke === undefined
+      ? defaults.stroke
+      : normalizeColor(style.stroke, defaults.stroke, base.id, warnings),
+    width: style.width === undefined
+      ? defaults.width
+      : normalizePositiveNumber(style.width, defaults.width, base.id, 'style.width', warnings),
+    fill: style.fill === undefined
+      ? defaults.fill
+      : normalizeColor(style.fill, defaults.fill, base.id, warnings)
+  };
+
+  return annotation;
+}
+
+/**
+ * Normalize line or arrow annotation
+ *
+ * Validates and normalizes the end points (x1, y1, x2, y2) and style (stroke,
+ * width, and headSize for arrows). Applies defaults for invalid fields.
+ *
+ * @param {Object} base - Object with normalized base fields
+ * @param {Object} raw - Raw annotation object
+ * @param {Array<string>} warnings - Warnings array
+ * @param {Array<string>} info - Info array
+ * @returns {Object} Fully normalized line or arrow annotation
+ *
+ * @example
+ * normalizeLine(base, raw, warnings, info)
+ * // Returns: { ...base, x1: 0.1, y1: 0.1, x2: 0.3, y2: 0.2, style: { stroke: '#ef4444', width: 3 } }
+ */
+export function normalizeLine(base, raw, warnings, info) {
+  const annotation = { ...base };
+
+  // ===== End Points (x1, y1, x2, y2) =====
+  annotation.x1 = normalizeCoordinate(raw.x1, LINE_DEFAULTS.x1, base.id, 'x1', warnings);
+  annotation.y1 = normalizeCoordinate(raw.y1, LINE_DEFAULTS.y1, base.id, 'y1', warnings);
+  annotation.x2 = normalizeCoordinate(raw.x2, LINE_DEFAULTS.x2, base.id, 'x2', warnings);
+  annotation.y2 = normalizeCoordinate(raw.y2, LINE_DEFAULTS.y2, base.id, 'y2', warnings);
+
+  if (annotation.x1 === annotation.x2 && annotation.y1 === annotation.y2) {
+    info.push(`[${base.id}]: Start and end points are identical, nothing will be drawn`);
+  }
+
+  // ===== Style Object =====
+  // Check: object; every field optional
+  // Invalid: use defaults
+  const defaults = LINE_DEFAULTS.style;
+  if (raw.style !== undefined && (!raw.style || typeof raw.style !== 'object')) {
+    warnings.push(`[${base.id}]: Field "style" invalid, using defaults`);
+  }
+  const style = raw.style && typeof raw.style === 'object' ? raw.style : {};
+
+  annotation.style = {
+    stroke: style.stroke === undefined
+      ? defaults.stroke
+      : normalizeColor(style.stroke, defaults.stroke, base.id, warnings),
+    width: style.width === undefined
+      ? defaults.width
+      : normalizePositiveNumber(style.width, defaults.width, base.id, 'style.width', warnings)
+  };
+
+  if (base.type === 'arrow') {
+    annotation.style.headSize = style.headSize === undefined
+      ? defaults.headSize
+      : normalizePositiveNumber(style.headSize, defaults.headSize, base.id, 'style.headSize', warnings);
+  }
+
+  return annotation;
+}
+
+/**
+ * Normalize a single spotlight region
+ *
+ * @private
+ * @param {Object} region - Region object with shape, x, y, w, h
+ * @param {string} id - Annotation ID
+ * @param {Array<string>} warnings - Warnings array
+ * @returns {Object} Normalized region
+ */
+function normalizeRegion(region, id, warnings) {
+  if (!region || typeof region !== 'object') {
+    warnings.push(`[${id}]: Invalid region object, using default`);
+    return SPOTLIGHT_DEFAULTS.regions[0];
+  }
+
+  let shape = region.shape ?? 'rect';
+  if (shape !== 'rect' && shape !== 'ellipse') {
+    warnings.push(
+      `[${id}]: Field "region.shape" invalid value "${region.shape}", using default "rect"`
+    );
+    shape = 'rect';
+  }
+
+  return {
+    shape,
+    x: normalizeCoordinate(region.x, 0.25, id, 'region.x', warnings),
+    y: normalizeCoordinate(region.y, 0.4, id, 'region.y', warnings),
+    w: normalizeCoordinate(region.w, 0.5, id, 'region.w', warnings),
+    h: normalizeCoordinate(region.h, 0.2, id, 'region.h', warnings)
+  };
+}
+
+/**
+ * Normalize spotlight annotation
+ *
+ * Validates and normalizes spotlight-specific fields: regions array, fade
+ * duration, and style.color. Applies defaults for invalid fields.
+ *
+ * @param {Object} base - Object with normalized base fields
+ * @param {Object} raw - Raw annotation object
+ * @param {Array<string>} warnings - Warnings array
+ * @param {Array<string>} info - Info array
+ * @returns {Object} Fully normalized spotlight annotation
+ *
+ * @example
+ * normalizeSpotlight(base, raw, warnings, info)
+ * // Returns: { ...base, regions: [{ shape: 'rect', ... }], fade: 0.3, style: { color: '...' } }
+ */
+export function normalizeSpotlight(base, raw, warnings, info) {
+  const annotation = { ...base };
+
+  // ===== Regions Array =====
+  // Check: non-empty array
+  // Invalid: use default region
+  if (!Array.isArray(raw.regions) || raw.regions.length === 0) {
+    warnings.push(
+      `[${base.id}]: Field "regions" missing or empty, using default`
+    );
+    annotation.regions = SPOTLIGHT_DEFAULTS.regions;
+  } else {
+    annotation.regions = raw.regions.map(region => normalizeRegion(region, base.id, warnings));
+  }
+
+  // ===== Fade Field =====
+  // Check: non-negative number
+  // Invalid: use default
+  if (raw.fade === undefined) {
+    annotation.fade = SPOTLIGHT_DEFAULTS.fade;
+  } else if (typeof raw.fade !== 'number' || !Number.isFinite(raw.fade) || raw.fade < 0) {
+    warnings.push(
+      `[${base.id}]: Field "fade" invalid value "${raw.fade}", using default ${SPOTLIGHT_DEFAULTS.fade}`
+    );
+    annotation.fade = SPOTLIGHT_DEFAULTS.fade;
+  } else {
+    annotation.fade = raw.fade;
+  }
+
+  if (base.end === base.start) {
+    info.push(`[${base.id}]: Spotlight has an empty time range and will never show`);
+  }
+
+  // ===== Style Object =====
+  // Check: object with color property; optional
+  const defaultColor = SPOTLIGHT_DEFAULTS.style.color;
+  annotation.style = {
+    color: raw.style?.color === undefined
+      ? defaultColor
+      : normalizeColor(raw.style.color, defaultColor, base.id, warnings)
+  };
+
+  return annotation;
+}
+
+/**
+ * Normalize pointer annotation
+ *
+ * Validates and normalizes the recorded positions (t, x, y) and style
+ * (color, size, trail). Samples are sorted by time. Applies defaults for
+ * invalid fields.
+ *
+ * @param {Object} base - Object with normalized base fields
+ * @param {Object} raw - Raw annotation object
+ * @param {Array<string>} warnings - Warnings array
+ * @param {Array<string>} info - Info array
+ * @returns {Object} Fully normalized pointer annotation
+ *
+ * @example
+ * normalizePointer(base, raw, warnings, info)
+ * // Returns: { ...base, points: [{ t: 0, x: 0.2, y: 0.4 }, ...], style: { color: '...', size: 12, trail: 0.4 } }
+ */
+export function normalizePointer(base, raw, warnings, info) {
+  const annotation = { ...base };
+
+  // ===== Points Array =====
+  // Check: non-empty array of { t, x, y }
+  // Invalid: use default single sample
+  if (!Array.isArray(raw.points) || raw.points.length === 0) {
+    warnings.push(
+      `[${base.id}]: Field "points" missing or empty, using default`
+    );
+    annotation.points = POINTER_DEFAULTS.points;
+  } else {
+    const points = raw.points.map(point => {
+      const { t, x, y } = normalizePoint(point, base.id, warnings);
+      return { t, x, y };
+    });
+
+    // Stable sort keeps samples recorded at the same time in order
+    if (points.some((point, i) => i > 0 && point.t < points[i - 1].t)) {
+      info.push(`[${base.id}]: Pointer samples sorted by time`);
+      points.sort((a, b) => a.t - b.t);
+    }
+
+    annotation.points = points;
+  }
+
+  if (base.end === base.start) {
+    info.push(`[${base.id}]: Pointer has an empty time range and will never show`);
+  }
+
+  // ===== Style Object =====
+  // Check: object with color, size and trail properties; optional
+  const style = raw.style || {};
+  annotation.style = {
+    color: style.color === undefined
+      ? POINTER_DEFAULTS.style.color
+      : normalizeColor(style.color, POINTER_DEFAULTS.style.color, base.id, warnings),
+    size: style.size === undefined
+      ? POINTER_DEFAULTS.style.size
+      : normalizePositiveNumber(style.size, POINTER_DEFAULTS.style.size, base.id, 'style.size', warnings)
+  };
+
+  if (style.trail === undefined) {
+    annotation.style.trail = POINTER_DEFAULTS.style.trail;
+  } else if (typeof style.trail !== 'number' || !Number.isFinite(style.trail) || style.trail < 0) {
+    warnings.push(
+      `[${base.id}]: Field "style.trail" invalid value "${style.trail}", using default ${POINTER_DEFAULTS.style.trail}`
+    );
+    annotation.style.trail = POINTER_DEFAULTS.style.trail;
+  } else {
+    annotation.style.trail = style.trail;
+  }
+
+  return annotation;
+}
+
+/**
+ * Normalize image annotation
+ *
+ * Validates and normalizes the source, box (x, y, w, h), opacity, rotation
+ * and entrance animation. Applies defaults for invalid fields.
+ *
+ * @param {Object} base - Object with normalized base fields
+ * @param {Object} raw - Raw annotation object
+ * @param {Array<string>} warnings - Warnings array
+ * @param {Array<string>} info - Info array
+ * @returns {Object} Fully normalized image annotation
+ *
+ * @example
+ * normalizeImage(base, raw, warnings, info)
+ * // Returns: { ...base, src: 'check', x: 0.1, y: 0.1, w: 0.1, h: 0.1, opacity: 1, rotation: 0 }
+ */
+export function normalizeImage(base, raw, warnings, info) {
+  const annotation = { ...base };
+
+  // ===== Source Field =====
+  // Check: non-empty string (stamp name, URL or data URI)
+  // Invalid: default stamp
+  if (typeof raw.src !== 'string' || raw.src.trim().length === 0) {
+    warnings.push(
+      `[${base.id}]: Field "src" missing or empty, using default "${IMAGE_DEFAULTS.src}"`
+    );
+    annotation.src = IMAGE_DEFAULTS.src;
+  } else {
+    annotation.src = raw.src.trim();
+
+    // A bare word is most likely a misspelled or not yet registered stamp
+    if (/^[\w-]+$/.test(annotation.src) && !hasStamp(annotation.src)) {
+      info.push(
+        `[${base.id}]: Field "src" "${annotation.src}" is not a registered stamp, loading it as a URL`
+      );
+    }
+  }
+
+  // ===== Position Fields (x, y) =====
+  annotation.x = normalizeCoordinate(raw.x, IMAGE_DEFAULTS.x, base.id, 'x', warnings);
+  annotation.y = normalizeCoordinate(raw.y, IMAGE_DEFAULTS.y, base.id, 'y', warnings);
+
+  // ===== Dimension Fields (w, h) =====
+  annotation.w = normalizeCoordinate(raw.w, IMAGE_DEFAULTS.w, base.id, 'w', warnings);
+  annotation.h = normalizeCoordinate(raw.h, IMAGE_DEFAULTS.h, base.id, 'h', warnings);
+
+  if (annotation.w === 0 || annotation.h === 0) {
+    info.push(`[${base.id}]: Image has zero width or height and will not be visible`);
+  }
+
+  // ===== Opacity Field =====
+  // Check: number in 0-1; optional
+  annotation.opacity = raw.opacity === undefined
+    ? IMAGE_DEFAULTS.opacity
+    : normalizeCoordinate(raw.opacity, IMAGE_DEFAULTS.opacity, base.id, 'opacity', warnings);
+
+  // ===== Rotation Field =====
+  // Check: finite number of degrees; optional
+  // Invalid: unrotated
+  if (raw.rotation === undefined) {
+    annotation.rotation = IMAGE_DEFAULTS.rotation;
+  } else if (typeof raw.rotation !== 'number' || !Number.isFinite(raw.rotation)) {
+    warnings.push(
+      `[${base.id}]: Field "rotation" invalid value "${raw.rotation}", using default ${IMAGE_DEFAULTS.rotation}`
+    );
+    annotation.rotation = IMAGE_DEFAULTS.rotation;
+  } else {
+    annotation.rotation = raw.rotation;
+  }
+
+  // ===== Animation Field =====
+  // Optional entrance effect; typewriter only applies to text
+  if (raw.animation !== undefined) {
+    annotation.animation = normalizeAnimation(
+      raw.animation,
+      IMAGE_DEFAULTS.animation,
+      ANIMATION_TYPES.filter((type) => type !== 'typewriter'),
+      base.id,
+      warnings
+    );
+  }
+
+  return annotation;
+}
+
+// ============================================================================
+// NORMALIZER REGISTRY
+// ============================================================================
+
+/**
+ * Type-specific normalizers keyed by annotation type
+ *
+ * @private
+ * @type {Map<string, Function>}
+ */
+const normalizerRegistry = new Map([
+  ['highlight', normalizeHighlight],
+  ['text', normalizeText],
+  ['ink', normalizeInk],
+  ['rect', normalizeShape],
+  ['ellipse', normalizeShape],
+  ['line', normalizeLine],
+  ['arrow', normalizeLine],
+  ['spotlight', normalizeSpotlight],
+  ['pointer', normalizePointer],
+  ['image', normalizeImage]
+]);
+
+/**
+ * Register a normalizer for an annotation type
+ *
+ * Lets custom annotation types (see LayerManager.registerLayer) pass through
+ * normalizeAnnotationArray instead of being skipped as unsupported. The
+ * normalizer receives the already-normalized base fields and follows the
+ * same contract as the built-in type normalizers. Registering an existing
+ * type replaces its normalizer.
+ *
+ * @param {string} type - Annotation type
+ * @param {Function} normalizer - (base, raw, warnings, info) => annotation
+ * @returns {void}
+ * @throws {Error} If type is not a non-empty string or normalizer is not a function
+ *
+ * @example
+ * registerNormalizer('stamp', (base, raw, warnings) => ({
+ *   ...base,
+ *   x: normalizeCoordinate(raw.x, 0.5, base.id, 'x', warnings),
+ *   y: normalizeCoordinate(raw.y, 0.5, base.id, 'y', warnings),
+ *   label: typeof raw.label === 'string' ? raw.label : 'OK'
+ * }));
+ */
+export function registerNormalizer(type, normalizer) {
+  if (typeof type !== 'string' || type.trim().length === 0) {
+    throw new Error('registerNormalizer: type must be a non-empty string');
+  }
+
+  if (typeof normalizer !== 'function') {
+    throw new Error('registerNormalizer: normalizer must be a function');
+  }
+
+  normalizerRegistry.set(type, normalizer);
+}
+
+/**
+ * Remove a normalizer registration
+ *
+ * @param {string} type - Annotation type
+ * @returns {boolean} True if a normalizer was removed
+ */
+export function unregisterNormalizer(type) {
+  return normalizerRegistry.delete(type);
+}
+
 // ============================================================================
 // ORCHESTRATION - SINGLE ANNOTATION & ARRAY
 // ============================================================================
@@ -492,8 +1238,9 @@ export function normalizeInk(base, raw, warnings, info) {
 /**
  * Normalize a single annotation
  *
- * Routes annotation to appropriate type-specific normalizer based on type field.
- * Handles critical validation errors (missing/invalid type).
+ * Routes annotation to appropriate type-specific normalizer based on type field
+ * (built-in or registered with registerNormalizer). Handles critical
+ * validation errors (missing/invalid type).
  *
  * @param {Object} raw - Raw annotation object
  * @param {number} index - Position in original array (for error context)
@@ -537,15 +1284,9 @@ export function normalizeAnnotation(raw, index) {
   const base = normalizeBaseFields(raw, warnings, info);
 
   // Route to type-specific normalizer
-  let annotation;
-
-  if (type === 'highlight') {
-    annotation = normalizeHighlight(base, raw, warnings, info);
-  } else if (type === 'text') {
-    annotation = normalizeText(base, raw, warnings, info);
-  } else if (type === 'ink') {
-    annotation = normalizeInk(base, raw, warnings, info);
-  } else {
+  const normalizer = normalizerRegistry.get(type);
+
+  if (!normalizer) {
     return {
       annotation: null,
       warnings: [],
@@ -554,6 +1295,8 @@ export function normalizeAnnotation(raw, index) {
     };
   }
 
+  const annotation = normalizer(base, raw, warnings, info);
+
   return {
     annotation,
     warnings,
@@ -0,0 +1,259 @@
+/**
+ * Animation Utility Functions
+ *
+ * This module provides utility functions for annotation entrance animations,
+ * lifetimes and exit transitions. Layers use them to decide how an annotation
+ * appears, when it leaves the screen and how far its exit transition has
+ * progressed. Functions accept raw as well as normalized annotations.
+ */
+
+import { EXIT_DEFAULTS } from '../types/defaults.js';
+
+/**
+ * Supported entrance animation types
+ * @type {Array<string>}
+ */
+export const ANIMATION_TYPES = ['wipe', 'fade', 'pop', 'typewriter', 'instant'];
+
+/**
+ * Supported wipe directions (left-to-right, right-to-left, top-to-bottom,
+ * bottom-to-top)
+ * @type {Array<string>}
+ */
+export const WIPE_DIRECTIONS = ['ltr', 'rtl', 'ttb', 'btt'];
+
+/**
+ * Supported typewriter units
+ * @type {Array<string>}
+ */
+export const TYPEWRITER_UNITS = ['char', 'word', 'line'];
+
+/**
+ * Easing curves, mapping linear progress (0-1) to eased progress
+ *
+ * 'ease-out-back' overshoots slightly past 1 before settling, which suits
+ * the pop effect.
+ *
+ * @type {Object<string, Function>}
+ */
+export const EASINGS = {
+  'linear': (t) => t,
+  'ease-in': (t) => t * t * t,
+  'ease-out': (t) => 1 - Math.pow(1 - t, 3),
+  'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  'ease-out-back': (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2)
+};
+
+/**
+ * Resolve an annotation's entrance animation
+ *
+ * Accepts `animation` as an object or just its type string. Missing or
+ * unknown fields fall back to the given defaults; direction and unit are only
+ * included for the types that use them. Wipes of right-to-left annotations
+ * (`dir: 'rtl'`) default to the 'rtl' direction, following the reading order.
+ *
+ * @param {Object} annotation - Annotation object
+ * @param {Object} defaults - Layer defaults ({ type, direction?, by?, easing })
+ * @returns {{type: string, easing: string, direction?: string, by?: string}} Entrance animation
+ *
+ * @example
+ * getAnimation({ animation: 'fade' }, { type: 'wipe', direction: 'ltr', easing: 'linear' });
+ * // Returns: { type: 'fade', easing: 'linear' }
+ */
+export function getAnimation(annotation, defaults) {
+  const animation = typeof annotation?.animation === 'string'
+    ? { type: annotation.animation }
+    : annotation?.animation || {};
+
+  const type = ANIMATION_TYPES.includes(animation.type) ? animation.type : defaults.type;
+  const easing = Object.hasOwn(EASINGS, animation.easing)
+    ? animation.easing
+    : defaults.easing || 'linear';
+  const resolved = { type, easing };
+
+  if (type === 'wipe') {
+    resolved.direction = WIPE_DIRECTIONS.includes(animation.direction)
+      ? animation.direction
+      : (annotation?.dir === 'rtl' ? 'rtl' : defaults.direction || 'ltr');
+  } else if (type === 'typewriter') {
+    resolved.by = TYPEWRITER_UNITS.includes(animation.by)
+      ? animation.by
+      : defaults.by || 'word';
+  }
+
+  return resolved;
+}
+
+/**
+ * Get the eased progress of an annotation's entrance
+ *
+ * @param {Object} annotation - Annotation with start and end
+ * @param {number} nowSec - Current timeline position in seconds
+ * @param {string} [easing='linear'] - Easing curve name
+ * @returns {number} 0 before start, 1 from end on, eased in between
+ *   ('ease-out-back' may briefly exceed 1)
+ *
+ * @example
+ * getEntranceProgress({ start: 0, end: 2 }, 1, 'ease-in'); // Returns: 0.125
+ */
+export function getEntranceProgress(annotation, nowSec, easing = 'linear') {
+  if (nowSec < annotation.start) {
+    return 0;
+  }
+
+  const linear = Math.min(
+    1,
+    (nowSec - annotation.start) / Math.max(1e-6, annotation.end - annotation.start)
+  );
+  const ease = EASINGS[easing] || EASINGS.linear;
+  return linear >= 1 ? 1 : ease(linear);
+}
+
+/**
+ * Compute the clip-path inset that hides the unrevealed part of a wipe
+ *
+ * @param {string} direction - Wipe direction ('ltr', 'rtl', 'ttb' or 'btt')
+ * @param {number} progress - Revealed fraction (0 to 1)
+ * @returns {Array<number>} Hidden fractions [top, right, bottom, left]
+ *
+ * @example
+ * wipeInset('rtl', 0.25); // Returns: [0, 0, 0, 0.75]
+ */
+export function wipeInset(direction, progress) {
+  const hidden = 1 - Math.max(0, Math.min(1, progress));
+
+  switch (direction) {
+    case 'rtl':
+      return [0, 0, 0, hidden];
+    case 'ttb':
+      return [0, 0, hidden, 0];
+    case 'btt':
+      return [hidden, 0, 0, 0];
+    default:
+      return [0, hidden, 0, 0];
+  }
+}
+
+/**
+ * Supported exit transition types
+ * @type {Array<string>}
+ */
+export const EXIT_TYPES = ['fade', 'wipe', 'instant'];
+
+/**
+ * Get the time at which an annotation starts to exit
+ *
+ * Uses hideAt when set, otherwise start + duration.
+ *
+ * @param {Object} annotation - Annotation object
+ * @returns {number|null} Time in seconds, or null if the annotation never hides
+ *
+ * @example
+ * getHideTime({ start: 2, end: 3, duration: 5 }); // Returns: 7
+ * getHideTime({ start: 2, end: 3 });              // Returns: null
+ */
+export function getHideTime(annotation) {
+  if (typeof annotation?.hideAt === 'number' && Number.isFinite(annotation.hideAt)) {
+    return annotation.hideAt;
+  }
+
+  if (typeof annotation?.duration === 'number' && Number.isFinite(annotation.duration) &&
+      typeof annotation.start === 'number') {
+    return annotation.start + annotation.duration;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an annotation's exit transition
+ *
+ * Accepts `exit` as a transition object or just its type string. Unknown
+ * types fall back to the default.
+ *
+ * @param {Object} annotation - Annotation object
+ * @returns {{type: string, duration: number}} Exit transition
+ *
+ * @example
+ * getExitTransition({ exit: 'wipe' }); // Returns: { type: 'wipe', duration: 0.3 }
+ */
+export function getExitTransition(annotation) {
+  const exit = typeof annotation?.exit === 'string'
+    ? { type: annotation.exit }
+    : annotation?.exit || {};
+
+  const type = EXIT_TYPES.includes(exit.type) ? exit.type : EXIT_DEFAULTS.type;
+  const duration = type === 'instant'
+    ? 0
+    : typeof exit.duration === 'number' && exit.duration >= 0
+      ? exit.duration
+      : EXIT_DEFAULTS.duration;
+
+  return { type, duration };
+}
+
+/**
+ * Get the progress of an annotation's exit transition
+ *
+ * @param {Object} annotation - Annotation object
+ * @param {number} nowSec - Current timeline position in seconds
+ * @returns {number} 0 while fully shown (or if it never hides), 1 once gone,
+ *   and in between during the exit transition
+ *
+ * @example
+ * getExitProgress({ start: 0, end: 1, hideAt: 5, exit: { type: 'fade', duration: 2 } }, 6);
+ * // Returns: 0.5
+ */
+export function getExitProgress(annotation, nowSec) {
+  const hideTime = getHideTime(annotation);
+  if (hideTime === null || nowSec < hideTime) {
+    return 0;
+  }
+
+  const { duration } = getExitTransition(annotation);
+  if (duration <= 0) {
+    return 1;
+  }
+
+  return Math.min(1, (nowSec - hideTime) / duration);
+}
+
+/**
+ * Check whether an annotation is on screen
+ *
+ * @param {Object} annotation - Annotation object
+ * @param {number} nowSec - Current timeline position in seconds
+ * @returns {boolean} True from start until its exit transition completes
+ */
+export function isAnnotationVisible(annotation, nowSec) {
+  return nowSec >= annotation.start && getExitProgress(annotation, nowSec) < 1;
+}
+
+/**
+ * Annotation lifecycle states, in timeline order
+ *
+ * 'hidden' before start and after the exit transition, 'revealing' while
+ * the entrance plays (start until end) and 'complete' once fully shown.
+ *
+ * @type {Array<string>}
+ */
+export const ANNOTATION_STATES = ['hidden', 'revealing', 'complete'];
+
+/**
+ * Get an annotation's lifecycle state at a timeline position
+ *
+ * @param {Object} annotation - Annotation object
+ * @param {number} nowSec - Current timeline position in seconds
+ * @returns {string} 'hidden', 'revealing' or 'complete'
+ *
+ * @example
+ * getAnnotationState({ start: 2, end: 4 }, 3);              // Returns: 'revealing'
+ * getAnnotationState({ start: 2, end: 4, hideAt: 6 }, 7);   // Returns: 'hidden'
+ */
+export function getAnnotationState(annotation, nowSec) {
+  if (!isAnnotationVisible(annotation, nowSec)) {
+    return 'hidden';
+  }
+
+  return nowSec < annotation.end ? 'revealing' : 'complete';
+}
@@ -0,0 +1,186 @@
+/**
+ * Camera Utility Functions
+ *
+ * This module provides utility functions for the camera track: timed
+ * keyframes that zoom and pan the page view to a normalized region. They
+ * validate keyframes, interpolate the camera region at a timeline position
+ * and convert a region into the CSS transform that frames it.
+ */
+
+import { EASINGS } from './animationUtils.js';
+
+/**
+ * Region that shows the whole page (no zoom)
+ * @type {{x: number, y: number, w: number, h: number}}
+ */
+export const FULL_PAGE_REGION = Object.freeze({ x: 0, y: 0, w: 1, h: 1 });
+
+/**
+ * Validate and sort camera keyframes
+ *
+ * Keyframes without a finite time are dropped. A missing region means the
+ * whole page; region fields are clamped to the page and regions smaller than
+ * 1% of the page are enlarged. Unknown easings fall back to 'ease-in-out'.
+ *
+ * @param {Array<Object>} keyframes - Raw keyframes ({ time, region?, easing? })
+ * @returns {{keyframes: Array<Object>, warnings: Array<string>}} Keyframes sorted by
+ *   time, and messages about fields that were dropped or corrected
+ *
+ * @example
+ * normalizeCameraKeyframes([{ time: 2, region: { x: 0.1, y: 0.3, w: 0.5, h: 0.2 } }]);
+ * // Returns: { keyframes: [{ time: 2, region: {...}, easing: 'ease-in-out' }], warnings: [] }
+ */
+export function normalizeCameraKeyframes(keyframes) {
+  const warnings = [];
+
+  if (!Array.isArray(keyframes)) {
+    if (keyframes !== null && keyframes !== undefined) {
+      warnings.push('Camera keyframes must be an array; camera disabled');
+    }
+    return { keyframes: [], warnings };
+  }
+
+  const normalized = [];
+
+  keyframes.forEach((raw, index) => {
+    if (!raw || typeof raw !== 'object' ||
+        typeof raw.time !== 'number' || !Number.isFinite(raw.time)) {
+      warnings.push(`Camera keyframe ${index}: missing or invalid time; keyframe dropped`);
+      return;
+    }
+
+    let easing = 'ease-in-out';
+    if (raw.easing !== undefined) {
+      if (Object.hasOwn(EASINGS, raw.easing)) {
+        easing = raw.easing;
+      } else {
+        warnings.push(`Camera keyframe ${index}: unknown easing "${raw.easing}"; using ease-in-out`);
+      }
+    }
+
+    normalized.push({
+      time: raw.time,
+      region: normalizeCameraRegion(raw.region, index, warnings),
+      easing
+    });
+  });
+
+  // Stable sort keeps the given order of keyframes at the same time
+  normalized.sort((a, b) => a.time - b.time);
+
+  return { keyframes: normalized, warnings };
+}
+
+/**
+ * Clamp a keyframe region to the page
+ *
+ * @private
+ * @param {Object} [region] - Raw region ({ x, y, w, h })
+ * @param {number} index - Keyframe index for messages
+ * @param {Array<string>} warnings - Array to push warnings into
+ * @returns {{x: number, y: number, w: number, h: number}} Region within the page
+ */
+function normalizeCameraRegion(region, index, warnings) {
+  if (region === undefined || region === null) {
+    return { ...FULL_PAGE_REGION };
+  }
+
+  if (typeof region !== 'object') {
+    warnings.push(`Camera keyframe ${index}: region must be an object; using the full page`);
+    return { ...FULL_PAGE_REGION };
+  }
+
+  const read = (value, fallback) => (
+    typeof value === 'number' && Number.isFinite(value) ? value : fallback
+  );
+
+  const x = Math.max(0, Math.min(0.99, read(region.x, 0)));
+  const y = Math.max(0, Math.min(0.99, read(region.y, 0)));
+  const w = Math.max(0.01, Math.min(1 - x, read(region.w, 1 - x)));
+  const h = Math.max(0.01, Math.min(1 - y, read(region.h, 1 - y)));
+
+  if (x !== region.x || y !== region.y || w !== region.w || h !== region.h) {
+    warnings.push(`Camera keyframe ${index}: region adjusted to fit the page`);
+  }
+
+  return { x, y, w, h };
+}
+
+/**
+ * Get the camera region at a timeline position
+ *
+ * Holds the first keyframe's region before it and the last keyframe's region
+ * after it. Between two keyframes the region moves from one to the next using
+ * the easing of the keyframe it moves towards.
+ *
+ * @param {Array<Object>} keyframes - Normalized keyframes sorted by time
+ * @param {number} nowSec - Current timeline position in seconds
+ * @returns {{x: number, y: number, w: number, h: number}|null} Camera region, or
+ *   null if there are no keyframes
+ *
+ * @example
+ * getCameraRegion([
+ *   { time: 0, region: { x: 0, y: 0, w: 1, h: 1 }, easing: 'linear' },
+ *   { time: 2, region: { x: 0.5, y: 0.5, w: 0.5, h: 0.5 }, easing: 'linear' }
+ * ], 1);
+ * // Returns: { x: 0.25, y: 0.25, w: 0.75, h: 0.75 }
+ */
+export function getCameraRegion(keyframes, nowSec) {
+  if (!Array.isArray(keyframes) || keyframes.length === 0) {
+    return null;
+  }
+
+  const first = keyframes[0];
+  if (nowSec <= first.time) {
+    return { ...first.region };
+  }
+
+  for (let i = 1; i < keyframes.length; i++) {
+    const to = keyframes[i];
+    if (nowSec >= to.time) {
+      continue;
+    }
+
+    const from = keyframes[i - 1];
+    const ease = EASINGS[to.easing] || EASINGS['ease-in-out'];
+    const t = ease((nowSec - from.time) / (to.time - from.time));
+
+    return {
+      x: from.region.x + (to.region.x - from.region.x) * t,
+      y: from.region.y + (to.region.y - from.region.y) * t,
+      w: from.region.w + (to.region.w - from.region.w) * t,
+      h: from.region.h + (to.region.h - from.region.h) * t
+    };
+  }
+
+  return { ...keyframes[keyframes.length - 1].region };
+}
+
+/**
+ * Compute the zoom and pan that frame a region
+ *
+ * The zoom fits the whole region into the view and is never below 1. The
+ * region is centered, but the pan is clamped so the view never shows
+ * anything outside the page.
+ *
+ * @param {{x: number, y: number, w: number, h: number}} region - Normalized region
+ * @param {number} width - View width in pixels
+ * @param {number} height - View height in pixels
+ * @returns {{zoom: number, x: number, y: number}} Scale factor and translation in
+ *   pixels, for a transform with its origin at the top-left corner
+ *
+ * @example
+ * getCameraTransform({ x: 0.5, y: 0.5, w: 0.5, h: 0.5 }, 800, 1000);
+ * // Returns: { zoom: 2, x: -800, y: -1000 }
+ */
+export function getCameraTransform(region, width, height) {
+  const zoom = Math.max(1, Math.min(1 / Math.max(region.w, 1e-6), 1 / Math.max(region.h, 1e-6)));
+
+  const centerX = (region.x + region.w / 2) * width;
+  const centerY = (region.y + region.h / 2) * height;
+
+  const x = Math.max(width - width * zoom, Math.min(0, width / 2 - centerX * zoom));
+  const y = Math.max(height - height * zoom, Math.min(0, height / 2 - centerY * zoom));
+
+  return { zoom, x, y };
+}
@@ -0,0 +1,139 @@
+/**
+ * Color Utility Functions
+ *
+ * This module provides utility functions for converting between CSS color
+ * strings and the RGB byte arrays used by PDF annotations. Used when
+ * exporting annotations to PDF and importing native PDF annotations.
+ */
+
+/**
+ * Shared 2d context used to resolve named colors (lazily created)
+ * @type {CanvasRenderingContext2D|null}
+ */
+let resolverContext = null;
+
+/**
+ * Parse a CSS color string into RGBA components
+ *
+ * Hex (#rgb, #rgba, #rrggbb, #rrggbbaa) and rgb()/rgba() strings are parsed
+ * directly. Other CSS colors (e.g. named colors) are resolved through a canvas
+ * context when running in a browser.
+ *
+ * @param {string} color - CSS color string
+ * @returns {{r: number, g: number, b: number, a: number}|null} Channels 0-255 and
+ *   alpha 0-1, or null if the color cannot be parsed
+ *
+ * @example
+ * parseColor('rgba(255, 255, 0, 0.3)');
+ * // Returns: { r: 255, g: 255, b: 0, a: 0.3 }
+ */
+export function parseColor(color) {
+  if (typeof color !== 'string') {
+    return null;
+  }
+
+  const value = color.trim().toLowerCase();
+
+  const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map((d) => d + d).join('');
+    }
+
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  const rgb = value.match(/^rgba?\(([^)]+)\)$/);
+  if (rgb) {
+    const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) {
+      return null;
+    }
+
+    const channel = (part) => part.endsWith('%')
+      ? Math.round(parseFloat(part) * 2.55)
+      : Math.round(parseFloat(part));
+    const alpha = parts[3] === undefined
+      ? 1
+      : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+
+    const result = {
+      r: channel(parts[0]),
+      g: channel(parts[1]),
+      b: channel(parts[2]),
+      a: alpha
+    };
+
+    if (Object.values(result).some((n) => !Number.isFinite(n))) {
+      return null;
+    }
+
+    result.r = clampByte(result.r);
+    result.g = clampByte(result.g);
+    result.b = clampByte(result.b);
+    result.a = Math.max(0, Math.min(1, result.a));
+    return result;
+  }
+
+  // Let the browser resolve named colors and other CSS syntaxes
+  if (typeof document === 'undefined') {
+    return null;
+  }
+
+  if (!resolverContext) {
+    resolverContext = document.createElement('canvas').getContext('2d');
+    if (!resolverContext) {
+      return null;
+    }
+  }
+
+  // fillStyle ignores invalid colors, so compare against two sentinels
+  resolverContext.fillStyle = '#000000';
+  resolverContext.fillStyle = value;
+  const first = resolverContext.fillStyle;
+  resolverContext.fillStyle = '#ffffff';
+  resolverContext.fillStyle = value;
+
+  if (first !== resolverContext.fillStyle) {
+    return null;
+  }
+
+  return first.startsWith('#') || first.startsWith('rgb') ? parseColor(first) : null;
+}
+
+/**
+ * Convert RGB channels to a CSS color string
+ *
+ * @param {ArrayLike<number>} rgb - Red, green and blue channels (0-255)
+ * @param {number} [alpha=1] - Alpha (0-1)
+ * @returns {string} rgb() or rgba() color string
+ *
+ * @example
+ * toCssColor([255, 255, 0], 0.3);
+ * // Returns: 'rgba(255, 255, 0, 0.3)'
+ */
+export function toCssColor(rgb, alpha = 1) {
+  const [r, g, b] = Array.from(rgb, clampByte);
+
+  if (alpha >= 1) {
+    return `rgb(${r}, ${g}, ${b})`;
+  }
+
+  return `rgba(${r}, ${g}, ${b}, ${Math.round(Math.max(0, alpha) * 1000) / 1000})`;
+}
+
+/**
+ * Clamp a channel value to an integer byte
+ *
+ * @param {number} n - Channel value
+ * @returns {number} Integer in 0-255
+ */
+function clampByte(n) {
+  return Math.max(0, Math.min(255, Math.round(n)));
+}
@@ -70,3 +70,32 @@ export function pointNormToAbs(point, viewport) {
     y: point.y * viewport.height
   };
 }
+
+/**
+ * Distance from a point to a line segment
+ *
+ * Works in any consistent unit (typically canvas pixels). Used for
+ * stroke-accurate hit testing.
+ *
+ * @param {number} px - Point x
+ * @param {number} py - Point y
+ * @param {{x: number, y: number}} a - Segment start
+ * @param {{x: number, y: number}} b - Segment end
+ * @returns {number} Euclidean distance
+ *
+ * @example
+ * distanceToSegment(5, 5, { x: 0, y: 0 }, { x: 10, y: 0 });
+ * // Returns: 5
+ */
+export function distanceToSegment(px, py, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+
+  // Project point onto segment, clamped to its endpoints
+  const t = lengthSq === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSq));
+
+  return Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+}
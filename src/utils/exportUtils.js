@@ -0,0 +1,350 @@
+/**
+ * Export Utility Functions
+ *
+ * This module provides utility functions for converting normalized annotations
+ * into pdf.js annotation editor data. PDFRenderer stores this data in the
+ * document's annotation storage and lets pdf.js write it out as native PDF
+ * annotations (Highlight, FreeText, Ink) when saving.
+ */
+
+import { AnnotationEditorType } from 'pdfjs-dist';
+import { parseColor } from './colorUtils.js';
+import { getPlainText, parseRichText } from './richTextUtils.js';
+
+/**
+ * Font size of exported text boxes (matches TextLayer's 14px at scale 1)
+ * @type {number}
+ */
+const TEXT_FONT_SIZE = 14;
+
+/**
+ * Inner padding of exported text boxes (matches TextLayer's 8px padding)
+ * @type {number}
+ */
+const TEXT_PADDING = 8;
+
+/**
+ * Line height of exported text boxes as a multiple of the font size
+ * (matches TextLayer's line-height)
+ * @type {number}
+ */
+const TEXT_LINE_HEIGHT = 1.4;
+
+/**
+ * Approximate Helvetica glyph width as a fraction of the font size
+ * @type {number}
+ */
+const AVERAGE_GLYPH_WIDTH = 0.5;
+
+/**
+ * Convert one annotation into pdf.js annotation editor data
+ *
+ * Annotations are exported at their final, fully revealed state. Types other
+ * than highlight, text and ink are skipped. Ink produces one PDF annotation
+ * per stroke because each stroke has its own color and width.
+ *
+ * @param {Object} annotation - Normalized annotation object
+ * @param {Object} viewport - pdf.js page viewport at scale 1
+ * @returns {Array<Object>} Editor data entries (empty if nothing can be exported)
+ *
+ * @example
+ * const page = await pdfDoc.getPage(1);
+ * const entries = annotationToPdfData(annotation, page.getViewport({ scale: 1 }));
+ */
+export function annotationToPdfData(annotation, viewport) {
+  if (!annotation || !viewport) {
+    return [];
+  }
+
+  switch (annotation.type) {
+    case 'highlight':
+      return highlightToPdfData(annotation, viewport);
+    case 'text':
+      return textToPdfData(annotation, viewport);
+    case 'ink':
+      return inkToPdfData(annotation, viewport);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Convert a highlight annotation into Highlight editor data
+ *
+ * pdf.js can only create Highlight annotations, so the markup modes
+ * (underline, strikethrough, squiggly, box) are exported as Ink strokes
+ * along the quads.
+ *
+ * @param {Object} annotation - Highlight annotation with quads
+ * @param {Object} viewport - pdf.js page viewport at scale 1
+ * @returns {Array<Object>} Single Highlight entry (or Ink entries for markup
+ *   modes), or empty if there are no quads
+ */
+export function highlightToPdfData(annotation, viewport) {
+  const quads = (annotation.quads || []).filter(isRect);
+  if (quads.length === 0) {
+    return [];
+  }
+
+  if (annotation.mode && annotation.mode !== 'quads') {
+    return inkToPdfData({
+      page: annotation.page,
+      strokes: quads.map((quad) => ({
+        color: annotation.style?.color || '#dc2626',
+        size: annotation.style?.width || 2,
+        points: markupPoints(annotation.mode, quad, annotation.style?.width || 2, viewport)
+      }))
+    }, viewport);
+  }
+
+  const color = parseColor(annotation.style?.color) || { r: 255, g: 255, b: 0, a: 0.3 };
+  const quadPoints = [];
+  const outlines = [];
+
+  for (const quad of quads) {
+    // QuadPoints order is top-left, top-right, bottom-left, bottom-right
+    const tl = toPdfPoint(viewport, quad.x, quad.y);
+    const tr = toPdfPoint(viewport, quad.x + quad.w, quad.y);
+    const bl = toPdfPoint(viewport, quad.x, quad.y + quad.h);
+    const br = toPdfPoint(viewport, quad.x + quad.w, quad.y + quad.h);
+
+    quadPoints.push(...tl, ...tr, ...bl, ...br);
+    outlines.push([...tl, ...tr, ...br, ...bl]);
+  }
+
+  return [{
+    annotationType: AnnotationEditorType.HIGHLIGHT,
+    pageIndex: annotation.page - 1,
+    rect: boundingRect(outlines.flat()),
+    rotation: viewport.rotation,
+    color: [color.r, color.g, color.b],
+    opacity: color.a,
+    quadPoints,
+    outlines
+  }];
+}
+
+/**
+ * Convert a text annotation into FreeText editor data
+ *
+ * Content is word-wrapped to the box width using approximate glyph widths,
+ * since FreeText appearances do not wrap. The box background is not exported.
+ * Markdown and HTML content is exported as its plain text.
+ * Boxes with `fit: 'shrink'` or `'grow'` get the largest font size at which
+ * the wrapped text fits the box, as in TextLayer.
+ *
+ * @param {Object} annotation - Text annotation with content and box
+ * @param {Object} viewport - pdf.js page viewport at scale 1
+ * @returns {Array<Object>} Single FreeText entry, or empty if there is no content
+ */
+export function textToPdfData(annotation, viewport) {
+  if (!isRect(annotation) || typeof annotation.content !== 'string' ||
+      annotation.content.trim() === '') {
+    return [];
+  }
+
+  const color = parseColor(annotation.style?.color) || { r: 31, g: 41, b: 55, a: 1 };
+  const corners = [
+    ...toPdfPoint(viewport, annotation.x, annotation.y),
+    ...toPdfPoint(viewport, annotation.x + annotation.w, annotation.y + annotation.h)
+  ];
+  const boxWidth = annotation.w * viewport.width - TEXT_PADDING * 2;
+  const text = annotation.format && annotation.format !== 'plain'
+    ? getPlainText(parseRichText(annotation.content, annotation.format))
+    : annotation.content;
+
+  const boxHeight = annotation.h * viewport.height - TEXT_PADDING * 2;
+  const fontSize = annotation.fit === 'shrink' || annotation.fit === 'grow'
+    ? fitFontSize(text, boxWidth, boxHeight, annotation.fit)
+    : TEXT_FONT_SIZE;
+
+  return [{
+    annotationType: AnnotationEditorType.FREETEXT,
+    pageIndex: annotation.page - 1,
+    rect: boundingRect(corners),
+    rotation: viewport.rotation,
+    color: [color.r, color.g, color.b],
+    fontSize,
+    value: wrapText(text, boxWidth, fontSize)
+  }];
+}
+
+/**
+ * Convert an ink annotation into Ink editor data (one entry per stroke)
+ *
+ * Stroke widths are taken as PDF points, i.e. as drawn at scale 1.
+ *
+ * @param {Object} annotation - Ink annotation with strokes
+ * @param {Object} viewport - pdf.js page viewport at scale 1
+ * @returns {Array<Object>} Ink entries for strokes with at least one point
+ */
+export function inkToPdfData(annotation, viewport) {
+  const entries = [];
+
+  for (const stroke of annotation.strokes || []) {
+    const points = (stroke.points || []).filter(
+      (point) => Number.isFinite(point?.x) && Number.isFinite(point?.y)
+    );
+    if (points.length === 0) {
+      continue;
+    }
+
+    const color = parseColor(stroke.color) || { r: 31, g: 41, b: 55, a: 1 };
+    const thickness = stroke.size || 3;
+    const flat = points.flatMap((point) => toPdfPoint(viewport, point.x, point.y));
+
+    // Appearance path: 6 numbers per node, NaN control points mean 'line to'
+    const line = [];
+    for (let i = 0; i < flat.length; i += 2) {
+      line.push(NaN, NaN, NaN, NaN, flat[i], flat[i + 1]);
+    }
+
+    // pdf.js drops a border width above half the rect's width or height, so
+    // pad by the full width to keep thin strokes (e.g. underlines) intact
+    const [x1, y1, x2, y2] = boundingRect(flat);
+
+    entries.push({
+      annotationType: AnnotationEditorType.INK,
+      pageIndex: annotation.page - 1,
+      rect: [x1 - thickness, y1 - thickness, x2 + thickness, y2 + thickness],
+      rotation: viewport.rotation,
+      color: [color.r, color.g, color.b],
+      opacity: color.a,
+      thickness,
+      paths: { lines: [line], points: [flat] }
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Trace the line of a markup highlight over one quad
+ *
+ * @param {string} mode - 'underline', 'strikethrough', 'squiggly' or 'box'
+ * @param {Object} quad - Normalized quad
+ * @param {number} width - Line width in PDF points
+ * @param {Object} viewport - pdf.js page viewport at scale 1
+ * @returns {Array<{x: number, y: number}>} Normalized stroke points
+ */
+function markupPoints(mode, quad, width, viewport) {
+  const left = quad.x;
+  const right = quad.x + quad.w;
+  const bottom = quad.y + quad.h;
+
+  switch (mode) {
+    case 'underline':
+      return [{ x: left, y: bottom }, { x: right, y: bottom }];
+    case 'strikethrough':
+      return [{ x: left, y: quad.y + quad.h / 2 }, { x: right, y: quad.y + quad.h / 2 }];
+    case 'squiggly': {
+      // Zigzag with the wave period used by HighlightLayer
+      const step = (width * 2) / viewport.width;
+      const amplitude = (width * 1.5) / viewport.height;
+      const points = [];
+      for (let i = 0; left + i * step < right; i++) {
+        points.push({ x: left + i * step, y: bottom - (i % 2 === 0 ? 0 : amplitude) });
+      }
+      points.push({ x: right, y: bottom - (points.length % 2 === 0 ? 0 : amplitude) });
+      return points;
+    }
+    default:
+      return [
+        { x: left, y: quad.y },
+        { x: right, y: quad.y },
+        { x: right, y: bottom },
+        { x: left, y: bottom },
+        { x: left, y: quad.y }
+      ];
+  }
+}
+
+/**
+ * Convert a normalized page point to PDF user space
+ *
+ * @param {Object} viewport - pdf.js page viewport
+ * @param {number} x - Normalized x (0-1)
+ * @param {number} y - Normalized y (0-1)
+ * @returns {Array<number>} [x, y] in PDF user space
+ */
+function toPdfPoint(viewport, x, y) {
+  return viewport.convertToPdfPoint(x * viewport.width, y * viewport.height);
+}
+
+/**
+ * Compute the bounding rectangle of a flat point list
+ *
+ * @param {Array<number>} flat - Points as [x0, y0, x1, y1, ...]
+ * @returns {Array<number>} [minX, minY, maxX, maxY]
+ */
+function boundingRect(flat) {
+  const xs = flat.filter((_, i) => i % 2 === 0);
+  const ys = flat.filter((_, i) => i % 2 === 1);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Check for a finite normalized rectangle
+ *
+ * @param {Object} rect - Object with x, y, w, h
+ * @returns {boolean} True if all four fields are finite numbers
+ */
+function isRect(rect) {
+  return ['x', 'y', 'w', 'h'].every((key) => Number.isFinite(rect?.[key]));
+}
+
+/**
+ * Find the largest font size at which wrapped text fits a box
+ *
+ * Sizes are tried in half-point steps, from the box height ('grow') or the
+ * default size ('shrink') down to 4pt.
+ *
+ * @param {string} text - Text to fit
+ * @param {number} width - Available width in PDF points
+ * @param {number} height - Available height in PDF points
+ * @param {string} fit - 'shrink' or 'grow'
+ * @returns {number} Font size in PDF points
+ */
+function fitFontSize(text, width, height, fit) {
+  const maxSize = fit === 'grow' ? Math.max(TEXT_FONT_SIZE, height) : TEXT_FONT_SIZE;
+
+  for (let size = Math.floor(maxSize * 2) / 2; size > 4; size -= 0.5) {
+    const lines = wrapText(text, width, size).split('\n');
+    const longest = Math.max(...lines.map((line) => line.length));
+    if (lines.length * size * TEXT_LINE_HEIGHT <= height &&
+        longest * size * AVERAGE_GLYPH_WIDTH <= width) {
+      return size;
+    }
+  }
+
+  return 4;
+}
+
+/**
+ * Word-wrap text to an approximate line width
+ *
+ * @param {string} text - Text to wrap (existing line breaks are kept)
+ * @param {number} width - Available width in PDF points
+ * @param {number} fontSize - Font size in PDF points
+ * @returns {string} Text with line breaks inserted
+ */
+function wrapText(text, width, fontSize) {
+  const maxChars = Math.max(1, Math.floor(width / (fontSize * AVERAGE_GLYPH_WIDTH)));
+
+  return text.split('\n').map((paragraph) => {
+    const lines = [];
+    let line = '';
+
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line && line.length + 1 + word.length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+
+    lines.push(line);
+    return lines.join('\n');
+  }).join('\n');
+}
@@ -0,0 +1,343 @@
+/**
+ * Import Utility Functions
+ *
+ * This module provides utility functions for converting annotations embedded
+ * in a PDF (as reported by pdf.js page.getAnnotations()) into this library's
+ * annotation objects with normalized (0-1) coordinates. Used by
+ * PDFRenderer.importAnnotations().
+ */
+
+import { toCssColor } from './colorUtils.js';
+
+/**
+ * PDF annotation subtypes that can be imported
+ * @type {Array<string>}
+ */
+export const IMPORTABLE_SUBTYPES = [
+  'Highlight', 'Underline', 'StrikeOut', 'Squiggly', 'FreeText', 'Ink', 'Square'
+];
+
+/**
+ * Alpha used for opaque PDF highlights
+ *
+ * PDF readers draw highlights with multiply blending, so they are usually
+ * stored fully opaque. Overlaid as-is they would hide the text beneath.
+ *
+ * @type {number}
+ */
+const OPAQUE_HIGHLIGHT_ALPHA = 0.35;
+
+/**
+ * Highlight modes of imported text markup subtypes
+ * @type {Object<string, string>}
+ */
+const MARKUP_MODES = {
+  Underline: 'underline',
+  StrikeOut: 'strikethrough',
+  Squiggly: 'squiggly'
+};
+
+/**
+ * Convert pdf.js annotation data into an annotation object
+ *
+ * The result has type, page, geometry and style but no timing; use
+ * scheduleAnnotations() to give imported annotations start/end times.
+ * Highlight, Underline, StrikeOut and Squiggly become `highlight` (in the
+ * matching mode), FreeText becomes `text`, and
+ * Ink and Square (as an outline) become `ink`.
+ *
+ * @param {Object} data - Annotation data from page.getAnnotations()
+ * @param {Object} viewport - pdf.js page viewport (any scale)
+ * @param {number} pageNum - Page number (1-indexed)
+ * @returns {Object|null} Annotation without timing, or null if the subtype is
+ *   not supported or the data has no usable geometry
+ *
+ * @example
+ * const page = await pdfDoc.getPage(1);
+ * const viewport = page.getViewport({ scale: 1 });
+ * const items = (await page.getAnnotations())
+ *   .map((data) => pdfAnnotationToAnnotation(data, viewport, 1))
+ *   .filter(Boolean);
+ */
+export function pdfAnnotationToAnnotation(data, viewport, pageNum) {
+  if (!data || !viewport || !IMPORTABLE_SUBTYPES.includes(data.subtype)) {
+    return null;
+  }
+
+  const base = {
+    id: data.id ? `pdf-${data.id}` : undefined,
+    page: pageNum
+  };
+
+  switch (data.subtype) {
+    case 'Highlight':
+    case 'Underline':
+    case 'StrikeOut':
+    case 'Squiggly':
+      return markupToHighlight(data, viewport, base);
+    case 'FreeText':
+      return freeTextToText(data, viewport, base);
+    case 'Ink':
+      return inkToInk(data, viewport, base);
+    case 'Square':
+      return squareToInk(data, viewport, base);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Give imported annotations start/end times
+ *
+ * Annotations are played one after another in array order: each starts
+ * `stagger` seconds after the previous one and takes `duration` seconds to
+ * reveal. Ink point times are spread along each stroke's length so strokes
+ * draw at a constant speed.
+ *
+ * @param {Array<Object>} annotations - Annotations from pdfAnnotationToAnnotation()
+ * @param {Object} [options] - Timing options
+ * @param {number} [options.start=0] - Start time of the first annotation (seconds)
+ * @param {number} [options.duration=1] - Reveal duration of each annotation (seconds)
+ * @param {number} [options.stagger=duration] - Seconds between consecutive starts
+ * @returns {Array<Object>} New annotation objects with start and end set
+ *
+ * @example
+ * scheduleAnnotations(items, { start: 2, duration: 1.5, stagger: 3 });
+ * // First annotation: 2-3.5s, second: 5-6.5s, ...
+ */
+export function scheduleAnnotations(annotations, options = {}) {
+  const start = nonNegative(options.start, 0);
+  const duration = nonNegative(options.duration, 1);
+  const stagger = nonNegative(options.stagger, duration);
+
+  return annotations.map((annotation, index) => {
+    const begin = start + index * stagger;
+    const scheduled = { ...annotation, start: begin, end: begin + duration };
+
+    if (annotation.type === 'ink') {
+      scheduled.strokes = timeStrokes(annotation.strokes, duration);
+    }
+
+    return scheduled;
+  });
+}
+
+/**
+ * Convert Highlight/Underline/StrikeOut/Squiggly data into a highlight annotation
+ *
+ * @param {Object} data - Annotation data
+ * @param {Object} viewport - pdf.js page viewport
+ * @param {Object} base - id and page
+ * @returns {Object|null} Highlight annotation, or null without quads
+ */
+function markupToHighlight(data, viewport, base) {
+  const quadPoints = data.quadPoints || [];
+  const quads = [];
+
+  for (let i = 0; i + 7 < quadPoints.length; i += 8) {
+    quads.push(toNormRect(viewport, Array.from(quadPoints.slice(i, i + 8))));
+  }
+
+  // Fall back to the annotation rectangle
+  if (quads.length === 0 && data.rect) {
+    quads.push(toNormRect(viewport, data.rect));
+  }
+
+  const usable = quads.filter((quad) => quad.w > 0 && quad.h > 0);
+  if (usable.length === 0) {
+    return null;
+  }
+
+  const rgb = data.color || [255, 255, 0];
+
+  const markupMode = MARKUP_MODES[data.subtype];
+  if (markupMode) {
+    return {
+      ...base,
+      type: 'highlight',
+      mode: markupMode,
+      quads: usable,
+      style: { color: toCssColor(rgb) }
+    };
+  }
+
+  const opacity = typeof data.opacity === 'number' ? data.opacity : 1;
+
+  return {
+    ...base,
+    type: 'highlight',
+    mode: 'quads',
+    quads: usable,
+    style: { color: toCssColor(rgb, opacity < 1 ? opacity : OPAQUE_HIGHLIGHT_ALPHA) }
+  };
+}
+
+/**
+ * Convert FreeText data into a text annotation
+ *
+ * @param {Object} data - Annotation data
+ * @param {Object} viewport - pdf.js page viewport
+ * @param {Object} base - id and page
+ * @returns {Object|null} Text annotation, or null without text
+ */
+function freeTextToText(data, viewport, base) {
+  const content = Array.isArray(data.textContent) && data.textContent.length > 0
+    ? data.textContent.join('\n')
+    : data.contentsObj?.str;
+
+  if (typeof content !== 'string' || content.trim() === '' || !data.rect) {
+    return null;
+  }
+
+  const fontColor = data.defaultAppearanceData?.fontColor;
+
+  return {
+    ...base,
+    type: 'text',
+    content,
+    ...toNormRect(viewport, data.rect),
+    style: {
+      // FreeText's C entry is the box background
+      bg: data.color ? toCssColor(data.color) : 'transparent',
+      color: fontColor ? toCssColor(fontColor) : '#000000'
+    }
+  };
+}
+
+/**
+ * Convert Ink data into an ink annotation
+ *
+ * @param {Object} data - Annotation data
+ * @param {Object} viewport - pdf.js page viewport
+ * @param {Object} base - id and page
+ * @returns {Object|null} Ink annotation, or null without strokes
+ */
+function inkToInk(data, viewport, base) {
+  const color = toCssColor(data.color || [0, 0, 0], data.opacity ?? 1);
+  const size = strokeWidth(data);
+
+  const strokes = (data.inkLists || [])
+    .map((list) => {
+      const points = [];
+      for (let i = 0; i + 1 < list.length; i += 2) {
+        points.push({ t: 0, ...toNormPoint(viewport, list[i], list[i + 1]) });
+      }
+      return { color, size, points };
+    })
+    .filter((stroke) => stroke.points.length > 0);
+
+  if (strokes.length === 0) {
+    return null;
+  }
+
+  return { ...base, type: 'ink', strokes };
+}
+
+/**
+ * Convert Square data into an ink annotation tracing its outline
+ *
+ * @param {Object} data - Annotation data
+ * @param {Object} viewport - pdf.js page viewport
+ * @param {Object} base - id and page
+ * @returns {Object|null} Ink annotation, or null without a rectangle
+ */
+function squareToInk(data, viewport, base) {
+  if (!data.rect) {
+    return null;
+  }
+
+  const { x, y, w, h } = toNormRect(viewport, data.rect);
+  const corners = [[x, y], [x + w, y], [x + w, y + h], [x, y + h], [x, y]];
+
+  return {
+    ...base,
+    type: 'ink',
+    strokes: [{
+      color: toCssColor(data.color || [0, 0, 0]),
+      size: strokeWidth(data),
+      points: corners.map(([px, py]) => ({ t: 0, x: px, y: py }))
+    }]
+  };
+}
+
+/**
+ * Spread ink point times along stroke length
+ *
+ * @param {Array<Object>} strokes - Strokes with points
+ * @param {number} duration - Total drawing time (seconds)
+ * @returns {Array<Object>} New strokes with point times set
+ */
+function timeStrokes(strokes, duration) {
+  const lengths = strokes.map((stroke) => stroke.points.map((point, i) => {
+    const prev = stroke.points[i - 1];
+    return prev ? Math.hypot(point.x - prev.x, point.y - prev.y) : 0;
+  }));
+  const total = lengths.flat().reduce((sum, len) => sum + len, 0);
+
+  let travelled = 0;
+  return strokes.map((stroke, s) => ({
+    ...stroke,
+    points: stroke.points.map((point, i) => {
+      travelled += lengths[s][i];
+      const t = total > 0 ? (travelled / total) * duration : 0;
+      return { ...point, t: Math.round(t * 1000) / 1000 };
+    })
+  }));
+}
+
+/**
+ * Stroke width of an annotation (PDF points, drawn as pixels)
+ *
+ * @param {Object} data - Annotation data
+ * @returns {number} Border width, or 1 if unset
+ */
+function strokeWidth(data) {
+  const width = data.borderStyle?.width;
+  return width > 0 ? width : 1;
+}
+
+/**
+ * Convert a PDF user-space point to normalized page coordinates
+ *
+ * @param {Object} viewport - pdf.js page viewport
+ * @param {number} x - PDF x
+ * @param {number} y - PDF y
+ * @returns {{x: number, y: number}} Normalized point
+ */
+function toNormPoint(viewport, x, y) {
+  const [vx, vy] = viewport.convertToViewportPoint(x, y);
+  return { x: vx / viewport.width, y: vy / viewport.height };
+}
+
+/**
+ * Convert PDF user-space points to a normalized bounding rectangle
+ *
+ * @param {Object} viewport - pdf.js page viewport
+ * @param {Array<number>} coords - Flat [x0, y0, x1, y1, ...] (e.g. a rect or quad)
+ * @returns {{x: number, y: number, w: number, h: number}} Normalized rectangle
+ */
+function toNormRect(viewport, coords) {
+  const xs = [];
+  const ys = [];
+
+  for (let i = 0; i + 1 < coords.length; i += 2) {
+    const point = toNormPoint(viewport, coords[i], coords[i + 1]);
+    xs.push(point.x);
+    ys.push(point.y);
+  }
+
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+
+/**
+ * Read a non-negative number option
+ *
+ * @param {*} value - Option value
+ * @param {number} fallback - Value used when the option is invalid
+ * @returns {number} Non-negative number
+ */
+function nonNegative(value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
@@ -0,0 +1,605 @@
+/**
+ * Rich Text Utility Functions
+ *
+ * This module parses the rich content of text annotations (a Markdown subset
+ * or a sanitized HTML subset) into a small node tree, and renders that tree
+ * to DOM with a limit on the number of characters shown, so the typewriter
+ * reveal can run character by character across formatting boundaries.
+ *
+ * Supported formatting: bold, italic, inline code, line breaks, paragraphs,
+ * bullet and numbered lists, and links (http, https, mailto and relative
+ * URLs only). Everything else is reduced to its text. The tree never holds
+ * raw markup, so rendering cannot inject scripts or attributes.
+ *
+ * Node shapes:
+ * - { type: 'text', text }
+ * - { type: 'br' }
+ * - { type: 'strong' | 'em' | 'code' | 'paragraph' | 'listItem', children }
+ * - { type: 'link', href, children }
+ * - { type: 'list', ordered, children } (children are listItem nodes)
+ */
+
+/**
+ * Supported text annotation content formats
+ * @type {Array<string>}
+ */
+export const TEXT_FORMATS = ['plain', 'markdown', 'html'];
+
+/**
+ * HTML tags kept by the sanitizer, mapped to node types
+ *
+ * @private
+ * @type {Object<string, string>}
+ */
+const HTML_TAGS = {
+  b: 'strong',
+  strong: 'strong',
+  i: 'em',
+  em: 'em',
+  code: 'code',
+  a: 'link',
+  br: 'br',
+  p: 'paragraph',
+  div: 'paragraph',
+  ul: 'list',
+  ol: 'list',
+  li: 'listItem'
+};
+
+/**
+ * HTML tags dropped together with their content
+ *
+ * @private
+ * @type {Array<string>}
+ */
+const DROPPED_HTML_TAGS = ['script', 'style', 'template', 'iframe', 'object', 'svg', 'math'];
+
+/**
+ * Named HTML entities decoded by the sanitizer
+ *
+ * @private
+ * @type {Object<string, string>}
+ */
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Node types rendered as blocks (separated by a line break in plain text)
+ *
+ * @private
+ * @type {Array<string>}
+ */
+const BLOCK_TYPES = ['paragraph', 'listItem'];
+
+/**
+ * Check a link target and return it if it is safe to render
+ *
+ * @param {string} href - Raw link target
+ * @returns {string|null} Trimmed href for http(s), mailto and scheme-less
+ *   (relative) URLs, or null for anything else (e.g. javascript:)
+ *
+ * @example
+ * sanitizeHref('https://example.com'); // Returns: 'https://example.com'
+ * sanitizeHref('javascript:alert(1)'); // Returns: null
+ */
+export function sanitizeHref(href) {
+  if (typeof href !== 'string') {
+    return null;
+  }
+
+  // Browsers ignore control characters and whitespace inside schemes
+  const value = href.trim();
+  const compact = Array.from(value).filter((ch) => ch > ' ').join('');
+
+  if (/^(https?|mailto):/i.test(compact)) {
+    return value;
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(compact) || compact.startsWith('//')) {
+    return null;
+  }
+
+  return value.length > 0 ? value : null;
+}
+
+/**
+ * Parse text annotation content into a rich text node tree
+ *
+ * @param {string} content - Annotation content
+ * @param {string} [format='plain'] - 'plain', 'markdown' or 'html'
+ * @returns {Array<Object>} Node tree (plain content is a single text node)
+ *
+ * @example
+ * parseRichText('Key **term**', 'markdown');
+ * // Returns: [{ type: 'paragraph', children: [
+ * //   { type: 'text', text: 'Key ' },
+ * //   { type: 'strong', children: [{ type: 'text', text: 'term' }] }
+ * // ] }]
+ */
+export function parseRichText(content, format = 'plain') {
+  const source = typeof content === 'string' ? content : '';
+
+  if (format === 'markdown') {
+    return parseMarkdown(source);
+  }
+
+  if (format === 'html') {
+    return parseHtml(source);
+  }
+
+  return source ? [{ type: 'text', text: source }] : [];
+}
+
+/**
+ * Parse the supported Markdown subset
+ *
+ * Blank lines separate paragraphs, single newlines are line breaks, and
+ * lines starting with "-", "*" or "+" (bullets) or "1." (numbers) form lists.
+ * Inline: **bold**, __bold__, *italic*, _italic_, `code`, [text](url) and
+ * backslash escapes. HTML is shown as text.
+ *
+ * @param {string} source - Markdown source
+ * @returns {Array<Object>} Node tree
+ */
+export function parseMarkdown(source) {
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  for (const line of source.replace(/\r\n?/g, '\n').split('\n')) {
+    const item = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+
+    if (item) {
+      const ordered = item[2] !== undefined;
+      if (!list || list.ordered !== ordered) {
+        list = { type: 'list', ordered, children: [] };
+        blocks.push(list);
+      }
+      list.children.push({ type: 'listItem', children: parseInline(item[3]) });
+      paragraph = null;
+    } else if (line.trim() === '') {
+      paragraph = null;
+      list = null;
+    } else if (paragraph) {
+      paragraph.children.push({ type: 'br' }, ...parseInline(line.trim()));
+    } else {
+      paragraph = { type: 'paragraph', children: parseInline(line.trim()) };
+      blocks.push(paragraph);
+      list = null;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse inline Markdown (emphasis, code, links, escapes)
+ *
+ * Unmatched delimiters are kept as text.
+ *
+ * @private
+ * @param {string} text - Single line of Markdown
+ * @returns {Array<Object>} Inline nodes
+ */
+function parseInline(text) {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', text: buffer });
+      buffer = '';
+    }
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    // Escaped punctuation is literal
+    if (ch === '\\' && i + 1 < text.length && /[\\`*_[\]()#+\-.!]/.test(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === '`') {
+      const close = text.indexOf('`', i + 1);
+      if (close > i + 1) {
+        flush();
+        nodes.push({ type: 'code', children: [{ type: 'text', text: text.slice(i + 1, close) }] });
+        i = close + 1;
+        continue;
+      }
+    }
+
+    if (ch === '*' || ch === '_') {
+      const strong = text[i + 1] === ch;
+      const marker = strong ? ch + ch : ch;
+      const close = findClosing(text, marker, i + marker.length);
+      if (close !== -1) {
+        flush();
+        nodes.push({
+          type: strong ? 'strong' : 'em',
+          children: parseInline(text.slice(i + marker.length, close))
+        });
+        i = close + marker.length;
+        continue;
+      }
+    }
+
+    if (ch === '[') {
+      const link = text.slice(i).match(/^\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/);
+      if (link) {
+        flush();
+        const href = sanitizeHref(link[2]);
+        const children = parseInline(link[1]);
+        if (href) {
+          nodes.push({ type: 'link', href, children });
+        } else {
+          nodes.push(...children);
+        }
+        i += link[0].length;
+        continue;
+      }
+    }
+
+    buffer += ch;
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * Find the closing emphasis marker that matches an opening one
+ *
+ * @private
+ * @param {string} text - Line of Markdown
+ * @param {string} marker - Delimiter ('*', '_', '**' or '__')
+ * @param {number} from - Index right after the opening marker
+ * @returns {number} Index of the closing marker, or -1
+ */
+function findClosing(text, marker, from) {
+  // Emphasis must hug its content: "* not italic *"
+  if (from >= text.length || /\s/.test(text[from])) {
+    return -1;
+  }
+
+  let index = text.indexOf(marker, from + 1);
+  while (index !== -1) {
+    const escaped = text[index - 1] === '\\';
+    const hugs = !/\s/.test(text[index - 1]);
+    // A single marker must not be half of a double one
+    const single = marker.length === 2 || text[index + 1] !== marker;
+    if (!escaped && hugs && single) {
+      return index;
+    }
+    index = text.indexOf(marker, index + 1);
+  }
+
+  return -1;
+}
+
+/**
+ * Parse and sanitize the supported HTML subset
+ *
+ * Kept: b/strong, i/em, code, a (href only), br, p/div, ul/ol, li. Other
+ * tags are removed but their text is kept; script, style and similar
+ * elements are removed with their content. Whitespace collapses as in HTML.
+ *
+ * @param {string} source - HTML source
+ * @returns {Array<Object>} Node tree
+ */
+export function parseHtml(source) {
+  const root = { type: 'root', children: [] };
+  const stack = [{ tag: null, node: root }];
+  let dropping = null;
+
+  const tokens = source
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .matchAll(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+|<)/g);
+
+  for (const [, closing, rawTag, attrs, text] of tokens) {
+    const tag = rawTag?.toLowerCase();
+
+    // Skip everything inside dropped elements
+    if (dropping) {
+      if (closing && tag === dropping) {
+        dropping = null;
+      }
+      continue;
+    }
+
+    if (text !== undefined) {
+      const value = decodeEntities(text.replace(/\s+/g, ' '));
+      const parent = stack[stack.length - 1].node;
+      // Whitespace between blocks is formatting, not content
+      if (value.trim() === '' && (parent.type === 'root' || parent.type === 'list')) {
+        continue;
+      }
+      parent.children.push({ type: 'text', text: value });
+      continue;
+    }
+
+    if (DROPPED_HTML_TAGS.includes(tag)) {
+      if (!closing && !/\/\s*$/.test(attrs)) {
+        dropping = tag;
+      }
+      continue;
+    }
+
+    const type = HTML_TAGS[tag];
+    if (!type) {
+      continue;
+    }
+
+    if (closing) {
+      // Close the innermost matching element (and anything left open inside it)
+      const index = stack.map((entry) => entry.tag).lastIndexOf(tag);
+      if (index > 0) {
+        stack.length = index;
+      }
+      continue;
+    }
+
+    const parent = stack[stack.length - 1].node;
+
+    if (type === 'br') {
+      parent.children.push({ type: 'br' });
+      continue;
+    }
+
+    const node = { type, children: [] };
+    if (type === 'list') {
+      node.ordered = tag === 'ol';
+    } else if (type === 'link') {
+      const href = attrs.match(/\shref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i);
+      node.href = href ? sanitizeHref(decodeEntities(href[1] ?? href[2] ?? href[3])) : null;
+    }
+
+    parent.children.push(node);
+    stack.push({ tag, node });
+  }
+
+  return tidyNodes(root.children);
+}
+
+/**
+ * Clean up a parsed HTML node tree
+ *
+ * Links without a safe href are replaced by their content, and text mixed
+ * with blocks (e.g. after a closing </ul>) is wrapped in paragraphs so it
+ * starts on its own line.
+ *
+ * @private
+ * @param {Array<Object>} nodes - Node tree
+ * @returns {Array<Object>} Tidied node tree
+ */
+function tidyNodes(nodes) {
+  const result = [];
+
+  for (const node of nodes) {
+    if (node.children) {
+      node.children = tidyNodes(node.children);
+    }
+
+    if (node.type === 'link' && !node.href) {
+      result.push(...node.children);
+    } else {
+      result.push(node);
+    }
+  }
+
+  const isBlock = (node) => node.type === 'list' || BLOCK_TYPES.includes(node.type);
+  if (!result.some(isBlock)) {
+    return result;
+  }
+
+  const grouped = [];
+  let paragraph = null;
+  for (const node of result) {
+    if (isBlock(node)) {
+      grouped.push(node);
+      paragraph = null;
+    } else if (paragraph) {
+      paragraph.children.push(node);
+    } else if (node.type !== 'text' || node.text.trim() !== '') {
+      paragraph = { type: 'paragraph', children: [node] };
+      grouped.push(paragraph);
+    }
+  }
+
+  return grouped;
+}
+
+/**
+ * Decode HTML character references
+ *
+ * @private
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Walk a node tree in reading order, emitting its plain text
+ *
+ * Blocks after the first visible text start on a new line, which is emitted
+ * as "\n". The visitor decides whether to continue.
+ *
+ * @private
+ * @param {Array<Object>} nodes - Node tree
+ * @param {Object} state - Shared state ({ text: string })
+ * @param {Function} emit - (text) => void, appends text to state.text
+ */
+function collectText(nodes, state, emit) {
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      emit(node.text);
+    } else if (node.type === 'br') {
+      emit('\n');
+    } else {
+      if (BLOCK_TYPES.includes(node.type) && state.text && !state.text.endsWith('\n')) {
+        emit('\n');
+      }
+      collectText(node.children || [], state, emit);
+    }
+  }
+}
+
+/**
+ * Get the plain text of a node tree
+ *
+ * Line breaks, paragraphs and list items become "\n". The typewriter reveal
+ * counts characters, words and lines of this text.
+ *
+ * @param {Array<Object>} nodes - Node tree
+ * @returns {string} Plain text
+ *
+ * @example
+ * getPlainText(parseRichText('- one\n- two', 'markdown')); // Returns: 'one\ntwo'
+ */
+export function getPlainText(nodes) {
+  const state = { text: '' };
+  collectText(nodes, state, (text) => {
+    state.text += text;
+  });
+  return state.text;
+}
+
+/**
+ * Render a node tree to DOM, showing at most a number of characters
+ *
+ * Characters are counted on the plain text (see getPlainText), so formatting
+ * stays intact while a reveal cuts through it: a half-typed bold word is
+ * already bold. Links open in a new tab and receive pointer events.
+ *
+ * @param {Array<Object>} nodes - Node tree
+ * @param {number} [limit=Infinity] - Number of plain text characters to show
+ * @returns {DocumentFragment} Rendered content
+ */
+export function renderRichText(nodes, limit = Infinity) {
+  const fragment = document.createDocumentFragment();
+  const state = { text: '', remaining: limit };
+  renderNodes(nodes, fragment, state);
+  return fragment;
+}
+
+/**
+ * Render nodes into a parent element until the character budget runs out
+ *
+ * Mirrors collectText() so both count the same characters.
+ *
+ * @private
+ * @param {Array<Object>} nodes - Nodes to render
+ * @param {Node} parent - Element or fragment to append to
+ * @param {Object} state - Shared state ({ text, remaining })
+ * @returns {boolean} False once the budget is exhausted
+ */
+function renderNodes(nodes, parent, state) {
+  const take = (text) => {
+    const visible = text.slice(0, Math.max(0, state.remaining));
+    state.remaining -= visible.length;
+    state.text += visible;
+    return visible;
+  };
+
+  for (const node of nodes) {
+    if (state.remaining <= 0) {
+      return false;
+    }
+
+    if (node.type === 'text') {
+      parent.appendChild(document.createTextNode(take(node.text)));
+      continue;
+    }
+
+    if (node.type === 'br') {
+      take('\n');
+      parent.appendChild(document.createElement('br'));
+      continue;
+    }
+
+    // A block's line break counts as its first character
+    if (BLOCK_TYPES.includes(node.type) && state.text && !state.text.endsWith('\n')) {
+      take('\n');
+      if (state.remaining <= 0) {
+        return false;
+      }
+    }
+
+    const element = createElement(node);
+    parent.appendChild(element);
+
+    if (!renderNodes(node.children || [], element, state)) {
+      return false;
+    }
+  }
+
+  return state.remaining > 0;
+}
+
+/**
+ * Create the DOM element for a formatting node
+ *
+ * @private
+ * @param {Object} node - Node other than text or br
+ * @returns {HTMLElement} Styled element (children are appended by the caller)
+ */
+function createElement(node) {
+  switch (node.type) {
+    case 'strong':
+      return document.createElement('strong');
+    case 'em':
+      return document.createElement('em');
+    case 'code': {
+      const code = document.createElement('code');
+      code.style.fontFamily = 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+      code.style.fontSize = '0.9em';
+      code.style.backgroundColor = 'rgba(0, 0, 0, 0.06)';
+      code.style.borderRadius = '3px';
+      code.style.padding = '0 0.25em';
+      return code;
+    }
+    case 'link': {
+      const link = document.createElement('a');
+      link.href = node.href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.style.color = 'inherit';
+      link.style.pointerEvents = 'auto';
+      return link;
+    }
+    case 'list': {
+      const list = document.createElement(node.ordered ? 'ol' : 'ul');
+      list.style.margin = '0';
+      list.style.paddingLeft = '1.4em';
+      return list;
+    }
+    case 'listItem':
+      return document.createElement('li');
+    default: {
+      const block = document.createElement('div');
+      block.style.margin = '0';
+      return block;
+    }
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Selection Utility Functions
+ *
+ * This module provides utility functions for converting DOM text selections
+ * into normalized (0-1) rectangles relative to a page element. Used to create
+ * highlight annotations from text selected in the pdf.js text layer.
+ */
+
+/**
+ * Convert a DOM Range to normalized line quads
+ *
+ * Collects the client rects of the range, keeps those that fall on the page
+ * element, and merges rects sharing a line into one quad per line. Rects are
+ * considered the same line when their vertical centers are closer than half
+ * of the shorter rect's height.
+ *
+ * @param {Range} range - DOM range (usually from window.getSelection())
+ * @param {Element} pageElement - Element covering the page (e.g. the text layer)
+ * @returns {Array<{x: number, y: number, w: number, h: number}>} Normalized quads, top to bottom
+ *
+ * @example
+ * const range = window.getSelection().getRangeAt(0);
+ * const quads = rangeToQuads(range, textLayerElement);
+ * // Returns: [{ x: 0.12, y: 0.3, w: 0.7, h: 0.02 }, { x: 0.12, y: 0.32, w: 0.4, h: 0.02 }]
+ */
+export function rangeToQuads(range, pageElement) {
+  if (!range || !pageElement) {
+    return [];
+  }
+
+  const pageRect = pageElement.getBoundingClientRect();
+  if (pageRect.width === 0 || pageRect.height === 0) {
+    return [];
+  }
+
+  // Clip client rects to the page and drop empty ones
+  const rects = [];
+  for (const r of range.getClientRects()) {
+    const left = Math.max(r.left, pageRect.left);
+    const right = Math.min(r.right, pageRect.right);
+    const top = Math.max(r.top, pageRect.top);
+    const bottom = Math.min(r.bottom, pageRect.bottom);
+
+    if (right - left > 0.5 && bottom - top > 0.5) {
+      rects.push({ left, right, top, bottom });
+    }
+  }
+
+  rects.sort((a, b) => a.top - b.top || a.left - b.left);
+
+  // Merge rects on the same line
+  const lines = [];
+  for (const rect of rects) {
+    const center = (rect.top + rect.bottom) / 2;
+    const line = lines.find((l) => {
+      const lineCenter = (l.top + l.bottom) / 2;
+      const minHeight = Math.min(l.bottom - l.top, rect.bottom - rect.top);
+      return Math.abs(lineCenter - center) < minHeight / 2;
+    });
+
+    if (line) {
+      line.left = Math.min(line.left, rect.left);
+      line.right = Math.max(line.right, rect.right);
+      line.top = Math.min(line.top, rect.top);
+      line.bottom = Math.max(line.bottom, rect.bottom);
+    } else {
+      lines.push({ ...rect });
+    }
+  }
+
+  return lines.map((l) => ({
+    x: (l.left - pageRect.left) / pageRect.width,
+    y: (l.top - pageRect.top) / pageRect.height,
+    w: (l.right - l.left) / pageRect.width,
+    h: (l.bottom - l.top) / pageRect.height
+  }));
+}
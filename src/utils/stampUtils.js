@@ -0,0 +1,128 @@
+/**
+ * Stamp Utility Functions
+ *
+ * This module keeps the registry of named stamps that image annotations can
+ * use as their source instead of a URL. A few SVG stamps are built in
+ * (check, cross, star, important); apps register their own logos and badges
+ * with registerStamp().
+ */
+
+/**
+ * Build a data URI from SVG markup
+ *
+ * @param {string} svg - SVG markup
+ * @returns {string} data:image/svg+xml URI
+ */
+function svgDataUri(svg) {
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Names of the built-in stamps
+ * @type {Array<string>}
+ */
+export const BUILT_IN_STAMPS = ['check', 'cross', 'star', 'important'];
+
+/**
+ * Stamp sources keyed by name
+ *
+ * @private
+ * @type {Map<string, string>}
+ */
+const stampRegistry = new Map([
+  ['check', svgDataUri(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">' +
+    '<circle cx="50" cy="50" r="46" fill="#16a34a"/>' +
+    '<path d="M28 52 L44 68 L73 35" fill="none" stroke="#fff" stroke-width="10" ' +
+    'stroke-linecap="round" stroke-linejoin="round"/></svg>'
+  )],
+  ['cross', svgDataUri(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">' +
+    '<circle cx="50" cy="50" r="46" fill="#dc2626"/>' +
+    '<path d="M33 33 L67 67 M67 33 L33 67" stroke="#fff" stroke-width="10" ' +
+    'stroke-linecap="round"/></svg>'
+  )],
+  ['star', svgDataUri(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">' +
+    '<path d="M50 6 L62 38 L96 39 L69 60 L79 94 L50 74 L21 94 L31 60 L4 39 L38 38 Z" ' +
+    'fill="#facc15" stroke="#ca8a04" stroke-width="3" stroke-linejoin="round"/></svg>'
+  )],
+  ['important', svgDataUri(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 240 80">' +
+    '<rect x="5" y="5" width="230" height="70" rx="10" fill="none" stroke="#dc2626" ' +
+    'stroke-width="6"/>' +
+    '<text x="120" y="53" font-family="Arial, Helvetica, sans-serif" font-size="34" ' +
+    'font-weight="bold" fill="#dc2626" text-anchor="middle">IMPORTANT!</text></svg>'
+  )]
+]);
+
+/**
+ * Register a named stamp
+ *
+ * Image annotations whose src equals the name show this source instead.
+ * Registering an existing name (including a built-in one) replaces it.
+ *
+ * @param {string} name - Stamp name (e.g. 'logo')
+ * @param {string} src - Image URL or data URI
+ * @returns {void}
+ * @throws {Error} If name or src is not a non-empty string
+ *
+ * @example
+ * registerStamp('logo', '/assets/logo.svg');
+ * // { type: 'image', src: 'logo', ... } now shows /assets/logo.svg
+ */
+export function registerStamp(name, src) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new Error('registerStamp: name must be a non-empty string');
+  }
+
+  if (typeof src !== 'string' || src.trim().length === 0) {
+    throw new Error('registerStamp: src must be a non-empty string');
+  }
+
+  stampRegistry.set(name, src);
+}
+
+/**
+ * Remove a stamp registration
+ *
+ * @param {string} name - Stamp name
+ * @returns {boolean} True if a stamp was removed
+ */
+export function unregisterStamp(name) {
+  return stampRegistry.delete(name);
+}
+
+/**
+ * Check whether a stamp is registered
+ *
+ * @param {string} name - Stamp name
+ * @returns {boolean} True if the name resolves to a stamp
+ */
+export function hasStamp(name) {
+  return stampRegistry.has(name);
+}
+
+/**
+ * Get the names of all registered stamps
+ *
+ * @returns {Array<string>} Stamp names, built-in ones first
+ */
+export function getStampNames() {
+  return Array.from(stampRegistry.keys());
+}
+
+/**
+ * Resolve an image annotation source
+ *
+ * @param {string} src - Stamp name, URL or data URI
+ * @returns {string} The stamp's source if src names a registered stamp,
+ *   otherwise src unchanged
+ *
+ * @example
+ * resolveImageSource('/img/chart.png'); // Returns: '/img/chart.png'
+ * resolveImageSource('check');          // Returns: 'data:image/svg+xml,...'
+ */
+export function resolveImageSource(src) {
+  return stampRegistry.get(src) ?? src;
+}
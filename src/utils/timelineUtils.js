@@ -0,0 +1,52 @@
+/**
+ * Timeline Utility Functions
+ *
+ * This module provides utility functions for querying annotation data by
+ * timeline position. Used by the renderer to decide which page the timeline
+ * is currently narrating.
+ */
+
+/**
+ * Find the page the timeline is currently on
+ *
+ * Returns the page of the most recently started annotation at the given time.
+ * A lead time looks ahead so the page can switch slightly before its first
+ * annotation begins.
+ *
+ * @param {Array<{page: number, start: number}>} annotations - Annotation array (all pages)
+ * @param {number} time - Timeline position in seconds
+ * @param {number} [leadTime=0] - Seconds to look ahead of time
+ * @returns {number|null} Page number, or null if no annotation has started yet
+ *
+ * @example
+ * const annotations = [
+ *   { page: 1, start: 0, end: 2 },
+ *   { page: 2, start: 10, end: 12 }
+ * ];
+ * findPageAtTime(annotations, 5);       // Returns: 1
+ * findPageAtTime(annotations, 9.5, 1);  // Returns: 2
+ */
+export function findPageAtTime(annotations, time, leadTime = 0) {
+  if (!Array.isArray(annotations)) {
+    return null;
+  }
+
+  const lookahead = time + Math.max(0, leadTime);
+  let latest = null;
+
+  for (const annotation of annotations) {
+    if (typeof annotation?.start !== 'number' || typeof annotation.page !== 'number') {
+      continue;
+    }
+
+    if (annotation.start > lookahead) {
+      continue;
+    }
+
+    if (!latest || annotation.start > latest.start) {
+      latest = annotation;
+    }
+  }
+
+  return latest ? latest.page : null;
+}